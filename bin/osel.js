@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * osel - run simulator scenarios from the command line
+ * Reads scenario files saved from the app (JSON) or plain workload CSV, runs them through
+ * the same engines the UI uses, and prints the results as text or JSON.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { ScenarioKind, FRAME_COUNT_RANGE, parseScenario, parseScenarioJson } from '../src/utils/scenarioIO.js';
+import { runScenario, formatRunText } from '../src/utils/headless.js';
+
+const USAGE = `Usage: osel [options] <scenario.json|workload.csv>...
+
+Runs each scenario to completion and prints the results table, the timeline and the trace.
+
+Options:
+  --kind <kind>          scheduler, memory or paging (default: the JSON "kind", else scheduler)
+  --algorithm <name>     override the scenario's algorithm (e.g. RR, BEST_FIT, LRU)
+  --quantum <n>          override the time quantum (scheduler)
+  --frames <n>           override the frame count (paging, 3 to 12)
+  --format <text|json>   output format (default: text)
+  --no-trace             leave out the event trace
+  -o, --output <file>    write to a file instead of stdout
+  -h, --help             show this help
+
+Exit status: 0 on success, 1 if a scenario does not validate, 2 on bad usage.`;
+
+class UsageError extends Error {}
+
+const parseArgs = (argv) => {
+  const options = { files: [], format: 'text', trace: true };
+  const valueOf = (flag, i) => {
+    if (i + 1 >= argv.length) throw new UsageError(`${flag} needs a value`);
+    return argv[i + 1];
+  };
+  // Numeric overrides are checked here, so a typo is reported with the flag that caused it
+  const countOf = (flag, i, { min = 1, max = Infinity } = {}) => {
+    const value = valueOf(flag, i);
+    if (!/^\d+$/.test(value.trim()) || Number(value) < min || Number(value) > max) {
+      const range = max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`;
+      throw new UsageError(`${flag} needs a whole number ${range} (got "${value}")`);
+    }
+    return Number(value);
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      case '--kind':
+        options.kind = valueOf(arg, i++);
+        if (!Object.values(ScenarioKind).includes(options.kind)) {
+          throw new UsageError(`Unknown kind "${options.kind}" (expected ${Object.values(ScenarioKind).join(', ')})`);
+        }
+        break;
+      case '--algorithm':
+        options.algorithm = valueOf(arg, i++).toUpperCase();
+        break;
+      case '--quantum':
+        options.quantum = countOf(arg, i++);
+        break;
+      case '--frames':
+        options.frameCount = countOf(arg, i++, FRAME_COUNT_RANGE);
+        break;
+      case '--format':
+        options.format = valueOf(arg, i++);
+        if (!['text', 'json'].includes(options.format)) throw new UsageError(`Unknown format "${options.format}"`);
+        break;
+      case '--no-trace':
+        options.trace = false;
+        break;
+      case '-o':
+      case '--output':
+        options.output = valueOf(arg, i++);
+        break;
+      default:
+        if (arg.startsWith('-')) throw new UsageError(`Unknown option ${arg}`);
+        options.files.push(arg);
+    }
+  }
+  return options;
+};
+
+/**
+ * Kind of a scenario file: --kind wins, then the JSON "kind" field, then scheduler
+ */
+const detectKind = (text, forcedKind) => {
+  if (forcedKind) return forcedKind;
+  if (text.trim().startsWith('{')) {
+    try {
+      const { kind } = JSON.parse(text);
+      if (Object.values(ScenarioKind).includes(kind)) return kind;
+    } catch {
+      // Invalid JSON is reported by the parser below
+    }
+  }
+  return ScenarioKind.SCHEDULER;
+};
+
+/**
+ * Load, validate and run one file; command-line overrides are validated like file content
+ */
+const runFile = (file, options) => {
+  const text = readFileSync(file, 'utf8');
+  const kind = detectKind(text, options.kind);
+  const parsed = parseScenario(text, kind);
+  if (parsed.errors.length) return { errors: parsed.errors };
+
+  const overrides = {
+    algorithm: options.algorithm,
+    quantum: options.quantum,
+    frameCount: options.frameCount,
+  };
+  const merged = { ...parsed.scenario };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined) merged[key] = value;
+  });
+  const { scenario, errors } = parseScenarioJson(JSON.stringify(merged), kind);
+  if (errors.length) return { errors };
+
+  return { run: runScenario(kind, scenario) };
+};
+
+const main = () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    process.stderr.write(`osel: ${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (!options.files.length) {
+    process.stderr.write(`osel: no scenario file given\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  const runs = [];
+  let failed = false;
+  options.files.forEach(file => {
+    let result;
+    try {
+      result = runFile(file, options);
+    } catch (error) {
+      result = { errors: [error.code === 'ENOENT' ? 'file not found' : error.message] };
+    }
+    if (result.errors) {
+      failed = true;
+      result.errors.forEach(message => process.stderr.write(`${file}: ${message}\n`));
+      return;
+    }
+    runs.push({ file, ...result.run });
+  });
+
+  let output;
+  if (options.format === 'json') {
+    const payload = options.trace ? runs : runs.map(({ trace, ...rest }) => rest);
+    output = `${JSON.stringify(payload.length === 1 ? payload[0] : payload, null, 2)}\n`;
+  } else {
+    output = runs
+      .map(run => `${runs.length > 1 ? `== ${run.file} ==\n` : ''}${formatRunText(run, { trace: options.trace })}`)
+      .join('\n');
+  }
+
+  if (options.output) writeFileSync(options.output, output);
+  else process.stdout.write(output);
+  return failed ? 1 : 0;
+};
+
+process.exitCode = main();
@@ -1,10 +1,10 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
-  Play, Pause, RotateCcw, SkipForward, FastForward,
+  Play, Pause, RotateCcw, SkipForward, SkipBack, FastForward,
   Cpu, Clock, ListOrdered, CheckCircle2, 
   Settings, Gauge, Timer, Zap, TrendingUp,
-  GraduationCap, Sparkles
+  GraduationCap, Sparkles, Layers, ArrowUpCircle, Server, ArrowLeftRight, Hourglass, Scissors, AlarmClock, Scale, Ticket, Brain, FileText, Printer
 } from 'lucide-react';
 
 // Import components
@@ -13,19 +13,53 @@ import ProcessInput from './ProcessInput';
 import MetricsExplainer from './MetricsExplainer';
 import TraceViewer from './TraceViewer';
 import GanttChart from './GanttChart';
+import ComparisonView from './ComparisonView';
+import ExperimentView from './ExperimentView';
+import WorkedSolution from './WorkedSolution';
+import PracticeMode from './PracticeMode';
+import ScenarioTransfer from './ScenarioTransfer';
+import ScenarioLibrary from './ScenarioLibrary';
+import WorkloadGenerator from './WorkloadGenerator';
 import MemorySimulator from './memory/MemorySimulator';
 import PagingSimulator from './memory/PagingSimulator';
 import SystemMetricsPanel from './SystemMetricsPanel';
+import { ScenarioKind, downloadText } from '../utils/scenarioIO';
+import { buildGanttSvg } from '../utils/ganttExport';
+import { buildReportHtml } from '../utils/reportExport';
+import { getLearningInsights } from '../utils/learningInsights';
+import { useUrlScenarioSync } from '../utils/urlState';
 
 // Import engine
 import { 
   SchedulerEngine, 
   Algorithm, 
   ProcessState, 
+  QueueMode,
+  LoadBalancing,
   ConceptCards,
+  getConceptCard,
+  analyzeSchedulability,
+  formatUnits,
   getPidColor 
 } from './SchedulerEngine';
 
+// Periodic task set used by the "Load example" button (U ≈ 0.71, below the RM bound for 3 tasks)
+const REALTIME_EXAMPLE = [
+  { pid: 'T1', arrivalTime: 0, burstTime: 1, priority: 1, period: 4 },
+  { pid: 'T2', arrivalTime: 0, burstTime: 2, priority: 2, period: 6 },
+  { pid: 'T3', arrivalTime: 0, burstTime: 1, priority: 3, period: 8 },
+];
+
+const pageOptions = [
+  { id: 'scheduling', label: 'Scheduling' },
+  { id: 'compare', label: 'Compare Algorithms' },
+  { id: 'experiments', label: 'Experiments' },
+  { id: 'storage', label: 'Storage Allocation' },
+  { id: 'paging', label: 'Paging Explorer' },
+  { id: 'metrics', label: 'Dynamic CPU Metrics' },
+];
+const PAGE_IDS = pageOptions.map(page => page.id);
+
 /**
  * CPUSimulator - Main Component
  * Interactive educational CPU scheduling simulator
@@ -40,11 +74,30 @@ const CPUSimulator = () => {
   ]);
   const [algorithm, setAlgorithm] = useState(Algorithm.FCFS);
   const [quantum, setQuantum] = useState(2);
+  // null = the algorithm's classic preemption mode
+  const [preemptive, setPreemptive] = useState(null);
+  const [mlfqLevels, setMlfqLevels] = useState(3);
+  const [boostInterval, setBoostInterval] = useState(10);
+  const [cpuCount, setCpuCount] = useState(1);
+  const [queueMode, setQueueMode] = useState(QueueMode.GLOBAL);
+  const [loadBalancing, setLoadBalancing] = useState(LoadBalancing.WORK_STEALING);
+  const [migrationInterval, setMigrationInterval] = useState(4);
+  const [contextSwitchTime, setContextSwitchTime] = useState(0);
+  const [agingInterval, setAgingInterval] = useState(0);
+  const [agingStep, setAgingStep] = useState(1);
+  const [targetLatency, setTargetLatency] = useState(6);
+  const [minGranularity, setMinGranularity] = useState(1);
+  const [seed, setSeed] = useState(1);
+  const [predictBursts, setPredictBursts] = useState(false);
+  const [alpha, setAlpha] = useState(0.5);
+  const [initialTau, setInitialTau] = useState(5);
   const [speed, setSpeed] = useState(500);
   
   const [engine, setEngine] = useState(null);
   const [snapshot, setSnapshot] = useState(null);
   const [results, setResults] = useState(null);
+  // Tick at which the current run finishes (the scrubber's range)
+  const [endTime, setEndTime] = useState(null);
   
   const [playing, setPlaying] = useState(false);
   const [showConcept, setShowConcept] = useState(true);
@@ -55,12 +108,32 @@ const CPUSimulator = () => {
 
   // ===== ENGINE FUNCTIONS =====
   const initEngine = useCallback(() => {
-    const newEngine = new SchedulerEngine(processes, algorithm, { quantum });
+    const newEngine = new SchedulerEngine(processes, algorithm, {
+      quantum,
+      preemptive: preemptive ?? undefined,
+      mlfqLevels,
+      boostInterval,
+      cpuCount,
+      queueMode,
+      loadBalancing,
+      migrationInterval,
+      contextSwitchTime,
+      agingInterval,
+      agingStep,
+      targetLatency,
+      minGranularity,
+      seed,
+      predictBursts,
+      alpha,
+      initialTau,
+    });
     setEngine(newEngine);
     setSnapshot(newEngine.getSnapshot());
     setResults(null);
+    // Runs ahead once here, never during render; also leaves the checkpoints seekTo restores from
+    setEndTime(newEngine.getEndTime());
     return newEngine;
-  }, [processes, algorithm, quantum]);
+  }, [processes, algorithm, quantum, preemptive, mlfqLevels, boostInterval, cpuCount, queueMode, loadBalancing, migrationInterval, contextSwitchTime, agingInterval, agingStep, targetLatency, minGranularity, seed, predictBursts, alpha, initialTau]);
 
   const step = useCallback(() => {
     let eng = engine;
@@ -108,8 +181,65 @@ const CPUSimulator = () => {
     setEngine(null);
     setSnapshot(null);
     setResults(null);
+    setEndTime(null);
   }, []);
 
+  // Jump the whole dashboard to any tick (the engine replays from its nearest checkpoint)
+  const seekTo = useCallback((tick) => {
+    setPlaying(false);
+    if (timerRef.current) {
+      clearInterval(timerRef.current);
+      timerRef.current = null;
+    }
+
+    const eng = engine ?? initEngine();
+    const snap = eng.seek(tick);
+    setSnapshot(snap);
+    setResults(snap.done ? eng.finalizeMetrics() : null);
+  }, [engine, initEngine]);
+
+  const stepBack = useCallback(() => {
+    if (snapshot?.time) seekTo(snapshot.time - 1);
+  }, [snapshot, seekTo]);
+
+  // ===== REPORT EXPORT =====
+  const buildReport = () => buildReportHtml({
+    title: `${algorithm} Scheduling Report`,
+    settings: [
+      ['Algorithm', algorithm],
+      ['Preemption', preemptive === null ? 'algorithm default' : preemptive ? 'preemptive' : 'non-preemptive'],
+      ['Time quantum', quantum],
+      ['CPUs', cpuCount],
+      ['Context switch time', contextSwitchTime],
+      ['Aging interval', agingInterval || 'off'],
+      ['Burst prediction', predictBursts ? `on (α=${alpha}, τ₀=${initialTau})` : 'off'],
+      ['Random seed', seed],
+    ],
+    processes,
+    results,
+    ganttSvg: buildGanttSvg({
+      gantt: snapshot.gantt || [],
+      ioGantt: snapshot.ioGantt || [],
+      deadlines: snapshot.deadlines || [],
+      cpuCount: snapshot.cpuCount,
+      title: `${algorithm} Gantt Chart`,
+    }),
+    insights: getLearningInsights(results, algorithm, quantum, agingInterval),
+  });
+
+  const exportReport = () => {
+    downloadText(`scheduling-report-${algorithm.toLowerCase()}.html`, buildReport(), 'text/html');
+  };
+
+  const printReport = () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return;
+    printWindow.document.write(buildReport());
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
   const runToEnd = useCallback(() => {
     setPlaying(false);
     if (timerRef.current) {
@@ -152,6 +282,72 @@ const CPUSimulator = () => {
     };
   }, [playing, engine, speed]);
 
+  // Settings shared with the comparison page (preemption stays each algorithm's default there)
+  const comparisonOptions = useMemo(() => ({
+    quantum,
+    mlfqLevels,
+    boostInterval,
+    cpuCount,
+    queueMode,
+    loadBalancing,
+    migrationInterval,
+    contextSwitchTime,
+    agingInterval,
+    agingStep,
+    targetLatency,
+    minGranularity,
+    seed,
+    predictBursts,
+    alpha,
+    initialTau,
+  }), [quantum, mlfqLevels, boostInterval, cpuCount, queueMode, loadBalancing, migrationInterval, contextSwitchTime, agingInterval, agingStep, targetLatency, minGranularity, seed, predictBursts, alpha, initialTau]);
+
+  // ===== SCENARIO IMPORT/EXPORT =====
+  const settingSetters = {
+    preemptive: setPreemptive,
+    mlfqLevels: setMlfqLevels,
+    boostInterval: setBoostInterval,
+    cpuCount: setCpuCount,
+    queueMode: setQueueMode,
+    loadBalancing: setLoadBalancing,
+    migrationInterval: setMigrationInterval,
+    contextSwitchTime: setContextSwitchTime,
+    agingInterval: setAgingInterval,
+    agingStep: setAgingStep,
+    targetLatency: setTargetLatency,
+    minGranularity: setMinGranularity,
+    seed: setSeed,
+    predictBursts: setPredictBursts,
+    alpha: setAlpha,
+    initialTau: setInitialTau,
+  };
+
+  const getScenario = () => ({
+    algorithm,
+    quantum,
+    speed,
+    settings: { ...comparisonOptions, quantum: undefined, preemptive },
+    processes,
+  });
+
+  const loadScenario = (scenario) => {
+    reset();
+    if (scenario.processes) setProcesses(scenario.processes);
+    if (scenario.algorithm) setAlgorithm(scenario.algorithm);
+    if (scenario.quantum) setQuantum(scenario.quantum);
+    if (scenario.speed) setSpeed(scenario.speed);
+    Object.entries(scenario.settings ?? {}).forEach(([key, value]) => settingSetters[key]?.(value));
+  };
+
+  // ===== URL STATE =====
+  // The shareable link carries the active page as well as the scheduler scenario
+  useUrlScenarioSync(ScenarioKind.SCHEDULER, getScenario(), loadScenario, {
+    page: activePage,
+    onPage: (page) => {
+      if (PAGE_IDS.includes(page)) setActivePage(page);
+    },
+  });
+
   // ===== PROCESS HANDLERS =====
   const addProcess = () => {
     const newPid = `P${processes.length + 1}`;
@@ -160,7 +356,16 @@ const CPUSimulator = () => {
 
   const updateProcess = (idx, field, value) => {
     const updated = [...processes];
-    updated[idx][field] = field === 'pid' ? value : Number(value) || 0;
+    if (field === 'bursts') {
+      // Keep burstTime as the total CPU demand of the sequence
+      updated[idx].bursts = value;
+      updated[idx].burstTime = value.filter((_, i) => i % 2 === 0).reduce((sum, b) => sum + b, 0);
+    } else {
+      updated[idx][field] = field === 'pid' ? value : Number(value) || 0;
+      if (field === 'burstTime' && updated[idx].bursts?.length === 1) {
+        updated[idx].bursts = [updated[idx].burstTime];
+      }
+    }
     setProcesses(updated);
   };
 
@@ -173,6 +378,7 @@ const CPUSimulator = () => {
   const handleAlgoChange = (algo) => {
     reset();
     setAlgorithm(algo);
+    setPreemptive(null);
   };
 
   // ===== ALGORITHM INFO =====
@@ -180,21 +386,26 @@ const CPUSimulator = () => {
     [Algorithm.FCFS]: 'First process to arrive runs first',
     [Algorithm.SJF]: 'Shortest burst time runs first',
     [Algorithm.SRTF]: 'Shortest remaining time (preemptive)',
+    [Algorithm.HRRN]: 'Highest (wait + burst) / burst first',
+    [Algorithm.LJF]: 'Longest burst time runs first',
+    [Algorithm.LRTF]: 'Longest remaining time (preemptive)',
     [Algorithm.PRIORITY]: 'Highest priority (lowest #) first',
     [Algorithm.RR]: 'Time slices for all processes',
+    [Algorithm.MLFQ]: 'Feedback queues with demotion',
+    [Algorithm.EDF]: 'Closest deadline runs first',
+    [Algorithm.RM]: 'Shortest period = highest priority',
+    [Algorithm.CFS]: 'Lowest virtual runtime runs next',
+    [Algorithm.LOTTERY]: 'Random draw weighted by tickets',
+    [Algorithm.STRIDE]: 'Deterministic share by tickets',
   };
+  const isRealtime = algorithm === Algorithm.EDF || algorithm === Algorithm.RM;
+
+  const isPreemptive = preemptive ?? ConceptCards[algorithm].preemptive;
 
   // Check if simulation is running
   const isRunning = engine !== null;
   const isDone = snapshot?.done || false;
 
-  const pageOptions = [
-    { id: 'scheduling', label: 'Scheduling' },
-    { id: 'storage', label: 'Storage Allocation' },
-    { id: 'paging', label: 'Paging Explorer' },
-    { id: 'metrics', label: 'Dynamic CPU Metrics' },
-  ];
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-[#070b16] via-[#0b1024] to-[#0c132e] text-white">
       {/* ===== HEADER ===== */}
@@ -253,16 +464,19 @@ const CPUSimulator = () => {
             >
               <ConceptCard 
                 algorithm={algorithm}
+                concept={getConceptCard(algorithm, isPreemptive)}
                 isVisible={showConcept}
                 onToggle={() => setShowConcept(!showConcept)}
               />
 
+              <PracticeMode processes={processes} algorithm={algorithm} options={comparisonOptions} preemptive={preemptive} />
+
               <div className="glass rounded-2xl border border-white/10 p-relaxed space-y-5">
                 <h3 className="text-lg font-semibold text-white flex items-center gap-2">
                   <Sparkles className="w-5 h-5 text-amber-400" />
                   Choose an Algorithm to Study
                 </h3>
-                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 gap-4">
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
                   {Object.values(Algorithm).map(algo => (
                     <motion.button
                       key={algo}
@@ -305,6 +519,31 @@ const CPUSimulator = () => {
                       </div>
                     </div>
                     <div className="p-relaxed space-y-6">
+                      <div>
+                        <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400 mb-2">
+                          <Scissors className="w-4 h-4 text-rose-400" />
+                          Preemption
+                        </label>
+                        <div className="grid grid-cols-2 gap-2">
+                          {[true, false].map(mode => (
+                            <button
+                              key={String(mode)}
+                              type="button"
+                              onClick={() => { setPreemptive(mode); reset(); }}
+                              disabled={isRunning}
+                              className={`rounded-xl py-2 text-sm font-semibold transition-colors disabled:opacity-50 ${
+                                isPreemptive === mode ? 'bg-rose-600 text-white' : 'bg-slate-900/70 text-slate-300 border border-white/10 hover:bg-slate-800/70'
+                              }`}
+                            >
+                              {mode ? 'Preemptive' : 'Non-preemptive'}
+                            </button>
+                          ))}
+                        </div>
+                        <p className="text-xs text-neutral-400 mt-2">
+                          {algorithm} is {ConceptCards[algorithm].preemptive ? 'preemptive' : 'non-preemptive'} by default
+                        </p>
+                      </div>
+
                       <div>
                         <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400 mb-2">
                           <Timer className="w-4 h-4 text-amber-400" />
@@ -319,7 +558,284 @@ const CPUSimulator = () => {
                           disabled={isRunning}
                           className="w-full bg-transparent border border-white/10 rounded-2xl px-4 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                         />
-                        <p className="text-xs text-neutral-400 mt-2">Used only by Round Robin</p>
+                        <p className="text-xs text-neutral-400 mt-2">Used by Round Robin, lottery, stride and the top MLFQ queue</p>
+                      </div>
+
+                      <div>
+                        <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400 mb-2">
+                          <ArrowLeftRight className="w-4 h-4 text-slate-300" />
+                          Context Switch
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          max="5"
+                          value={contextSwitchTime}
+                          onChange={(e) => { setContextSwitchTime(Math.min(5, Math.max(0, Number(e.target.value) || 0))); reset(); }}
+                          disabled={isRunning}
+                          className="w-full bg-transparent border border-white/10 rounded-2xl px-4 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <p className="text-xs text-neutral-400 mt-2">Units the CPU spends switching between processes (0 = free)</p>
+                      </div>
+
+                      {(algorithm === Algorithm.PRIORITY || algorithm === Algorithm.SJF) && (
+                        <div className="grid grid-cols-2 gap-4">
+                          <div>
+                            <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400 mb-2">
+                              <Hourglass className="w-4 h-4 text-amber-400" />
+                              Aging
+                            </label>
+                            <input
+                              type="number"
+                              min="0"
+                              max="50"
+                              value={agingInterval}
+                              onChange={(e) => { setAgingInterval(Math.max(0, Number(e.target.value) || 0)); reset(); }}
+                              disabled={isRunning}
+                              className="w-full bg-transparent border border-white/10 rounded-2xl px-4 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </div>
+                          <div>
+                            <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400 mb-2">
+                              <TrendingUp className="w-4 h-4 text-emerald-400" />
+                              Step
+                            </label>
+                            <input
+                              type="number"
+                              min="1"
+                              max="10"
+                              value={agingStep}
+                              onChange={(e) => { setAgingStep(Math.max(1, Number(e.target.value) || 1)); reset(); }}
+                              disabled={isRunning}
+                              className="w-full bg-transparent border border-white/10 rounded-2xl px-4 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </div>
+                          <p className="col-span-2 text-xs text-neutral-400">
+                            Every N units in the ready queue improves a process's {algorithm === Algorithm.PRIORITY ? 'priority' : 'burst estimate'} by Step. 0 disables aging.
+                          </p>
+                        </div>
+                      )}
+
+                      {(algorithm === Algorithm.SJF || algorithm === Algorithm.SRTF) && (
+                        <div className="space-y-4">
+                          <div>
+                            <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400 mb-2">
+                              <Brain className="w-4 h-4 text-violet-400" />
+                              Burst Lengths
+                            </label>
+                            <div className="grid grid-cols-2 gap-2">
+                              {[false, true].map(mode => (
+                                <button
+                                  key={String(mode)}
+                                  type="button"
+                                  onClick={() => { setPredictBursts(mode); reset(); }}
+                                  disabled={isRunning}
+                                  className={`rounded-xl py-2 text-sm font-semibold transition-colors disabled:opacity-50 ${
+                                    predictBursts === mode ? 'bg-violet-600 text-white' : 'bg-slate-900/70 text-slate-300 border border-white/10 hover:bg-slate-800/70'
+                                  }`}
+                                >
+                                  {mode ? 'Predicted' : 'Known'}
+                                </button>
+                              ))}
+                            </div>
+                          </div>
+                          {predictBursts && (
+                            <div className="grid grid-cols-2 gap-4">
+                              <div>
+                                <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400 mb-2">
+                                  α
+                                </label>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="1"
+                                  step="0.1"
+                                  value={alpha}
+                                  onChange={(e) => { setAlpha(Math.min(1, Math.max(0, Number(e.target.value) || 0))); reset(); }}
+                                  disabled={isRunning}
+                                  className="w-full bg-transparent border border-white/10 rounded-2xl px-4 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                              </div>
+                              <div>
+                                <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400 mb-2">
+                                  Initial τ
+                                </label>
+                                <input
+                                  type="number"
+                                  min="1"
+                                  max="50"
+                                  value={initialTau}
+                                  onChange={(e) => { setInitialTau(Math.max(1, Number(e.target.value) || 1)); reset(); }}
+                                  disabled={isRunning}
+                                  className="w-full bg-transparent border border-white/10 rounded-2xl px-4 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                              </div>
+                            </div>
+                          )}
+                          <p className="text-xs text-neutral-400">
+                            {predictBursts
+                              ? 'The scheduler cannot see burst times. It predicts each burst as τ(n+1) = α·t(n) + (1−α)·τ(n) from the bursts a process has already run.'
+                              : 'The scheduler reads the true burst times - an idealization a real OS cannot make.'}
+                          </p>
+                        </div>
+                      )}
+
+                      {algorithm === Algorithm.LOTTERY && (
+                        <div>
+                          <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400 mb-2">
+                            <Ticket className="w-4 h-4 text-pink-400" />
+                            Seed
+                          </label>
+                          <input
+                            type="text"
+                            value={seed}
+                            onChange={(e) => { setSeed(e.target.value); reset(); }}
+                            disabled={isRunning}
+                            className="w-full bg-transparent border border-white/10 rounded-2xl px-4 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                          <p className="text-xs text-neutral-400 mt-2">The same seed always draws the same winning tickets</p>
+                        </div>
+                      )}
+
+                      {algorithm === Algorithm.CFS && (
+                        <div className="grid grid-cols-2 gap-4">
+                          <div>
+                            <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400 mb-2">
+                              <Scale className="w-4 h-4 text-sky-400" />
+                              Latency
+                            </label>
+                            <input
+                              type="number"
+                              min="1"
+                              max="50"
+                              value={targetLatency}
+                              onChange={(e) => { setTargetLatency(Math.max(1, Number(e.target.value) || 1)); reset(); }}
+                              disabled={isRunning}
+                              className="w-full bg-transparent border border-white/10 rounded-2xl px-4 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </div>
+                          <div>
+                            <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400 mb-2">
+                              <Timer className="w-4 h-4 text-amber-400" />
+                              Min Gran.
+                            </label>
+                            <input
+                              type="number"
+                              min="1"
+                              max="10"
+                              value={minGranularity}
+                              onChange={(e) => { setMinGranularity(Math.max(1, Number(e.target.value) || 1)); reset(); }}
+                              disabled={isRunning}
+                              className="w-full bg-transparent border border-white/10 rounded-2xl px-4 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </div>
+                          <p className="col-span-2 text-xs text-neutral-400">
+                            Every runnable process should get the CPU once per target latency; no slice is shorter than the minimum granularity.
+                          </p>
+                        </div>
+                      )}
+
+                      {algorithm === Algorithm.MLFQ && (
+                        <div className="grid grid-cols-2 gap-4">
+                          <div>
+                            <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400 mb-2">
+                              <Layers className="w-4 h-4 text-fuchsia-400" />
+                              Queues
+                            </label>
+                            <input
+                              type="number"
+                              min="2"
+                              max="5"
+                              value={mlfqLevels}
+                              onChange={(e) => { setMlfqLevels(Math.min(5, Math.max(2, Number(e.target.value) || 2))); reset(); }}
+                              disabled={isRunning}
+                              className="w-full bg-transparent border border-white/10 rounded-2xl px-4 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </div>
+                          <div>
+                            <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400 mb-2">
+                              <ArrowUpCircle className="w-4 h-4 text-emerald-400" />
+                              Boost
+                            </label>
+                            <input
+                              type="number"
+                              min="0"
+                              max="100"
+                              value={boostInterval}
+                              onChange={(e) => { setBoostInterval(Math.max(0, Number(e.target.value) || 0)); reset(); }}
+                              disabled={isRunning}
+                              className="w-full bg-transparent border border-white/10 rounded-2xl px-4 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </div>
+                          <p className="col-span-2 text-xs text-neutral-400">
+                            Quantum doubles per level ({Array.from({ length: mlfqLevels }, (_, level) => quantum * 2 ** level).join(', ')}). Boost every N units, 0 disables it.
+                          </p>
+                        </div>
+                      )}
+
+                      <div className="space-y-3">
+                        <label className="flex items-center gap-2 text-[11px] uppercase tracking-[0.4em] text-neutral-400">
+                          <Server className="w-4 h-4 text-emerald-400" />
+                          CPUs
+                        </label>
+                        <div className="grid grid-cols-4 gap-2">
+                          {[1, 2, 3, 4].map(count => (
+                            <button
+                              key={count}
+                              type="button"
+                              onClick={() => { setCpuCount(count); reset(); }}
+                              disabled={isRunning}
+                              className={`rounded-xl py-2 text-sm font-semibold transition-colors disabled:opacity-50 ${
+                                cpuCount === count ? 'bg-emerald-600 text-white' : 'bg-slate-900/70 text-slate-300 border border-white/10 hover:bg-slate-800/70'
+                              }`}
+                            >
+                              {count}
+                            </button>
+                          ))}
+                        </div>
+                        {cpuCount > 1 && (
+                          <div className="space-y-3">
+                            <select
+                              value={queueMode}
+                              onChange={(e) => { setQueueMode(e.target.value); reset(); }}
+                              disabled={isRunning}
+                              className="w-full bg-slate-900 border border-white/10 rounded-2xl px-4 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                              <option value={QueueMode.GLOBAL}>Single global ready queue</option>
+                              <option value={QueueMode.PER_CORE}>Per-core run queues</option>
+                            </select>
+                            {queueMode === QueueMode.PER_CORE && (
+                              <div className="grid grid-cols-2 gap-3">
+                                <select
+                                  value={loadBalancing}
+                                  onChange={(e) => { setLoadBalancing(e.target.value); reset(); }}
+                                  disabled={isRunning}
+                                  className={`bg-slate-900 border border-white/10 rounded-2xl px-3 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500 ${loadBalancing === LoadBalancing.PERIODIC ? '' : 'col-span-2'}`}
+                                >
+                                  <option value={LoadBalancing.WORK_STEALING}>Work stealing</option>
+                                  <option value={LoadBalancing.PERIODIC}>Periodic migration</option>
+                                </select>
+                                {loadBalancing === LoadBalancing.PERIODIC && (
+                                  <input
+                                    type="number"
+                                    min="1"
+                                    max="50"
+                                    value={migrationInterval}
+                                    onChange={(e) => { setMigrationInterval(Math.max(1, Number(e.target.value) || 1)); reset(); }}
+                                    disabled={isRunning}
+                                    title="Balance every N units"
+                                    className="bg-transparent border border-white/10 rounded-2xl px-3 py-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                  />
+                                )}
+                              </div>
+                            )}
+                            <p className="text-xs text-neutral-400">
+                              {queueMode === QueueMode.GLOBAL
+                                ? 'All CPUs pull from one shared queue - simple and balanced, but processes hop between CPUs.'
+                                : 'Each CPU has its own queue, so processes stay on the CPU they last ran on (affinity).'}
+                            </p>
+                          </div>
+                        )}
                       </div>
 
                       <div>
@@ -355,16 +871,28 @@ const CPUSimulator = () => {
                       </div>
                     </div>
                     <div className="p-relaxed space-y-5">
-                      <motion.button
-                        whileHover={{ scale: 1.01 }}
-                        whileTap={{ scale: 0.99 }}
-                        onClick={step}
-                        disabled={isDone}
-                        className="w-full flex items-center justify-center gap-2 rounded-2xl bg-blue-600 hover:bg-blue-500 text-white font-semibold px-4 py-3"
-                      >
-                        <SkipForward className="w-4 h-4" />
-                        Step
-                      </motion.button>
+                      <div className="grid grid-cols-2 gap-3">
+                        <motion.button
+                          whileHover={{ scale: 1.01 }}
+                          whileTap={{ scale: 0.99 }}
+                          onClick={stepBack}
+                          disabled={!snapshot?.time}
+                          className="w-full flex items-center justify-center gap-2 rounded-2xl bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-white font-semibold px-4 py-3"
+                        >
+                          <SkipBack className="w-4 h-4" />
+                          Back
+                        </motion.button>
+                        <motion.button
+                          whileHover={{ scale: 1.01 }}
+                          whileTap={{ scale: 0.99 }}
+                          onClick={step}
+                          disabled={isDone}
+                          className="w-full flex items-center justify-center gap-2 rounded-2xl bg-blue-600 hover:bg-blue-500 text-white font-semibold px-4 py-3"
+                        >
+                          <SkipForward className="w-4 h-4" />
+                          Step
+                        </motion.button>
+                      </div>
                       <motion.button
                         whileHover={{ scale: 1.01 }}
                         whileTap={{ scale: 0.99 }}
@@ -397,47 +925,111 @@ const CPUSimulator = () => {
                     </div>
                   </div>
 
+                  {isRealtime && (
+                    <SchedulabilityPanel
+                      processes={processes}
+                      algorithm={algorithm}
+                      onLoadExample={() => { reset(); setProcesses(REALTIME_EXAMPLE.map(p => ({ ...p }))); }}
+                      disabled={isRunning}
+                    />
+                  )}
+
+                  <ScenarioTransfer
+                    kind={ScenarioKind.SCHEDULER}
+                    name={`scheduler-${algorithm.toLowerCase()}`}
+                    getScenario={getScenario}
+                    onLoad={loadScenario}
+                    disabled={isRunning}
+                  />
+
+                  <ScenarioLibrary
+                    kind={ScenarioKind.SCHEDULER}
+                    getScenario={getScenario}
+                    onLoad={loadScenario}
+                    disabled={isRunning}
+                  />
+
+                  <WorkloadGenerator
+                    kind={ScenarioKind.SCHEDULER}
+                    onGenerate={loadScenario}
+                    disabled={isRunning}
+                  />
+
                   <ProcessInput
                     processes={processes}
                     onUpdate={updateProcess}
                     onAdd={addProcess}
                     onRemove={removeProcess}
                     disabled={isRunning}
+                    showRealtime={isRealtime}
+                    weightField={
+                      algorithm === Algorithm.CFS ? 'nice'
+                        : algorithm === Algorithm.LOTTERY || algorithm === Algorithm.STRIDE ? 'tickets'
+                          : 'priority'
+                    }
                   />
                 </div>
 
                 <div className="lg:col-span-8 space-y-4">
                   <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                     <StatusCard icon={Clock} label="Simulated Time" value={snapshot?.time ?? 0} color="blue" />
-                    <StatusCard icon={Cpu} label="Running" value={snapshot?.running?.pid ?? '—'} valueColor={snapshot?.running ? getPidColor(snapshot.running.pid) : undefined} color="emerald" />
+                    {cpuCount > 1 ? (
+                      <StatusCard icon={Cpu} label="Busy CPUs" value={`${snapshot?.cores?.filter(core => core.running).length ?? 0}/${cpuCount}`} color="emerald" />
+                    ) : (
+                      <StatusCard icon={Cpu} label="Running" value={snapshot?.running?.pid ?? '—'} valueColor={snapshot?.running ? getPidColor(snapshot.running.pid) : undefined} color="emerald" />
+                    )}
                     <StatusCard icon={ListOrdered} label="Ready Queue" value={snapshot?.ready?.length ?? 0} color="amber" />
                     <StatusCard icon={CheckCircle2} label="Completed" value={`${snapshot?.processes?.filter(p => p.state === ProcessState.TERMINATED).length ?? 0}/${processes.length}`} color="purple" />
                   </div>
 
-                  {snapshot && (
-                    <RunningProcessDetail running={snapshot.running} processes={snapshot.processes} />
+                  {snapshot && snapshot.cpuCount > 1 && (
+                    <CoreGrid cores={snapshot.cores} processes={snapshot.processes} migrations={snapshot.migrations} />
+                  )}
+
+                  {snapshot && snapshot.cpuCount === 1 && (
+                    <RunningProcessDetail running={snapshot.running} processes={snapshot.processes} cfs={snapshot.cfs} />
                   )}
 
                   {snapshot && (
-                    <ReadyQueue ready={snapshot.ready} algorithm={algorithm} />
+                    <ReadyQueue ready={snapshot.ready} algorithm={algorithm} mlfq={snapshot.mlfq} cores={snapshot.queueMode === QueueMode.PER_CORE ? snapshot.cores : null} />
                   )}
 
                   {snapshot && (
-                    <ProcessStates processes={snapshot.processes} />
+                    <ProcessStates processes={snapshot.processes} algorithm={algorithm} />
                   )}
 
                   {snapshot && (
                     <div className="grid lg:grid-cols-2 gap-6">
-                      <GanttChart gantt={snapshot.gantt || []} currentTime={snapshot.time} />
-                      <TraceViewer trace={snapshot.trace} />
+                      <GanttChart gantt={snapshot.gantt || []} ioGantt={snapshot.ioGantt || []} deadlines={snapshot.deadlines || []} cpuCount={snapshot.cpuCount} currentTime={snapshot.time} endTime={endTime} onSeek={seekTo} />
+                      <TraceViewer trace={snapshot.trace} currentTime={snapshot.time} onJump={seekTo} />
                     </div>
                   )}
 
                   {results && (
                     <div className="space-y-4">
                       <MetricsExplainer isVisible={showMetricsHelp} onToggle={() => setShowMetricsHelp(!showMetricsHelp)} />
+                      <div className="flex flex-wrap items-center gap-3">
+                        <button
+                          type="button"
+                          onClick={exportReport}
+                          className="flex items-center gap-2 rounded-xl px-3 py-2 text-xs font-semibold bg-slate-900/70 text-slate-200 border border-white/10 hover:bg-slate-800/70"
+                        >
+                          <FileText className="w-4 h-4 text-emerald-300" />
+                          Download Report (HTML)
+                        </button>
+                        <button
+                          type="button"
+                          onClick={printReport}
+                          className="flex items-center gap-2 rounded-xl px-3 py-2 text-xs font-semibold bg-slate-900/70 text-slate-200 border border-white/10 hover:bg-slate-800/70"
+                        >
+                          <Printer className="w-4 h-4 text-sky-300" />
+                          Print / Save as PDF
+                        </button>
+                        <span className="text-[11px] text-neutral-500">Process table, results, Gantt chart and insights on one printable page</span>
+                      </div>
                       <ResultsTable results={results} />
-                      <LearningInsights results={results} algorithm={algorithm} quantum={quantum} />
+                      <WorkedSolution results={results} algorithm={algorithm} quantum={quantum} />
+                      <LearningInsights results={results} algorithm={algorithm} quantum={quantum} agingInterval={agingInterval} />
                     </div>
                   )}
                 </div>
@@ -445,6 +1037,64 @@ const CPUSimulator = () => {
             </motion.div>
           )}
 
+          {activePage === 'compare' && (
+            <motion.div
+              key="compare"
+              layout
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+              className="space-y-8"
+            >
+              <div className="glass relative overflow-hidden rounded-3xl border border-white/10 bg-slate-900/60 px-6 py-5 shadow-[0_25px_40px_-20px_rgba(217,70,239,0.6)]">
+                <div className="pointer-events-none absolute -top-10 right-6 h-28 w-28 rounded-full bg-fuchsia-500/20 blur-[120px]" />
+                <div className="flex flex-col gap-3">
+                  <p className="text-xs uppercase tracking-[0.4em] text-fuchsia-300">Comparison Lab</p>
+                  <h2 className="text-3xl font-semibold text-white">
+                    Algorithms Side by Side
+                  </h2>
+                  <p className="text-sm text-neutral-400">
+                    Run the same processes through several schedulers at once and see which one wins on waiting, turnaround, response time, throughput and context switches.
+                  </p>
+                </div>
+              </div>
+              {/* Editing here also restarts the Scheduling page run, which simulates the same processes */}
+              <ProcessInput
+                processes={processes}
+                onUpdate={(idx, field, value) => { reset(); updateProcess(idx, field, value); }}
+                onAdd={() => { reset(); addProcess(); }}
+                onRemove={(idx) => { reset(); removeProcess(idx); }}
+                disabled={false}
+              />
+              <ComparisonView processes={processes} options={comparisonOptions} />
+            </motion.div>
+          )}
+
+          {activePage === 'experiments' && (
+            <motion.div
+              key="experiments"
+              layout
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+              className="space-y-8"
+            >
+              <div className="glass relative overflow-hidden rounded-3xl border border-white/10 bg-slate-900/60 px-6 py-5 shadow-[0_25px_40px_-20px_rgba(52,211,153,0.5)]">
+                <div className="pointer-events-none absolute -top-10 right-6 h-28 w-28 rounded-full bg-emerald-500/20 blur-[120px]" />
+                <div className="flex flex-col gap-3">
+                  <p className="text-xs uppercase tracking-[0.4em] text-emerald-300">Experiment Lab</p>
+                  <h2 className="text-3xl font-semibold text-white">
+                    Parameter Sweeps
+                  </h2>
+                  <p className="text-sm text-neutral-400">
+                    Vary one knob across a range and watch the metrics move: waiting time and context switches against the Round Robin quantum, fault rate against the number of frames, fragmentation against the allocation unit.
+                  </p>
+                </div>
+              </div>
+              <ExperimentView processes={processes} options={comparisonOptions} />
+            </motion.div>
+          )}
+
           {activePage === 'storage' && (
             <motion.div
               key="storage"
@@ -494,7 +1144,7 @@ const CPUSimulator = () => {
                     Replacement Policy Studio
                   </h2>
                   <p className="text-sm text-neutral-400">
-                    Visualize FIFO, LRU, and Optimal page replacement across fixed-size frames while tracking faults and hits.
+                    Visualize FIFO, LRU, Clock, and Optimal page replacement across fixed-size frames while tracking faults, hits and dirty pages.
                   </p>
                   <div className="flex flex-wrap items-center gap-3">
                     <div className="rounded-full bg-white/10 px-3 py-1 text-xs uppercase tracking-[0.4em] text-white">Live</div>
@@ -543,7 +1193,7 @@ const CPUSimulator = () => {
             🎓 Educational CPU Scheduling Simulator
           </p>
           <p className="text-slate-500 text-xs mt-1">
-            Learn FCFS, SJF, SRTF, Priority, and Round Robin through interactive visualization
+            Learn {Object.keys(Algorithm).length} scheduling algorithms, from FCFS to CFS and EDF, through interactive visualization
           </p>
         </div>
       </footer>
@@ -553,6 +1203,73 @@ const CPUSimulator = () => {
 
 // ===== SUB-COMPONENTS =====
 
+const SchedulabilityPanel = ({ processes, algorithm, onLoadExample, disabled }) => {
+  const analysis = analyzeSchedulability(processes);
+  const verdict = algorithm === Algorithm.RM ? analysis.rm : analysis.edf;
+  const verdictStyles = {
+    schedulable: 'bg-emerald-500/15 text-emerald-300 border-emerald-500/40',
+    inconclusive: 'bg-amber-500/15 text-amber-300 border-amber-500/40',
+    unschedulable: 'bg-rose-500/15 text-rose-300 border-rose-500/40',
+  };
+  const load = analysis.constrained ? 'density' : 'U';
+  const value = analysis.constrained ? analysis.density : analysis.utilization;
+
+  return (
+    <div className="glass rounded-2xl overflow-hidden border border-white/10">
+      <div className="px-5 py-4 border-b border-white/10 flex items-center gap-3">
+        <div className="w-10 h-10 rounded-lg bg-gradient-to-br from-rose-500 to-orange-500 flex items-center justify-center">
+          <AlarmClock className="w-5 h-5 text-white" />
+        </div>
+        <div>
+          <h3 className="font-semibold text-white">Schedulability Test</h3>
+          <p className="text-xs text-neutral-400">
+            {algorithm === Algorithm.RM ? 'Liu & Layland utilization bound' : 'EDF utilization test (U ≤ 1)'}
+          </p>
+        </div>
+      </div>
+      <div className="p-5 space-y-3 text-sm">
+        {analysis.tasks.length === 0 ? (
+          <>
+            <p className="text-slate-400 text-xs">
+              No periodic tasks yet. Give a process a period to turn it into a periodic task: it releases a new job every period, each due one deadline later.
+            </p>
+            <button
+              type="button"
+              onClick={onLoadExample}
+              disabled={disabled}
+              className="w-full rounded-xl py-2 text-sm font-semibold bg-slate-900/70 text-slate-200 border border-white/10 hover:bg-slate-800/70 disabled:opacity-50"
+            >
+              Load example task set
+            </button>
+          </>
+        ) : (
+          <>
+            <div className="font-mono text-xs text-slate-300 space-y-1">
+              <div>
+                {load} = {analysis.tasks.map(t => `${t.wcet}/${analysis.constrained ? Math.min(t.deadline, t.period) : t.period}`).join(' + ')} = <strong className="text-white">{value}</strong>
+              </div>
+              {algorithm === Algorithm.RM && (
+                <div>
+                  bound = n(2^(1/n) − 1) = {analysis.tasks.length}(2^(1/{analysis.tasks.length}) − 1) = <strong className="text-white">{analysis.rmBound}</strong>
+                </div>
+              )}
+              <div className="text-slate-500">Hyperperiod: {analysis.hyperperiod}</div>
+            </div>
+            <div className={`rounded-lg border px-3 py-2 text-xs font-semibold uppercase tracking-wide ${verdictStyles[verdict]}`}>
+              {verdict}
+            </div>
+            <p className="text-xs text-slate-400">
+              {verdict === 'schedulable' && 'Every deadline is guaranteed to be met.'}
+              {verdict === 'unschedulable' && 'The tasks need more than 100% of the CPU - some deadlines will be missed.'}
+              {verdict === 'inconclusive' && 'The test cannot decide. Run the simulation over the hyperperiod to find out.'}
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
 const StatusCard = ({ icon: Icon, label, value, color, valueColor }) => {
   const colors = {
     blue: 'from-indigo-500 to-blue-500',
@@ -584,11 +1301,12 @@ const StatusCard = ({ icon: Icon, label, value, color, valueColor }) => {
   );
 };
 
-const RunningProcessDetail = ({ running, processes }) => {
+const RunningProcessDetail = ({ running, processes, cfs }) => {
   const processData = running ? processes.find(p => p.pid === running.pid) : null;
   const progress = processData 
-    ? ((processData.burstTime - running.remainingTime) / processData.burstTime) * 100 
+    ? (processData.executedTime / processData.burstTime) * 100 
     : 0;
+  const hasIo = processData?.bursts?.length > 1;
 
   return (
     <motion.div 
@@ -630,7 +1348,18 @@ const RunningProcessDetail = ({ running, processes }) => {
                 <div>
                   <p className="text-white font-semibold">
                     {running.remainingTime} time unit{running.remainingTime !== 1 ? 's' : ''} remaining
+                    {hasIo && <span className="text-slate-400 font-normal"> in this CPU burst</span>}
                   </p>
+                  {running.switchRemaining > 0 && (
+                    <p className="text-sm text-slate-300">
+                      Loading context... {running.switchRemaining} unit{running.switchRemaining !== 1 ? 's' : ''} of switching left
+                    </p>
+                  )}
+                  {cfs && (
+                    <p className="text-sm text-sky-300">
+                      vruntime {formatUnits(running.vruntime)} · min_vruntime {formatUnits(cfs.minVruntime)} · slice {running.timeSlice}
+                    </p>
+                  )}
                   <p className="text-sm text-slate-400">
                     {Math.round(progress)}% complete
                   </p>
@@ -662,7 +1391,69 @@ const RunningProcessDetail = ({ running, processes }) => {
   );
 };
 
-const ReadyQueue = ({ ready, algorithm }) => {
+const CoreGrid = ({ cores, processes, migrations }) => {
+  return (
+    <motion.div 
+      layout
+      className="bg-gradient-to-r from-emerald-900/40 via-teal-900/30 to-cyan-900/30 border border-emerald-500/40 rounded-xl p-5 shadow-[0_20px_60px_-40px_rgba(0,255,200,0.4)]"
+    >
+      <h3 className="font-semibold mb-3 flex items-center gap-2 text-emerald-300">
+        <Server className="w-5 h-5" />
+        CPUs
+        <span className="text-xs text-slate-400 font-normal ml-2">({migrations} migration{migrations !== 1 ? 's' : ''} so far)</span>
+      </h3>
+      <div className="grid sm:grid-cols-2 gap-3">
+        {cores.map(core => {
+          const processData = core.running ? processes.find(p => p.pid === core.running.pid) : null;
+          const progress = processData ? (processData.executedTime / processData.burstTime) * 100 : 0;
+          return (
+            <div key={core.id} className="bg-slate-900/60 rounded-lg border border-slate-700/60 p-3 space-y-2">
+              <div className="flex items-center justify-between text-xs text-slate-400">
+                <span className="font-semibold text-white">CPU{core.id}</span>
+                <span>{core.busyTicks} busy unit{core.busyTicks !== 1 ? 's' : ''}</span>
+              </div>
+              {core.running ? (
+                <>
+                  <div className="flex items-center justify-between">
+                    <span className="font-bold text-lg" style={{ color: getPidColor(core.running.pid) }}>
+                      {core.running.pid}
+                    </span>
+                    <span className="text-xs text-slate-400">
+                      {core.running.switchRemaining > 0 ? 'switching' : `${core.running.remainingTime} left`}
+                    </span>
+                  </div>
+                  <div className="w-full bg-slate-900 rounded-full h-2 overflow-hidden border border-emerald-600/30">
+                    <motion.div
+                      animate={{ width: `${progress}%` }}
+                      transition={{ duration: 0.3, ease: 'easeOut' }}
+                      className="h-full bg-gradient-to-r from-emerald-500 to-teal-400"
+                    />
+                  </div>
+                </>
+              ) : (
+                <p className="text-sm text-slate-500 py-1">IDLE</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </motion.div>
+  );
+};
+
+const ReadyQueue = ({ ready, algorithm, mlfq, cores }) => {
+  if (cores) {
+    return <PerCoreReadyQueue ready={ready} cores={cores} algorithm={algorithm} />;
+  }
+
+  if (algorithm === 'MLFQ' && mlfq) {
+    return <MultilevelReadyQueue ready={ready} mlfq={mlfq} />;
+  }
+
+  if (algorithm === 'CFS') {
+    return <FairReadyQueue ready={ready} />;
+  }
+
   return (
     <div className="glass rounded-xl p-5 bg-gradient-to-br from-slate-900/70 via-slate-900/40 to-[#11182f]/60 border border-slate-700/70">
       <h3 className="font-semibold mb-3 flex items-center gap-2">
@@ -707,7 +1498,27 @@ const ReadyQueue = ({ ready, algorithm }) => {
                     <span>Remaining: <strong className="text-slate-300">{p.remainingTime}</strong></span>
                     <span>Burst: <strong className="text-slate-300">{p.burstTime}</strong></span>
                     {algorithm === 'PRIORITY' && (
-                      <span>Priority: <strong className="text-amber-400">{p.priority}</strong></span>
+                      <span>
+                        Priority: <strong className="text-amber-400">{p.priority}</strong>
+                        {p.effectivePriority !== p.priority && (
+                          <> → <strong className="text-emerald-400">{p.effectivePriority}</strong> (aged)</>
+                        )}
+                      </span>
+                    )}
+                    {algorithm === 'HRRN' && (
+                      <span>Response ratio: <strong className="text-emerald-400">{p.responseRatio}</strong></span>
+                    )}
+                    {(algorithm === 'LOTTERY' || algorithm === 'STRIDE') && (
+                      <span>Tickets: <strong className="text-pink-400">{p.tickets}</strong></span>
+                    )}
+                    {algorithm === 'STRIDE' && (
+                      <span>Pass: <strong className="text-sky-300">{formatUnits(p.pass)}</strong></span>
+                    )}
+                    {algorithm === 'SJF' && p.agingBoost > 0 && (
+                      <span>Aged estimate: <strong className="text-emerald-400">{p.burstEstimate}</strong></span>
+                    )}
+                    {p.predictedBurst !== null && (
+                      <span>Predicted τ: <strong className="text-violet-400">{p.predictedBurst}</strong> vs actual {p.currentBurst}</span>
                     )}
                   </div>
                 </div>
@@ -723,7 +1534,180 @@ const ReadyQueue = ({ ready, algorithm }) => {
   );
 };
 
-const ProcessStates = ({ processes }) => {
+const PerCoreReadyQueue = ({ ready, cores, algorithm }) => {
+  return (
+    <div className="glass rounded-xl p-5 bg-gradient-to-br from-slate-900/70 via-slate-900/40 to-[#11182f]/60 border border-slate-700/70">
+      <h3 className="font-semibold mb-3 flex items-center gap-2">
+        <ListOrdered className="w-5 h-5 text-blue-400" />
+        Per-Core Run Queues
+        <span className="text-xs text-slate-400 font-normal ml-2">
+          ({algorithm === 'RR' || algorithm === 'FCFS' ? 'FIFO Order' : `Sorted by ${algorithm} policy`} on each CPU)
+        </span>
+      </h3>
+
+      <div className="space-y-2">
+        {cores.map(core => {
+          const queued = ready.filter(p => p.core === core.id);
+          return (
+            <div
+              key={core.id}
+              className="bg-slate-900/60 rounded-lg border border-slate-700/60 p-3 flex items-center gap-3"
+            >
+              <div className="w-20 flex-shrink-0">
+                <div className="font-bold text-sm text-white">CPU{core.id}</div>
+                <div className="text-[11px] text-slate-400">{queued.length} waiting</div>
+              </div>
+              <div className="flex flex-wrap gap-2 min-h-[2rem] items-center">
+                <AnimatePresence mode="popLayout">
+                  {queued.map(p => (
+                    <motion.span
+                      key={p.pid}
+                      layout
+                      initial={{ opacity: 0, scale: 0.8 }}
+                      animate={{ opacity: 1, scale: 1 }}
+                      exit={{ opacity: 0, scale: 0.8 }}
+                      className="px-2 py-1 rounded text-xs font-semibold bg-slate-800 border"
+                      style={{ color: getPidColor(p.pid), borderColor: getPidColor(p.pid) }}
+                      title={`Remaining: ${p.remainingTime}`}
+                    >
+                      {p.pid} <span className="text-slate-400 font-normal">({p.remainingTime})</span>
+                    </motion.span>
+                  ))}
+                </AnimatePresence>
+                {queued.length === 0 && (
+                  <span className="text-xs text-slate-500">empty</span>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const FairReadyQueue = ({ ready }) => {
+  const [sortBy, setSortBy] = useState('vruntime');
+  const sorters = {
+    vruntime: (a, b) => a.vruntime - b.vruntime || a.arrivalTime - b.arrivalTime,
+    nice: (a, b) => a.nice - b.nice || a.vruntime - b.vruntime,
+    pid: (a, b) => a.pid.localeCompare(b.pid),
+  };
+  const sorted = [...ready].sort(sorters[sortBy]);
+
+  return (
+    <div className="glass rounded-xl p-5 bg-gradient-to-br from-slate-900/70 via-slate-900/40 to-[#11182f]/60 border border-slate-700/70">
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <h3 className="font-semibold flex items-center gap-2">
+          <ListOrdered className="w-5 h-5 text-blue-400" />
+          Run Queue
+          <span className="text-xs text-slate-400 font-normal ml-2">(red-black tree keyed by vruntime)</span>
+        </h3>
+        <select
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value)}
+          className="bg-slate-900 border border-white/10 rounded-lg px-2 py-1 text-xs text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="vruntime">Sort by vruntime</option>
+          <option value="nice">Sort by nice</option>
+          <option value="pid">Sort by PID</option>
+        </select>
+      </div>
+
+      {sorted.length === 0 ? (
+        <div className="text-slate-400 text-sm p-4 bg-slate-900/50 rounded-lg border border-slate-600/50 text-center">
+          Queue is empty - all processes either running, completed, or not yet arrived
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <AnimatePresence mode="popLayout">
+            {sorted.map((p, i) => (
+              <motion.div
+                key={p.pid}
+                layout
+                initial={{ opacity: 0, x: -30 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: 30 }}
+                className="bg-slate-900/80 rounded-lg p-3 border border-slate-700/60 flex items-center justify-between"
+                style={{ borderLeftColor: getPidColor(p.pid), borderLeftWidth: '4px' }}
+              >
+                <div className="flex items-center gap-3">
+                  <span className="font-bold text-lg" style={{ color: getPidColor(p.pid) }}>{p.pid}</span>
+                  <div className="text-xs text-slate-400 space-x-3">
+                    <span>vruntime: <strong className="text-sky-300">{formatUnits(p.vruntime)}</strong></span>
+                    <span>nice: <strong className="text-slate-300">{p.nice}</strong></span>
+                    <span>weight: <strong className="text-slate-300">{p.weight}</strong></span>
+                    <span>Remaining: <strong className="text-slate-300">{p.remainingTime}</strong></span>
+                  </div>
+                </div>
+                {sortBy === 'vruntime' && i === 0 && (
+                  <span className="text-xs text-emerald-300 bg-emerald-500/10 border border-emerald-500/30 px-2 py-1 rounded">next</span>
+                )}
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const MultilevelReadyQueue = ({ ready, mlfq }) => {
+  const lanes = Array.from({ length: mlfq.levels }, (_, level) => ({
+    level,
+    quantum: mlfq.quanta[level],
+    processes: ready.filter(p => p.queueLevel === level),
+  }));
+
+  return (
+    <div className="glass rounded-xl p-5 bg-gradient-to-br from-slate-900/70 via-slate-900/40 to-[#11182f]/60 border border-slate-700/70">
+      <h3 className="font-semibold mb-3 flex items-center gap-2">
+        <Layers className="w-5 h-5 text-fuchsia-400" />
+        Feedback Queues
+        <span className="text-xs text-slate-400 font-normal ml-2">
+          (Q0 is served first{mlfq.boostInterval > 0 ? `, boost every ${mlfq.boostInterval} units` : ''})
+        </span>
+      </h3>
+
+      <div className="space-y-2">
+        {lanes.map(lane => (
+          <div
+            key={lane.level}
+            className="bg-slate-900/60 rounded-lg border border-slate-700/60 p-3 flex items-center gap-3"
+          >
+            <div className="w-20 flex-shrink-0">
+              <div className="font-bold text-sm text-white">Q{lane.level}</div>
+              <div className="text-[11px] text-slate-400">q = {lane.quantum}</div>
+            </div>
+            <div className="flex flex-wrap gap-2 min-h-[2rem] items-center">
+              <AnimatePresence mode="popLayout">
+                {lane.processes.map(p => (
+                  <motion.span
+                    key={p.pid}
+                    layout
+                    initial={{ opacity: 0, scale: 0.8 }}
+                    animate={{ opacity: 1, scale: 1 }}
+                    exit={{ opacity: 0, scale: 0.8 }}
+                    className="px-2 py-1 rounded text-xs font-semibold bg-slate-800 border"
+                    style={{ color: getPidColor(p.pid), borderColor: getPidColor(p.pid) }}
+                    title={`Remaining: ${p.remainingTime}`}
+                  >
+                    {p.pid} <span className="text-slate-400 font-normal">({p.remainingTime})</span>
+                  </motion.span>
+                ))}
+              </AnimatePresence>
+              {lane.processes.length === 0 && (
+                <span className="text-xs text-slate-500">empty</span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const ProcessStates = ({ processes, algorithm }) => {
   const stateConfig = {
     [ProcessState.NEW]: { 
       color: 'from-slate-600 to-slate-700', 
@@ -740,6 +1724,11 @@ const ProcessStates = ({ processes }) => {
       border: 'border-emerald-500',
       text: 'Executing on CPU'
     },
+    [ProcessState.WAITING]: { 
+      color: 'from-amber-600/30 to-amber-700/30', 
+      border: 'border-amber-500',
+      text: 'Blocked on I/O'
+    },
     [ProcessState.TERMINATED]: { 
       color: 'from-purple-600/30 to-purple-700/30', 
       border: 'border-purple-500',
@@ -754,7 +1743,7 @@ const ProcessStates = ({ processes }) => {
         Process State Diagram
       </h3>
       <p className="text-xs text-slate-400 mb-4">
-        Track each process: NEW → READY → RUNNING → TERMINATED
+        Track each process: NEW → READY → RUNNING → TERMINATED (RUNNING → WAITING → READY on I/O)
       </p>
       
       <div className="space-y-2">
@@ -782,6 +1771,29 @@ const ProcessStates = ({ processes }) => {
                     <span>BT: {p.burstTime}</span>
                     <span className="mx-2">|</span>
                     <span>Remaining: {p.remainingTime}</span>
+                    {algorithm === Algorithm.PRIORITY && (
+                      <>
+                        <span className="mx-2">|</span>
+                        <span>
+                          Priority: {p.priority}
+                          {p.effectivePriority !== p.priority && (
+                            <span className="text-emerald-300"> (effective {p.effectivePriority})</span>
+                          )}
+                        </span>
+                      </>
+                    )}
+                    {p.predictedBurst !== null && p.state !== ProcessState.TERMINATED && (
+                      <>
+                        <span className="mx-2">|</span>
+                        <span className="text-violet-300">τ: {p.predictedBurst} (actual {p.actualBurst})</span>
+                      </>
+                    )}
+                    {p.state === ProcessState.WAITING && (
+                      <>
+                        <span className="mx-2">|</span>
+                        <span className="text-amber-300">I/O left: {p.ioRemaining}</span>
+                      </>
+                    )}
                   </div>
                 </div>
                 <div className="text-right">
@@ -798,6 +1810,11 @@ const ProcessStates = ({ processes }) => {
 };
 
 const ResultsTable = ({ results }) => {
+  const hasIo = results.processes.some(p => p.ioTime > 0);
+  const multiCore = results.cores?.length > 1;
+  const hasDeadlines = results.processes.some(p => p.absoluteDeadline !== null);
+  const hasPredictions = results.mispredictions !== null;
+
   return (
     <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl overflow-hidden">
       <div className="px-5 py-4 border-b border-slate-700 flex items-center justify-between flex-wrap gap-4">
@@ -818,6 +1835,10 @@ const ResultsTable = ({ results }) => {
             <div className="text-2xl font-bold text-emerald-400">{results.averages.turnaround}</div>
             <div className="text-xs text-slate-400">Avg. Turnaround</div>
           </div>
+          <div className="text-center">
+            <div className="text-2xl font-bold text-cyan-400">{results.averages.response}</div>
+            <div className="text-xs text-slate-400">Avg. Response</div>
+          </div>
         </div>
       </div>
       
@@ -828,9 +1849,14 @@ const ResultsTable = ({ results }) => {
               <th className="px-4 py-3 text-left font-medium">Process</th>
               <th className="px-4 py-3 text-right font-medium">Arrival</th>
               <th className="px-4 py-3 text-right font-medium">Burst</th>
+              {hasIo && <th className="px-4 py-3 text-right font-medium">Blocked (I/O)</th>}
+              {multiCore && <th className="px-4 py-3 text-right font-medium">Migrations</th>}
               <th className="px-4 py-3 text-right font-medium">Completion</th>
               <th className="px-4 py-3 text-right font-medium">Turnaround</th>
               <th className="px-4 py-3 text-right font-medium">Waiting</th>
+              <th className="px-4 py-3 text-right font-medium">Response</th>
+              {hasDeadlines && <th className="px-4 py-3 text-right font-medium">Deadline</th>}
+              {hasPredictions && <th className="px-4 py-3 text-right font-medium">Predicted / Actual</th>}
             </tr>
           </thead>
           <tbody>
@@ -852,53 +1878,136 @@ const ResultsTable = ({ results }) => {
                 </td>
                 <td className="px-4 py-3 text-right text-slate-300">{p.arrivalTime}</td>
                 <td className="px-4 py-3 text-right text-slate-300">{p.burstTime}</td>
+                {hasIo && <td className="px-4 py-3 text-right text-slate-300">{p.blockedTime}</td>}
+                {multiCore && <td className="px-4 py-3 text-right text-slate-300">{p.migrations}</td>}
                 <td className="px-4 py-3 text-right text-blue-400 font-semibold">{p.completionTime}</td>
                 <td className="px-4 py-3 text-right text-emerald-400 font-semibold">{p.turnaroundTime}</td>
                 <td className="px-4 py-3 text-right text-amber-400 font-semibold">{p.waitingTime}</td>
+                <td className="px-4 py-3 text-right text-cyan-400 font-semibold">{p.responseTime}</td>
+                {hasDeadlines && (
+                  <td className={`px-4 py-3 text-right font-semibold ${p.missedDeadline ? 'text-rose-400' : 'text-slate-300'}`}>
+                    {p.absoluteDeadline ?? '—'}
+                    {p.absoluteDeadline !== null && (p.missedDeadline ? ' ✗ missed' : ' ✓')}
+                  </td>
+                )}
+                {hasPredictions && (
+                  <td className="px-4 py-3 text-right text-violet-300 whitespace-nowrap">
+                    {p.predictions.map(b => `${b.predicted}/${b.actual}`).join(', ')}
+                  </td>
+                )}
               </motion.tr>
             ))}
           </tbody>
         </table>
       </div>
+
+      {results.shares && <FairShareTable shares={results.shares} />}
+
+      <div className="px-5 py-4 border-t border-slate-700 flex flex-wrap gap-3 text-xs">
+        <div className="rounded-lg bg-slate-900/60 border border-slate-700/60 px-3 py-2">
+          <span className="text-slate-400">Throughput </span>
+          <strong className="text-white">{results.throughput}</strong>
+          <span className="text-slate-500"> processes/unit</span>
+        </div>
+        <div className="rounded-lg bg-slate-900/60 border border-slate-700/60 px-3 py-2">
+          <span className="text-slate-400">CPU utilization </span>
+          <strong className="text-emerald-400">{results.cpuUtilization}%</strong>
+          <span className="text-slate-500"> ({results.idleTime} idle)</span>
+        </div>
+        <div className="rounded-lg bg-slate-900/60 border border-slate-700/60 px-3 py-2">
+          <span className="text-slate-400">Preemptions </span>
+          <strong className="text-amber-400">{results.preemptions}</strong>
+        </div>
+        <div className="rounded-lg bg-slate-900/60 border border-slate-700/60 px-3 py-2">
+          <span className="text-slate-400">Jain's fairness </span>
+          <strong className="text-sky-300">{results.fairness.jainIndex}</strong>
+        </div>
+        <div className="rounded-lg bg-slate-900/60 border border-slate-700/60 px-3 py-2">
+          <span className="text-slate-400">Waiting max / min </span>
+          <strong className="text-white">{results.fairness.maxWaiting} / {results.fairness.minWaiting}</strong>
+        </div>
+        <div className="rounded-lg bg-slate-900/60 border border-slate-700/60 px-3 py-2">
+          <span className="text-slate-400">Context switches </span>
+          <strong className="text-white">{results.contextSwitches}</strong>
+        </div>
+        <div className="rounded-lg bg-slate-900/60 border border-slate-700/60 px-3 py-2">
+          <span className="text-slate-400">Time lost to switching </span>
+          <strong className="text-rose-400">{results.switchTime}</strong>
+        </div>
+        <div className="rounded-lg bg-slate-900/60 border border-slate-700/60 px-3 py-2">
+          <span className="text-slate-400">CPU efficiency </span>
+          <strong className="text-emerald-400">{results.cpuEfficiency}%</strong>
+        </div>
+        {hasDeadlines && (
+          <div className="rounded-lg bg-slate-900/60 border border-slate-700/60 px-3 py-2">
+            <span className="text-slate-400">Deadline misses </span>
+            <strong className={results.deadlineMisses ? 'text-rose-400' : 'text-emerald-400'}>{results.deadlineMisses}</strong>
+          </div>
+        )}
+        {hasPredictions && (
+          <div className="rounded-lg bg-slate-900/60 border border-slate-700/60 px-3 py-2">
+            <span className="text-slate-400">Mispredictions </span>
+            <strong className={results.mispredictions ? 'text-rose-400' : 'text-emerald-400'}>{results.mispredictions}</strong>
+          </div>
+        )}
+        {multiCore && (
+          <>
+            {results.cores.map(core => (
+              <div key={core.id} className="rounded-lg bg-slate-900/60 border border-slate-700/60 px-3 py-2">
+                <span className="text-slate-400">CPU{core.id} utilization </span>
+                <strong className="text-emerald-400">{core.utilization}%</strong>
+                <span className="text-slate-500"> ({core.busyTicks}/{results.finalClock} units)</span>
+              </div>
+            ))}
+            <div className="rounded-lg bg-slate-900/60 border border-slate-700/60 px-3 py-2">
+              <span className="text-slate-400">Total migrations </span>
+              <strong className="text-amber-400">{results.migrations}</strong>
+            </div>
+          </>
+        )}
+      </div>
     </div>
   );
 };
 
-const LearningInsights = ({ results, algorithm, quantum }) => {
-  const insights = {
-    [Algorithm.FCFS]: {
-      color: 'amber',
-      icon: '📌',
-      title: 'FCFS Observation',
-      insight: 'If a long process arrived first, all shorter processes had to wait. This is called the "Convoy Effect" - like being stuck behind a slow truck on a single-lane road!'
-    },
-    [Algorithm.SJF]: {
-      color: 'emerald',
-      icon: '📌',
-      title: 'SJF Observation',
-      insight: 'Shorter processes completed quickly, minimizing overall waiting time. However, if short jobs keep arriving, long jobs might wait indefinitely (starvation).'
-    },
-    [Algorithm.SRTF]: {
-      color: 'blue',
-      icon: '📌',
-      title: 'SRTF Observation',
-      insight: 'Preemption allowed shorter jobs to jump ahead. Notice the context switches in the Gantt chart - each switch has overhead in real systems!'
-    },
-    [Algorithm.PRIORITY]: {
-      color: 'purple',
-      icon: '📌',
-      title: 'Priority Observation',
-      insight: 'Higher priority (lower number) processes ran first. In real systems, we use "aging" to prevent low-priority tasks from starving forever.'
-    },
-    [Algorithm.RR]: {
-      color: 'cyan',
-      icon: '📌',
-      title: 'Round Robin Observation',
-      insight: `Each process got a fair share with quantum=${quantum}. More context switches than other algorithms, but better response time for all processes!`
-    }
-  };
+const FairShareTable = ({ shares }) => {
+  return (
+    <div className="px-5 py-4 border-t border-slate-700 space-y-3">
+      <div>
+        <h4 className="text-sm font-semibold text-white">Proportional Share</h4>
+        <p className="text-xs text-slate-400">
+          Share of the CPU each process was entitled to by its tickets while it competed for the CPU, next to the share it actually received.
+        </p>
+      </div>
+      <div className="space-y-2">
+        {shares.map(share => (
+          <div key={share.pid} className="grid grid-cols-[4rem_1fr_auto] items-center gap-3 text-xs">
+            <span className="font-bold" style={{ color: getPidColor(share.pid) }}>
+              {share.pid}
+              <span className="block text-[10px] font-normal text-slate-500">{share.tickets} tickets</span>
+            </span>
+            <div className="space-y-1">
+              <div className="h-2 rounded-full bg-slate-900 overflow-hidden" title={`Expected ${share.expectedShare}%`}>
+                <div className="h-full bg-slate-500" style={{ width: `${share.expectedShare}%` }} />
+              </div>
+              <div className="h-2 rounded-full bg-slate-900 overflow-hidden" title={`Actual ${share.actualShare}%`}>
+                <div className="h-full" style={{ width: `${share.actualShare}%`, backgroundColor: getPidColor(share.pid) }} />
+              </div>
+            </div>
+            <span className="text-slate-300 text-right whitespace-nowrap">
+              {share.expectedShare}% → <strong className="text-white">{share.actualShare}%</strong>
+              <span className="block text-[10px] text-slate-500">{share.expected} vs {share.actual} units</span>
+            </span>
+          </div>
+        ))}
+      </div>
+      <p className="text-[11px] text-slate-500">Grey bar: expected share · colored bar: actual share</p>
+    </div>
+  );
+};
 
-  const info = insights[algorithm];
+const LearningInsights = ({ results, algorithm, quantum, agingInterval }) => {
+  const { points, observation: info } = getLearningInsights(results, algorithm, quantum, agingInterval);
   const colorClasses = {
     amber: 'from-amber-900/30 to-amber-800/30 border-amber-500/30 text-amber-300',
     emerald: 'from-emerald-900/30 to-emerald-800/30 border-emerald-500/30 text-emerald-300',
@@ -918,15 +2027,11 @@ const LearningInsights = ({ results, algorithm, quantum }) => {
       </h3>
       
       <div className="space-y-3 text-sm">
-        <p className="text-slate-300">
-          <strong>Average Waiting Time: {results.averages.waiting}</strong> — Each process waited this long on average before getting CPU time.
-        </p>
-        <p className="text-slate-300">
-          <strong>Average Turnaround Time: {results.averages.turnaround}</strong> — From arrival to completion, this is the average total time.
-        </p>
-        <p className="text-slate-300">
-          <strong>Total Simulation Time: {results.finalClock}</strong> — All processes completed at t={results.finalClock}.
-        </p>
+        {points.map(point => (
+          <p key={point.label} className="text-slate-300">
+            <strong>{point.label}</strong> — {point.text}
+          </p>
+        ))}
         
         <div className={`mt-4 p-4 rounded-lg bg-slate-900/50 ${colorClasses[info.color].split(' ').slice(-1)[0]}`}>
           <p>
@@ -0,0 +1,301 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Columns, Play, Pause, SkipForward, FastForward, RotateCcw, Trophy } from 'lucide-react';
+import GanttChart from './GanttChart';
+import { SchedulerEngine, Algorithm } from './SchedulerEngine';
+
+const DEFAULT_SELECTION = [Algorithm.FCFS, Algorithm.SJF, Algorithm.SRTF, Algorithm.RR];
+
+// Metrics shown in the comparison table; better = which direction wins
+const METRICS = [
+  { key: 'waiting', label: 'Avg. Waiting', better: 'lower' },
+  { key: 'turnaround', label: 'Avg. Turnaround', better: 'lower' },
+  { key: 'response', label: 'Avg. Response', better: 'lower' },
+  { key: 'throughput', label: 'Throughput', better: 'higher', unit: '/unit' },
+  { key: 'cpuUtilization', label: 'CPU Utilization', better: 'higher', unit: '%' },
+  { key: 'jainIndex', label: "Jain's Fairness", better: 'higher' },
+  { key: 'contextSwitches', label: 'Context Switches', better: 'lower' },
+];
+
+/**
+ * Condense finalizeMetrics output into one comparison row
+ */
+const summarize = (results) => ({
+  waiting: results.averages.waiting,
+  turnaround: results.averages.turnaround,
+  response: results.averages.response,
+  throughput: results.throughput,
+  cpuUtilization: results.cpuUtilization,
+  jainIndex: results.fairness.jainIndex,
+  contextSwitches: results.contextSwitches,
+});
+
+/**
+ * ComparisonView Component
+ * Runs one process set through several algorithms side by side.
+ * Every algorithm gets its own engine; lock-step playback advances all of them
+ * by one tick together so the stacked Gantt charts stay aligned in time.
+ * The table marks the best algorithm for each metric once the runs finish.
+ */
+const ComparisonView = ({ processes, options }) => {
+  const [selected, setSelected] = useState(DEFAULT_SELECTION);
+  const [runs, setRuns] = useState([]);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(500);
+  const timerRef = useRef(null);
+  // Engines are mutable, so the latest runs live in a ref and are stepped outside state updaters
+  const runsRef = useRef([]);
+
+  const update = (next) => {
+    runsRef.current = next;
+    setRuns(next);
+  };
+
+  const createRuns = useCallback(() => selected.map(algorithm => {
+    const engine = new SchedulerEngine(processes, algorithm, options);
+    return { algorithm, engine, snapshot: engine.getSnapshot(), summary: null };
+  }), [selected, processes, options]);
+
+  const stopTimer = () => {
+    if (timerRef.current) {
+      clearInterval(timerRef.current);
+      timerRef.current = null;
+    }
+  };
+
+  const reset = useCallback(() => {
+    setPlaying(false);
+    stopTimer();
+    runsRef.current = [];
+    setRuns([]);
+  }, []);
+
+  // Any change to the inputs invalidates the runs
+  useEffect(() => {
+    reset();
+  }, [processes, options, selected, reset]);
+
+  /**
+   * Advance every unfinished engine by one tick
+   */
+  const advance = (current) => current.map(run => {
+    if (run.summary) return run;
+    const snapshot = run.engine.step();
+    return {
+      ...run,
+      snapshot,
+      summary: snapshot.done ? summarize(run.engine.finalizeMetrics()) : null,
+    };
+  });
+
+  const step = () => {
+    update(advance(runsRef.current.length ? runsRef.current : createRuns()));
+  };
+
+  const runAll = () => {
+    setPlaying(false);
+    stopTimer();
+    const current = runsRef.current.length ? runsRef.current : createRuns();
+    update(current.map(run => {
+      if (run.summary) return run;
+      const results = run.engine.runToEnd();
+      return { ...run, snapshot: run.engine.getSnapshot(), summary: summarize(results) };
+    }));
+  };
+
+  const play = () => {
+    if (!runsRef.current.length) update(createRuns());
+    setPlaying(true);
+  };
+
+  const allDone = runs.length > 0 && runs.every(run => run.summary);
+
+  // Lock-step auto play
+  useEffect(() => {
+    if (!playing) return undefined;
+    timerRef.current = setInterval(() => {
+      update(advance(runsRef.current));
+    }, speed);
+    return stopTimer;
+  }, [playing, speed]);
+
+  useEffect(() => {
+    if (allDone) setPlaying(false);
+  }, [allDone]);
+
+  const toggleAlgorithm = (algorithm) => {
+    setSelected(current => (current.includes(algorithm)
+      ? current.filter(a => a !== algorithm)
+      : Object.values(Algorithm).filter(a => a === algorithm || current.includes(a))));
+  };
+
+  // Best value per metric among the finished runs
+  const best = {};
+  METRICS.forEach(metric => {
+    const values = runs.filter(run => run.summary).map(run => run.summary[metric.key]);
+    if (!values.length) return;
+    best[metric.key] = metric.better === 'lower' ? Math.min(...values) : Math.max(...values);
+  });
+
+  const clock = Math.max(0, ...runs.map(run => run.snapshot.time));
+
+  return (
+    <div className="space-y-6">
+      <div className="glass rounded-2xl border border-white/10 p-6 space-y-5">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-lg bg-gradient-to-br from-indigo-500 to-fuchsia-500 flex items-center justify-center">
+            <Columns className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h3 className="font-semibold text-white">Algorithms to Compare</h3>
+            <p className="text-xs text-neutral-400">
+              All runs use the process set and settings from the Scheduling page; each algorithm uses its default preemption mode
+            </p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {Object.values(Algorithm).map(algorithm => (
+            <button
+              key={algorithm}
+              type="button"
+              onClick={() => toggleAlgorithm(algorithm)}
+              className={`rounded-xl px-3 py-2 text-sm font-semibold transition-colors ${
+                selected.includes(algorithm)
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-slate-900/70 text-slate-300 border border-white/10 hover:bg-slate-800/70'
+              }`}
+            >
+              {algorithm}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <motion.button
+            whileHover={{ scale: 1.01 }}
+            whileTap={{ scale: 0.99 }}
+            onClick={step}
+            disabled={!selected.length || allDone || playing}
+            className="flex items-center gap-2 rounded-2xl bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white font-semibold px-4 py-2"
+          >
+            <SkipForward className="w-4 h-4" />
+            Step All
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.01 }}
+            whileTap={{ scale: 0.99 }}
+            onClick={playing ? () => setPlaying(false) : play}
+            disabled={!selected.length || allDone}
+            className={`flex items-center gap-2 rounded-2xl disabled:opacity-50 text-white font-semibold px-4 py-2 ${playing ? 'bg-amber-600 hover:bg-amber-500' : 'bg-emerald-600 hover:bg-emerald-500'}`}
+          >
+            {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+            {playing ? 'Pause' : 'Play in Lock-step'}
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.01 }}
+            whileTap={{ scale: 0.99 }}
+            onClick={runAll}
+            disabled={!selected.length || allDone}
+            className="flex items-center gap-2 rounded-2xl bg-purple-600 hover:bg-purple-500 disabled:opacity-50 text-white font-semibold px-4 py-2"
+          >
+            <FastForward className="w-4 h-4" />
+            Run All to End
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.01 }}
+            whileTap={{ scale: 0.99 }}
+            onClick={reset}
+            className="flex items-center gap-2 rounded-2xl bg-slate-700 hover:bg-slate-600 text-white font-semibold px-4 py-2"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Reset
+          </motion.button>
+          <label className="flex items-center gap-2 text-xs text-neutral-400 ml-auto">
+            Speed
+            <input
+              type="range"
+              min="100"
+              max="1500"
+              step="100"
+              value={1600 - speed}
+              onChange={(e) => setSpeed(1600 - Number(e.target.value))}
+              className="accent-indigo-500"
+            />
+          </label>
+        </div>
+      </div>
+
+      {runs.length > 0 && (
+        <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl overflow-hidden">
+          <div className="px-5 py-4 border-b border-slate-700 flex items-center gap-3">
+            <div className="w-8 h-8 rounded-lg bg-gradient-to-br from-amber-500 to-rose-500 flex items-center justify-center">
+              <Trophy className="w-4 h-4 text-white" />
+            </div>
+            <div>
+              <h3 className="font-semibold text-white">Metrics Side by Side</h3>
+              <p className="text-xs text-slate-400">Best value in each column is highlighted; rows fill in as runs finish</p>
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-900/50">
+                <tr className="text-slate-400">
+                  <th className="px-4 py-3 text-left font-medium">Algorithm</th>
+                  {METRICS.map(metric => (
+                    <th key={metric.key} className="px-4 py-3 text-right font-medium">
+                      {metric.label}
+                      <span className="block text-[10px] font-normal text-slate-500">{metric.better} is better</span>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map(run => (
+                  <tr key={run.algorithm} className="border-t border-slate-700/50 hover:bg-slate-700/20">
+                    <td className="px-4 py-3 font-semibold text-white">{run.algorithm}</td>
+                    {METRICS.map(metric => {
+                      const value = run.summary?.[metric.key];
+                      const isBest = value !== undefined && value === best[metric.key];
+                      return (
+                        <td
+                          key={metric.key}
+                          className={`px-4 py-3 text-right ${isBest ? 'text-emerald-300 font-bold' : 'text-slate-300'}`}
+                        >
+                          {value === undefined ? (
+                            <span className="text-slate-500">running (t={run.snapshot.time})</span>
+                          ) : (
+                            <>
+                              {isBest && <Trophy className="inline w-3 h-3 mr-1 -mt-0.5" />}
+                              {value}{metric.unit && <span className="text-xs text-slate-500">{metric.unit}</span>}
+                            </>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {runs.map(run => (
+          <GanttChart
+            key={run.algorithm}
+            title={`${run.algorithm} Timeline`}
+            gantt={run.snapshot.gantt}
+            ioGantt={run.snapshot.ioGantt}
+            deadlines={run.snapshot.deadlines}
+            cpuCount={run.snapshot.cpuCount}
+            currentTime={clock}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonView;
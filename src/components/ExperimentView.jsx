@@ -0,0 +1,254 @@
+import React, { useMemo, useState } from 'react';
+import { FlaskConical, LineChart, Download, AlertTriangle } from 'lucide-react';
+import SweepChart from './SweepChart';
+import WorkloadGenerator from './WorkloadGenerator';
+import { ScenarioKind, parseScenarioJson, downloadText } from '../utils/scenarioIO';
+import { SweepParameter, SWEEPS, runSweep, sweepToCsv } from '../utils/sweep';
+
+const TABS = [
+  { id: SweepParameter.QUANTUM, label: 'RR quantum' },
+  { id: SweepParameter.FRAME_COUNT, label: 'Frame count' },
+  { id: SweepParameter.ALLOCATION_UNIT, label: 'Allocation unit' },
+];
+
+// What to look for in each curve
+const NOTES = {
+  [SweepParameter.QUANTUM]: 'A tiny quantum buys responsiveness with context switches; once the quantum exceeds every burst, Round Robin degenerates into FCFS and the curves go flat.',
+  [SweepParameter.FRAME_COUNT]: 'More frames should never mean more faults for LRU and Optimal (stack algorithms). FIFO is not a stack algorithm: a rise in its curve is Belady\'s anomaly.',
+  [SweepParameter.ALLOCATION_UNIT]: 'Rounding every request up to the unit trades internal fragmentation (wasted space inside blocks) for simpler bookkeeping.',
+};
+
+const DEFAULT_REFERENCES = '0,1,2,3,0,1,4,0,1,2,3,4';
+
+const parseNumbers = (text) => text.split(/[\s,]+/).filter(Boolean).map(Number);
+
+/**
+ * Scenario for the selected sweep, validated like an imported file
+ * The scheduler sweep reuses the Scheduling page's processes and settings
+ */
+const buildScenario = (parameter, { processes, options, referencesText, holesText, sizesText }) => {
+  if (parameter === SweepParameter.QUANTUM) {
+    return parseScenarioJson(JSON.stringify({ processes, settings: { ...options, quantum: undefined } }), ScenarioKind.SCHEDULER);
+  }
+  if (parameter === SweepParameter.FRAME_COUNT) {
+    const lines = referencesText.split('\n').map(line => line.trim()).filter(Boolean);
+    const rows = lines.map((line, i) => ({
+      pid: `P${i + 1}`,
+      // Write references ("3w") still count towards the page range
+      totalPages: Math.max(1, ...line.split(/[\s,]+/).map(token => parseInt(token, 10)).filter(Number.isInteger)) + 1,
+      referenceString: line,
+    }));
+    return parseScenarioJson(JSON.stringify({ processes: rows }), ScenarioKind.PAGING);
+  }
+  const requests = parseNumbers(sizesText).map((size, i) => ({ pid: `P${i + 1}`, size }));
+  return parseScenarioJson(JSON.stringify({ holes: parseNumbers(holesText), requests }), ScenarioKind.MEMORY);
+};
+
+/**
+ * ExperimentView Component
+ * Sweeps one engine parameter across a range, re-running the whole scenario for every value,
+ * and plots the chosen metric per algorithm with the raw numbers underneath.
+ */
+const ExperimentView = ({ processes, options }) => {
+  const [parameter, setParameter] = useState(SweepParameter.QUANTUM);
+  const [ranges, setRanges] = useState(() => Object.fromEntries(
+    Object.entries(SWEEPS).map(([id, sweep]) => [id, { ...sweep.defaultRange, step: 1 }]),
+  ));
+  const [selected, setSelected] = useState(() => Object.fromEntries(
+    Object.entries(SWEEPS).map(([id, sweep]) => [id, sweep.defaultAlgorithms]),
+  ));
+  const [metricKeys, setMetricKeys] = useState(() => Object.fromEntries(
+    Object.entries(SWEEPS).map(([id, sweep]) => [id, sweep.metrics[0].key]),
+  ));
+  const [referencesText, setReferencesText] = useState(DEFAULT_REFERENCES);
+  const [holesText, setHolesText] = useState('100, 500, 200, 300');
+  const [sizesText, setSizesText] = useState('24, 16, 32, 8');
+
+  const sweep = SWEEPS[parameter];
+  const range = ranges[parameter];
+  const algorithms = selected[parameter];
+  const metric = sweep.metrics.find(m => m.key === metricKeys[parameter]);
+
+  const { result, errors } = useMemo(() => {
+    const parsed = buildScenario(parameter, { processes, options, referencesText, holesText, sizesText });
+    if (parsed.errors.length) return { result: null, errors: parsed.errors };
+    if (!algorithms.length) return { result: null, errors: ['Pick at least one algorithm'] };
+    if (range.to < range.from) return { result: null, errors: ['The range ends before it starts'] };
+    return { result: runSweep(parameter, parsed.scenario, { ...range, algorithms }), errors: [] };
+  }, [parameter, processes, options, referencesText, holesText, sizesText, algorithms, range]);
+
+  const updateRange = (field, value) => {
+    setRanges(prev => ({ ...prev, [parameter]: { ...prev[parameter], [field]: Number(value) || 0 } }));
+  };
+
+  const toggleAlgorithm = (algorithm) => {
+    setSelected(prev => ({
+      ...prev,
+      [parameter]: prev[parameter].includes(algorithm)
+        ? prev[parameter].filter(a => a !== algorithm)
+        : sweep.algorithms.filter(a => a === algorithm || prev[parameter].includes(a)),
+    }));
+  };
+
+  const onGenerate = (scenario) => {
+    if (scenario.processes) setReferencesText(scenario.processes.map(p => p.referenceString).join('\n'));
+    if (scenario.requests) setSizesText(scenario.requests.map(req => req.size).join(', '));
+  };
+
+  const exportCsv = () => {
+    downloadText(`sweep-${parameter.toLowerCase()}.csv`, sweepToCsv(result), 'text/csv');
+  };
+
+  const inputClass = 'w-full bg-transparent border border-white/10 rounded-xl px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500';
+  const chipClass = (active) => `rounded-xl px-3 py-2 text-xs font-semibold border ${
+    active ? 'bg-indigo-600 border-indigo-400 text-white' : 'bg-slate-900/70 border-white/10 text-neutral-300 hover:bg-slate-800/70'
+  }`;
+
+  return (
+    <div className="space-y-6">
+      <div className="glass rounded-2xl border border-white/10 p-5 space-y-4">
+        <div className="flex items-center gap-2">
+          <FlaskConical className="w-4 h-4 text-indigo-300" />
+          <span className="text-[11px] uppercase tracking-[0.4em] text-neutral-400">Sweep</span>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {TABS.map(tab => (
+            <button key={tab.id} type="button" onClick={() => setParameter(tab.id)} className={chipClass(parameter === tab.id)}>
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid gap-3 grid-cols-3 max-w-md">
+          {['from', 'to', ...(parameter === SweepParameter.ALLOCATION_UNIT ? [] : ['step'])].map(field => (
+            <label key={field} className="space-y-1 text-xs text-neutral-400">
+              <span className="capitalize">{field}</span>
+              <input
+                type="number"
+                min={field === 'step' ? 1 : sweep.min}
+                value={range[field]}
+                onChange={(e) => updateRange(field, e.target.value)}
+                className={inputClass}
+              />
+            </label>
+          ))}
+        </div>
+        {parameter === SweepParameter.ALLOCATION_UNIT && (
+          <p className="text-[11px] text-neutral-500">The unit doubles at each step (1, 2, 4, 8, ...).</p>
+        )}
+
+        <div className="flex flex-wrap gap-2">
+          {sweep.algorithms.map(algorithm => (
+            <button key={algorithm} type="button" onClick={() => toggleAlgorithm(algorithm)} className={chipClass(algorithms.includes(algorithm))}>
+              {algorithm}
+            </button>
+          ))}
+        </div>
+
+        {parameter === SweepParameter.QUANTUM && (
+          <p className="text-xs text-neutral-400">
+            Uses the {processes.length} processes and the settings (context switch cost, CPUs, MLFQ levels) from the Scheduling page.
+          </p>
+        )}
+        {parameter === SweepParameter.FRAME_COUNT && (
+          <label className="block space-y-1 text-xs text-neutral-400">
+            <span>Reference strings (one process per line)</span>
+            <textarea
+              rows={3}
+              value={referencesText}
+              onChange={(e) => setReferencesText(e.target.value)}
+              className={`${inputClass} font-mono`}
+            />
+          </label>
+        )}
+        {parameter === SweepParameter.ALLOCATION_UNIT && (
+          <div className="grid gap-3 sm:grid-cols-2">
+            <label className="space-y-1 text-xs text-neutral-400">
+              <span>Hole sizes</span>
+              <input type="text" value={holesText} onChange={(e) => setHolesText(e.target.value)} className={inputClass} />
+            </label>
+            <label className="space-y-1 text-xs text-neutral-400">
+              <span>Request sizes</span>
+              <input type="text" value={sizesText} onChange={(e) => setSizesText(e.target.value)} className={inputClass} />
+            </label>
+          </div>
+        )}
+      </div>
+
+      {parameter !== SweepParameter.QUANTUM && (
+        <WorkloadGenerator key={parameter} kind={sweep.kind} onGenerate={onGenerate} />
+      )}
+
+      <div className="glass rounded-2xl border border-white/10 p-5 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-2">
+            <LineChart className="w-4 h-4 text-emerald-300" />
+            <span className="text-[11px] uppercase tracking-[0.4em] text-neutral-400">{metric.label} vs. {sweep.label.toLowerCase()}</span>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {sweep.metrics.map(m => (
+              <button
+                key={m.key}
+                type="button"
+                onClick={() => setMetricKeys(prev => ({ ...prev, [parameter]: m.key }))}
+                className={chipClass(m.key === metric.key)}
+              >
+                {m.label}
+              </button>
+            ))}
+            <button
+              type="button"
+              onClick={exportCsv}
+              disabled={!result}
+              className="flex items-center gap-2 rounded-xl px-3 py-2 text-xs bg-slate-900/70 border border-white/10 hover:bg-slate-800/70 text-white disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              CSV
+            </button>
+          </div>
+        </div>
+
+        {errors.length > 0 ? (
+          <div className="space-y-1">
+            {errors.map(message => (
+              <div key={message} className="flex items-center gap-2 text-xs text-rose-300">
+                <AlertTriangle className="w-4 h-4" />
+                {message}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <>
+            <SweepChart result={result} metric={metric} xLabel={sweep.label} />
+            <p className="text-xs text-neutral-400">{NOTES[parameter]}</p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs text-neutral-300">
+                <thead>
+                  <tr className="text-neutral-500">
+                    <th className="text-left font-medium py-1 pr-4">{sweep.label}</th>
+                    {result.series.map(s => (
+                      <th key={s.algorithm} className="text-right font-medium py-1 px-2">{s.algorithm}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.values.map((x, i) => (
+                    <tr key={x} className="border-t border-white/5">
+                      <td className="py-1 pr-4 font-mono">{x}</td>
+                      {result.series.map(s => (
+                        <td key={s.algorithm} className="py-1 px-2 text-right font-mono">{s.points[i][metric.key]}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExperimentView;
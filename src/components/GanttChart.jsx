@@ -1,24 +1,52 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
-import { BarChart3, Clock } from 'lucide-react';
-import { getPidColor } from './SchedulerEngine';
+import { BarChart3, Clock, FileCode, Image, AlertTriangle } from 'lucide-react';
+import { getPidColor, CONTEXT_SWITCH_PID } from './SchedulerEngine';
+import { buildGanttSvg, svgToPngBlob } from '../utils/ganttExport';
+import { downloadText, downloadBlob } from '../utils/scenarioIO';
 
 /**
  * GanttChart Component
  * Visual timeline showing which process ran at which time
  * Helps visualize CPU utilization and scheduling decisions
+ * I/O bursts are drawn on a separate device track below the CPU track,
+ * and multi-core runs get one track per CPU
+ * Context-switch overhead appears as dashed "CS" blocks between processes
+ * Real-time jobs get a marker track: ▲ at each release, ▼ at each deadline (red if missed)
+ * With onSeek, a scrubber above the tracks moves the simulation to any tick up to endTime
+ * The SVG/PNG buttons export the whole timeline, not just the scrolled-in part
  */
-const GanttChart = ({ gantt, currentTime }) => {
+const GanttChart = ({ gantt, ioGantt = [], deadlines = [], cpuCount = 1, currentTime, endTime = null, onSeek, title = 'Gantt Chart Timeline' }) => {
   const scrollRef = useRef(null);
+  const [exportError, setExportError] = useState('');
+  // Scrubber drags fire many pointer moves per frame; only the latest tick is sought, once per frame
+  const pendingSeekRef = useRef(null);
+  const frameRef = useRef(null);
+  const onSeekRef = useRef(onSeek);
 
-  // Auto-scroll to show latest execution
   useEffect(() => {
-    if (scrollRef.current) {
-      scrollRef.current.scrollLeft = scrollRef.current.scrollWidth;
+    onSeekRef.current = onSeek;
+  }, [onSeek]);
+
+  useEffect(() => () => {
+    if (frameRef.current !== null) cancelAnimationFrame(frameRef.current);
+  }, []);
+
+  // Auto-scroll to show latest execution (or keep the current tick in view when the full run is drawn)
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    if (endTime === null) {
+      el.scrollLeft = el.scrollWidth;
+      return;
+    }
+    const x = (currentTime || 0) * 48;
+    if (x < el.scrollLeft || x > el.scrollLeft + el.clientWidth - 48) {
+      el.scrollLeft = Math.max(0, x - el.clientWidth / 2);
     }
-  }, [gantt]);
+  }, [gantt, currentTime, endTime]);
 
-  if (!gantt || gantt.length === 0) {
+  if ((!gantt || gantt.length === 0) && endTime === null) {
     return (
       <div className="glass rounded-2xl p-8 border border-white/10">
         <div className="flex items-center gap-3 mb-6">
@@ -26,7 +54,7 @@ const GanttChart = ({ gantt, currentTime }) => {
             <BarChart3 className="w-5 h-5 text-white" />
           </div>
           <div>
-            <h3 className="font-semibold text-white">Gantt Chart Timeline</h3>
+            <h3 className="font-semibold text-white">{title}</h3>
             <p className="text-xs text-neutral-400">Visualizes CPU allocation over time</p>
           </div>
         </div>
@@ -40,8 +68,36 @@ const GanttChart = ({ gantt, currentTime }) => {
   }
 
   // Calculate total time span
-  const totalTime = Math.max(...gantt.map(g => g.end), currentTime || 0);
+  const totalTime = Math.max(...gantt.map(g => g.end), ...ioGantt.map(g => g.end), ...deadlines.map(d => d.deadline), currentTime || 0, endTime || 0);
   const timeMarkers = Array.from({ length: totalTime + 1 }, (_, i) => i);
+  const processSegments = gantt.filter(g => g.pid !== CONTEXT_SWITCH_PID);
+  const cpuRows = Array.from({ length: cpuCount }, (_, i) => i);
+  const showTrackLabels = cpuCount > 1 || ioGantt.length > 0;
+
+  const fileName = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'gantt';
+  const buildSvg = () => buildGanttSvg({ gantt, ioGantt, deadlines, cpuCount, title, endTime });
+  const exportSvg = () => downloadText(`${fileName}.svg`, buildSvg(), 'image/svg+xml');
+  const exportPng = async () => {
+    try {
+      downloadBlob(`${fileName}.png`, await svgToPngBlob(buildSvg()));
+      setExportError('');
+    } catch (error) {
+      setExportError(`PNG export failed: ${error.message}`);
+    }
+  };
+
+  // Pointer position on the scrubber → nearest tick boundary
+  const seekFromPointer = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const tick = Math.max(0, Math.min(endTime ?? totalTime, Math.round((e.clientX - rect.left) / 48)));
+    if (tick === currentTime && frameRef.current === null) return;
+    pendingSeekRef.current = tick;
+    if (frameRef.current !== null) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      onSeekRef.current?.(pendingSeekRef.current);
+    });
+  };
 
   return (
     <div className="glass rounded-2xl overflow-hidden border border-white/10">
@@ -52,13 +108,41 @@ const GanttChart = ({ gantt, currentTime }) => {
             <BarChart3 className="w-5 h-5 text-white" />
           </div>
           <div>
-            <h3 className="font-semibold text-white">Gantt Chart Timeline</h3>
-            <p className="text-xs text-neutral-400">Visualizes CPU allocation over time</p>
+            <h3 className="font-semibold text-white">{title}</h3>
+            <p className="text-xs text-neutral-400">
+              {onSeek ? 'Drag the scrubber to revisit any moment' : 'Visualizes CPU allocation over time'}
+            </p>
+            {exportError && (
+              <p className="mt-1 flex items-center gap-1 text-xs text-rose-300">
+                <AlertTriangle className="w-3.5 h-3.5" />
+                {exportError}
+              </p>
+            )}
           </div>
         </div>
-        <div className="flex items-center gap-2 text-sm text-neutral-400">
-          <Clock className="w-4 h-4" />
-          <span>Total: {totalTime} units</span>
+        <div className="flex items-center gap-3 text-sm text-neutral-400">
+          <div className="flex items-center gap-2">
+            <Clock className="w-4 h-4" />
+            <span>Total: {totalTime} units</span>
+          </div>
+          <button
+            type="button"
+            onClick={exportSvg}
+            title="Download the full timeline as SVG"
+            className="flex items-center gap-1 rounded-lg px-2 py-1 text-xs font-semibold bg-neutral-900 border border-neutral-800 hover:bg-neutral-800 text-slate-300"
+          >
+            <FileCode className="w-3.5 h-3.5" />
+            SVG
+          </button>
+          <button
+            type="button"
+            onClick={exportPng}
+            title="Download the full timeline as PNG"
+            className="flex items-center gap-1 rounded-lg px-2 py-1 text-xs font-semibold bg-neutral-900 border border-neutral-800 hover:bg-neutral-800 text-slate-300"
+          >
+            <Image className="w-3.5 h-3.5" />
+            PNG
+          </button>
         </div>
       </div>
 
@@ -81,83 +165,196 @@ const GanttChart = ({ gantt, currentTime }) => {
               ))}
             </div>
 
-            {/* Gantt Bars */}
-            <div className="relative h-16 bg-neutral-900 rounded-lg border border-neutral-800 overflow-hidden">
-              {/* Grid Lines */}
-              <div className="absolute inset-0 flex">
-                {timeMarkers.map(t => (
-                  <div
-                    key={t}
-                    className="w-12 flex-shrink-0 border-r border-neutral-800/50"
-                  />
-                ))}
+            {/* Scrubber */}
+            {onSeek && (
+              <div
+                className="relative h-5 mb-3 rounded-full bg-neutral-900 border border-neutral-800 cursor-ew-resize touch-none"
+                style={{ width: `${totalTime * 48}px` }}
+                title="Drag to move the simulation to another time"
+                onPointerDown={(e) => {
+                  e.currentTarget.setPointerCapture(e.pointerId);
+                  seekFromPointer(e);
+                }}
+                onPointerMove={(e) => {
+                  if (e.buttons & 1) seekFromPointer(e);
+                }}
+              >
+                <div
+                  className="absolute inset-y-0 left-0 rounded-full bg-red-500/20"
+                  style={{ width: `${(currentTime || 0) * 48}px` }}
+                />
+                <div
+                  className="absolute top-1/2 -translate-y-1/2 -translate-x-1/2 w-3.5 h-3.5 rounded-full bg-red-500 border-2 border-white/80 shadow"
+                  style={{ left: `${(currentTime || 0) * 48}px` }}
+                />
               </div>
+            )}
+
+            {cpuRows.map(cpu => (
+              <div key={cpu} className={cpu > 0 ? 'mt-3' : ''}>
+                {showTrackLabels && (
+                  <div className="text-[11px] uppercase tracking-[0.3em] text-cyan-300/80 mb-1">
+                    {cpuCount > 1 ? `CPU${cpu}` : 'CPU'}
+                  </div>
+                )}
+
+                {/* Gantt Bars */}
+                <div className="relative h-16 bg-neutral-900 rounded-lg border border-neutral-800 overflow-hidden">
+                  {/* Grid Lines */}
+                  <div className="absolute inset-0 flex">
+                    {timeMarkers.map(t => (
+                      <div
+                        key={t}
+                        className="w-12 flex-shrink-0 border-r border-neutral-800/50"
+                      />
+                    ))}
+                  </div>
 
-              {/* Process Segments */}
-              <div className="absolute inset-0 flex">
-                {gantt.map((segment, index) => {
-                  const width = (segment.end - segment.start) * 48; // 48px per unit (w-12 = 3rem = 48px)
-                  const left = segment.start * 48;
-                  const color = getPidColor(segment.pid);
-
-                  return (
-                    <motion.div
-                      key={index}
-                      initial={{ scaleX: 0, opacity: 0 }}
-                      animate={{ scaleX: 1, opacity: 1 }}
-                      transition={{ 
-                        duration: 0.3, 
-                        delay: index * 0.05,
-                        ease: 'easeOut'
-                      }}
-                      className="absolute top-2 bottom-2 rounded-md flex items-center justify-center font-bold text-sm border-2 shadow-lg cursor-pointer group"
-                      style={{
-                        left: `${left}px`,
-                        width: `${width}px`,
-                        backgroundColor: `${color}30`,
-                        borderColor: color,
-                        color: color,
-                        transformOrigin: 'left',
-                      }}
-                    >
-                      <span className="truncate px-1">{segment.pid}</span>
-                      
-                      {/* Tooltip */}
-                      <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none z-10">
-                        <div className="bg-neutral-900 border border-neutral-800 rounded-lg px-3 py-2 text-xs whitespace-nowrap shadow-xl">
-                          <div className="text-white font-semibold">{segment.pid}</div>
-                          <div className="text-slate-400">
-                            Time: {segment.start} → {segment.end}
+                  {/* Process Segments */}
+                  <div className="absolute inset-0 flex">
+                    {gantt.filter(segment => (segment.cpu ?? 0) === cpu).map((segment, index) => {
+                      const width = (segment.end - segment.start) * 48; // 48px per unit (w-12 = 3rem = 48px)
+                      const left = segment.start * 48;
+                      const color = getPidColor(segment.pid);
+                      const isSwitch = segment.pid === CONTEXT_SWITCH_PID;
+
+                      return (
+                        <motion.div
+                          key={index}
+                          initial={{ scaleX: 0, opacity: 0 }}
+                          animate={{ scaleX: 1, opacity: 1 }}
+                          transition={{ 
+                            duration: 0.3, 
+                            delay: index * 0.05,
+                            ease: 'easeOut'
+                          }}
+                          className={`absolute top-2 bottom-2 rounded-md flex items-center justify-center font-bold text-sm border-2 shadow-lg cursor-pointer group ${isSwitch ? 'border-dashed' : ''}`}
+                          style={{
+                            left: `${left}px`,
+                            width: `${width}px`,
+                            backgroundColor: `${color}30`,
+                            borderColor: color,
+                            color: color,
+                            transformOrigin: 'left',
+                          }}
+                        >
+                          <span className="truncate px-1">{segment.pid}</span>
+                          
+                          {/* Tooltip */}
+                          <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none z-10">
+                            <div className="bg-neutral-900 border border-neutral-800 rounded-lg px-3 py-2 text-xs whitespace-nowrap shadow-xl">
+                              <div className="text-white font-semibold">{isSwitch ? 'Context switch' : segment.pid}</div>
+                              <div className="text-slate-400">
+                                Time: {segment.start} → {segment.end}
+                              </div>
+                              <div className="text-slate-400">
+                                Duration: {segment.end - segment.start} unit(s)
+                              </div>
+                            </div>
+                            <div 
+                              className="absolute top-full left-1/2 -translate-x-1/2 border-4 border-transparent border-t-slate-600"
+                              style={{ marginTop: '-1px' }}
+                            />
                           </div>
-                          <div className="text-slate-400">
-                            Duration: {segment.end - segment.start} unit(s)
+                        </motion.div>
+                      );
+                    })}
+
+                    {/* Current Time Marker */}
+                    {currentTime !== undefined && currentTime > 0 && (
+                      <motion.div
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        className="absolute top-0 bottom-0 w-0.5 bg-red-500 z-10"
+                        style={{ left: `${currentTime * 48}px` }}
+                      >
+                        <div className="absolute -top-1 left-1/2 -translate-x-1/2 w-2 h-2 bg-red-500 rounded-full" />
+                        {cpu === cpuRows.length - 1 && (
+                          <div className="absolute -bottom-5 left-1/2 -translate-x-1/2 text-xs text-red-400 font-mono whitespace-nowrap">
+                            Now
                           </div>
-                        </div>
-                        <div 
-                          className="absolute top-full left-1/2 -translate-x-1/2 border-4 border-transparent border-t-slate-600"
-                          style={{ marginTop: '-1px' }}
-                        />
-                      </div>
-                    </motion.div>
-                  );
-                })}
-
-                {/* Current Time Marker */}
-                {currentTime !== undefined && currentTime > 0 && (
-                  <motion.div
-                    initial={{ opacity: 0 }}
-                    animate={{ opacity: 1 }}
-                    className="absolute top-0 bottom-0 w-0.5 bg-red-500 z-10"
-                    style={{ left: `${currentTime * 48}px` }}
-                  >
-                    <div className="absolute -top-1 left-1/2 -translate-x-1/2 w-2 h-2 bg-red-500 rounded-full" />
-                    <div className="absolute -bottom-5 left-1/2 -translate-x-1/2 text-xs text-red-400 font-mono whitespace-nowrap">
-                      Now
-                    </div>
-                  </motion.div>
-                )}
+                        )}
+                      </motion.div>
+                    )}
+                  </div>
+                </div>
               </div>
-            </div>
+            ))}
+
+            {/* Release / Deadline Markers */}
+            {deadlines.length > 0 && (
+              <>
+                <div className="text-[11px] uppercase tracking-[0.3em] text-rose-300/80 mt-4 mb-1">Releases ▲ / Deadlines ▼</div>
+                <div className="relative h-10 bg-neutral-900 rounded-lg border border-neutral-800 overflow-hidden">
+                  <div className="absolute inset-0 flex">
+                    {timeMarkers.map(t => (
+                      <div
+                        key={t}
+                        className="w-12 flex-shrink-0 border-r border-neutral-800/50"
+                      />
+                    ))}
+                  </div>
+                  {deadlines.map(job => (
+                    <React.Fragment key={job.pid}>
+                      <div
+                        className="absolute top-0.5 -translate-x-1/2 text-xs leading-none"
+                        style={{ left: `${job.release * 48}px`, color: getPidColor(job.pid) }}
+                        title={`${job.pid} released at t=${job.release}`}
+                      >
+                        ▲
+                      </div>
+                      <div
+                        className={`absolute bottom-0.5 -translate-x-1/2 text-xs leading-none ${job.missed ? 'text-red-500' : ''}`}
+                        style={{ left: `${job.deadline * 48}px`, color: job.missed ? undefined : getPidColor(job.pid) }}
+                        title={`${job.pid} deadline at t=${job.deadline}${job.missed ? ' (missed)' : ''}`}
+                      >
+                        ▼
+                      </div>
+                    </React.Fragment>
+                  ))}
+                </div>
+              </>
+            )}
+
+            {/* I/O Device Track */}
+            {ioGantt.length > 0 && (
+              <>
+                <div className="text-[11px] uppercase tracking-[0.3em] text-amber-300/80 mt-4 mb-1">I/O device</div>
+                <div className="relative h-10 bg-neutral-900 rounded-lg border border-neutral-800 overflow-hidden">
+                  <div className="absolute inset-0 flex">
+                    {timeMarkers.map(t => (
+                      <div
+                        key={t}
+                        className="w-12 flex-shrink-0 border-r border-neutral-800/50"
+                      />
+                    ))}
+                  </div>
+                  {ioGantt.map((segment, index) => {
+                    const color = getPidColor(segment.pid);
+                    return (
+                      <motion.div
+                        key={index}
+                        initial={{ scaleX: 0, opacity: 0 }}
+                        animate={{ scaleX: 1, opacity: 1 }}
+                        transition={{ duration: 0.3, ease: 'easeOut' }}
+                        className="absolute top-1.5 bottom-1.5 rounded-md flex items-center justify-center text-xs font-semibold border-2 border-dashed"
+                        style={{
+                          left: `${segment.start * 48}px`,
+                          width: `${(segment.end - segment.start) * 48}px`,
+                          backgroundColor: `${color}15`,
+                          borderColor: color,
+                          color: color,
+                          transformOrigin: 'left',
+                        }}
+                        title={`${segment.pid} I/O: ${segment.start} → ${segment.end}`}
+                      >
+                        <span className="truncate px-1">{segment.pid}</span>
+                      </motion.div>
+                    );
+                  })}
+                </div>
+              </>
+            )}
 
             {/* Legend */}
             <div className="flex flex-wrap gap-3 mt-4">
@@ -170,7 +367,7 @@ const GanttChart = ({ gantt, currentTime }) => {
                       borderColor: getPidColor(pid)
                     }}
                   />
-                  <span className="text-sm text-slate-300">{pid}</span>
+                  <span className="text-sm text-slate-300">{pid === CONTEXT_SWITCH_PID ? 'Context switch' : pid}</span>
                 </div>
               ))}
             </div>
@@ -182,10 +379,10 @@ const GanttChart = ({ gantt, currentTime }) => {
       <div className="px-4 py-3 bg-neutral-900/30 border-t border-neutral-800/50">
         <div className="flex flex-wrap gap-4 text-xs text-slate-400">
           <span>
-            <strong className="text-slate-300">{gantt.length}</strong> context switches
+            <strong className="text-slate-300">{processSegments.length}</strong> execution segments
           </span>
           <span>
-            <strong className="text-slate-300">{[...new Set(gantt.map(g => g.pid))].length}</strong> unique processes
+            <strong className="text-slate-300">{[...new Set(processSegments.map(g => g.pid))].length}</strong> unique processes
           </span>
           <span>
             <strong className="text-slate-300">{totalTime}</strong> total time units
@@ -1,6 +1,6 @@
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { ChevronDown, ChevronUp, Clock, Zap, Flag, Timer, Hourglass, Info } from 'lucide-react';
+import { ChevronDown, ChevronUp, Clock, Zap, Flag, Timer, Hourglass, Info, MousePointerClick, Package, Gauge, Scale } from 'lucide-react';
 import { MetricsExplanation } from './SchedulerEngine';
 
 /**
@@ -18,6 +18,10 @@ const MetricsExplainer = ({ isVisible, onToggle }) => {
       CT: Flag,
       TAT: Timer,
       WT: Hourglass,
+      RT: MousePointerClick,
+      TP: Package,
+      UTIL: Gauge,
+      JFI: Scale,
     };
     const Icon = icons[key] || Info;
     return <Icon className="w-4 h-4" />;
@@ -30,6 +34,10 @@ const MetricsExplainer = ({ isVisible, onToggle }) => {
       CT: 'from-emerald-500 to-emerald-600',
       TAT: 'from-purple-500 to-purple-600',
       WT: 'from-amber-500 to-amber-600',
+      RT: 'from-cyan-500 to-cyan-600',
+      TP: 'from-teal-500 to-teal-600',
+      UTIL: 'from-rose-500 to-rose-600',
+      JFI: 'from-sky-500 to-sky-600',
     };
     return colors[key] || 'from-gray-500 to-gray-600';
   };
@@ -47,7 +55,7 @@ const MetricsExplainer = ({ isVisible, onToggle }) => {
           </div>
           <div className="text-left">
             <h3 className="font-semibold text-white">Understand the Metrics</h3>
-            <p className="text-xs text-neutral-400">Learn what CT, TAT, WT mean</p>
+            <p className="text-xs text-neutral-400">Learn what CT, TAT, WT, RT and the system metrics mean</p>
           </div>
         </div>
         <motion.div
@@ -107,6 +115,7 @@ const MetricsExplainer = ({ isVisible, onToggle }) => {
                 <div className="space-y-2 text-sm text-neutral-300">
                   <p>• <strong>TAT = CT - AT</strong> → How long from arrival to finish</p>
                   <p>• <strong>WT = TAT - BT</strong> → How long spent waiting (not running)</p>
+                  <p>• <strong>RT ≤ WT</strong> → Response time only counts the wait before the first run</p>
                   <p>• Lower WT = Better algorithm for that workload</p>
                   <p>• Lower TAT = Processes complete faster overall</p>
                 </div>
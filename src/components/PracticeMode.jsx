@@ -0,0 +1,386 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Target, Award, Dices, ChevronDown, ChevronUp, ChevronRight, CheckCircle2, XCircle, RotateCcw } from 'lucide-react';
+import GanttChart from './GanttChart';
+import WorkedSolution from './WorkedSolution';
+import { SchedulerEngine, Algorithm, QueueMode, getPidColor } from './SchedulerEngine';
+import { Difficulty, generateProblem, problemOptions, solveProblem, gradeTable, loadSessionScore, saveSessionScore } from '../utils/practice';
+
+const TASKS = [
+  { id: 'dispatch', label: 'Predict each dispatch' },
+  { id: 'table', label: 'Fill in the CT/TAT/WT table' },
+];
+
+const TABLE_FIELDS = [
+  { key: 'ct', label: 'CT' },
+  { key: 'tat', label: 'TAT' },
+  { key: 'wt', label: 'WT' },
+];
+
+const randomSeed = () => Math.floor(Math.random() * 100000) + 1;
+
+/**
+ * Settings from the Scheduling page that change the answer, as short phrases for the problem statement
+ */
+const describeSettings = (algorithm, settings = {}) => [
+  settings.cpuCount > 1 && `${settings.cpuCount} CPUs (${settings.queueMode === QueueMode.PER_CORE ? 'per-core queues' : 'one shared queue'})`,
+  settings.contextSwitchTime > 0 && `context switch ${settings.contextSwitchTime} unit(s)`,
+  algorithm === Algorithm.MLFQ && `${settings.mlfqLevels} levels${settings.boostInterval > 0 ? `, priority boost every ${settings.boostInterval}` : ''}`,
+  settings.agingInterval > 0 && (algorithm === Algorithm.PRIORITY || algorithm === Algorithm.SJF)
+    && `aging by ${settings.agingStep} every ${settings.agingInterval}`,
+  algorithm === Algorithm.CFS && `target latency ${settings.targetLatency}, min granularity ${settings.minGranularity}`,
+  algorithm === Algorithm.LOTTERY && `lottery seed ${settings.seed}`,
+  settings.predictBursts && (algorithm === Algorithm.SJF || algorithm === Algorithm.SRTF)
+    && `predicted bursts (α = ${settings.alpha}, τ₀ = ${settings.initialTau})`,
+].filter(Boolean);
+
+/**
+ * PracticeMode Component
+ * Tests understanding instead of showing the answer: the student predicts which process
+ * is dispatched at every scheduling decision, or fills in the final CT/TAT/WT table.
+ * Answers are checked against SchedulerEngine and explained with the trace's own
+ * explanation/decision text. The score is kept for the browser session.
+ * "Use my processes" poses the Scheduling page's own processes with all of its settings.
+ */
+const PracticeMode = ({ processes, algorithm, options, preemptive }) => {
+  const [open, setOpen] = useState(false);
+  const [difficulty, setDifficulty] = useState(Difficulty.EASY);
+  const [problem, setProblem] = useState(() => generateProblem(Difficulty.EASY, randomSeed()));
+  const [task, setTask] = useState('dispatch');
+  const [questionIndex, setQuestionIndex] = useState(0);
+  const [guess, setGuess] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [grade, setGrade] = useState(null);
+  const [score, setScore] = useState(loadSessionScore);
+
+  const solution = useMemo(() => solveProblem(problem), [problem]);
+  const dispatch = solution.dispatches[questionIndex];
+  const finished = questionIndex >= solution.dispatches.length;
+
+  useEffect(() => {
+    saveSessionScore(score);
+  }, [score]);
+
+  // Schedule so far: up to the decision while guessing, including it once answered
+  const progress = useMemo(() => {
+    const engine = new SchedulerEngine(problem.processes, problem.algorithm, problemOptions(problem));
+    if (finished) return engine.seek(Infinity);
+    return engine.seek(guess ? dispatch.time + 1 : dispatch.time);
+  }, [problem, dispatch, guess, finished]);
+
+  const startProblem = (next) => {
+    setProblem(next);
+    setQuestionIndex(0);
+    setGuess(null);
+    setAnswers({});
+    setGrade(null);
+  };
+
+  const newProblem = (level = difficulty, seed = randomSeed()) => {
+    setDifficulty(level);
+    startProblem(generateProblem(level, seed));
+  };
+
+  const useCurrentSetup = () => {
+    startProblem({
+      difficulty: null,
+      seed: null,
+      algorithm,
+      quantum: options.quantum,
+      settings: { ...options, preemptive: preemptive ?? undefined },
+      processes: processes.map(process => ({ ...process })),
+    });
+  };
+
+  const record = (correct, attempted) => {
+    setScore(current => ({ correct: current.correct + correct, attempted: current.attempted + attempted }));
+  };
+
+  const answerDispatch = (pid) => {
+    if (guess) return;
+    setGuess(pid);
+    record(pid === dispatch.pid ? 1 : 0, 1);
+  };
+
+  const nextQuestion = () => {
+    setGuess(null);
+    setQuestionIndex(index => index + 1);
+  };
+
+  const checkTable = () => {
+    const result = gradeTable(solution.results, answers);
+    // Only the first check of a problem counts toward the score
+    if (!grade) record(result.correct, result.total);
+    setGrade(result);
+  };
+
+  const updateAnswer = (pid, field, value) => {
+    setAnswers(current => ({ ...current, [pid]: { ...current[pid], [field]: value } }));
+  };
+
+  const showPriority = problem.algorithm === Algorithm.PRIORITY;
+  const showQuantum = problem.algorithm === Algorithm.RR || problem.algorithm === Algorithm.MLFQ;
+  const showNice = problem.algorithm === Algorithm.CFS;
+  const showTickets = problem.algorithm === Algorithm.LOTTERY || problem.algorithm === Algorithm.STRIDE;
+  const showPeriod = problem.processes.some(p => Number(p.period) > 0);
+  const settingNotes = describeSettings(problem.algorithm, problem.settings);
+  // Every process still unfinished at the decision is a possible answer (not-yet-arrived ones are distractors)
+  const candidates = finished ? [] : solution.results.processes.filter(p => p.completionTime > dispatch.time);
+  const percent = score.attempted ? Math.round((score.correct / score.attempted) * 100) : 0;
+  const chipClass = (active) => `rounded-lg px-3 py-1.5 text-xs font-semibold ${
+    active ? 'bg-indigo-600 text-white' : 'bg-slate-900/70 text-slate-300 border border-white/10 hover:bg-slate-800/70'
+  }`;
+
+  return (
+    <div className="glass rounded-2xl border border-white/10 overflow-hidden">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="w-full px-6 py-5 flex items-center justify-between hover:bg-white/5"
+      >
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-lg bg-gradient-to-br from-rose-500 to-amber-500 flex items-center justify-center">
+            <Target className="w-5 h-5 text-white" />
+          </div>
+          <div className="text-left">
+            <h3 className="font-semibold text-white">Practice Mode</h3>
+            <p className="text-xs text-neutral-400">Predict the scheduler's decisions and get graded against the engine</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-3">
+          <span className="flex items-center gap-1 text-sm text-amber-300">
+            <Award className="w-4 h-4" />
+            {score.correct}/{score.attempted}
+            {score.attempted > 0 && <span className="text-xs text-neutral-400">({percent}%)</span>}
+          </span>
+          {open ? <ChevronUp className="w-5 h-5 text-neutral-400" /> : <ChevronDown className="w-5 h-5 text-neutral-400" />}
+        </div>
+      </button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            className="overflow-hidden border-t border-white/10"
+          >
+            <div className="p-6 space-y-5">
+              {/* Problem selection */}
+              <div className="flex flex-wrap items-center gap-2">
+                {Object.values(Difficulty).map(level => (
+                  <button key={level} type="button" onClick={() => newProblem(level)} className={chipClass(problem.difficulty === level)}>
+                    {level.charAt(0) + level.slice(1).toLowerCase()}
+                  </button>
+                ))}
+                <button type="button" onClick={() => newProblem()} className="flex items-center gap-2 rounded-lg px-3 py-1.5 text-xs font-semibold bg-emerald-600 hover:bg-emerald-500 text-white">
+                  <Dices className="w-4 h-4" />
+                  New Problem
+                </button>
+                <button type="button" onClick={useCurrentSetup} className={chipClass(problem.difficulty === null)}>
+                  Use my processes ({algorithm})
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setScore({ correct: 0, attempted: 0 })}
+                  className="ml-auto flex items-center gap-1 text-xs text-neutral-400 hover:text-white"
+                >
+                  <RotateCcw className="w-3.5 h-3.5" />
+                  Reset score
+                </button>
+              </div>
+
+              <div className="flex flex-wrap gap-2">
+                {TASKS.map(option => (
+                  <button key={option.id} type="button" onClick={() => setTask(option.id)} className={chipClass(task === option.id)}>
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+
+              {/* Problem statement */}
+              <div className="rounded-xl bg-slate-900/60 border border-white/10 p-4 space-y-3">
+                <p className="text-sm text-slate-200">
+                  {problem.seed !== null && <span className="text-neutral-500">Problem #{problem.seed} · </span>}
+                  Schedule these processes with <strong className="text-white">{problem.algorithm}</strong>
+                  {' '}({solution.preemptive ? 'preemptive' : 'non-preemptive'})
+                  {showQuantum && <>, time quantum <strong className="text-white">{problem.quantum}</strong></>}
+                  {showPriority && <>; lower priority number = higher priority</>}.
+                </p>
+                {settingNotes.length > 0 && (
+                  <p className="text-xs text-neutral-400">Scheduling page settings: {settingNotes.join(' · ')}</p>
+                )}
+                <table className="text-sm">
+                  <thead>
+                    <tr className="text-slate-400">
+                      <th className="pr-6 text-left font-medium">Process</th>
+                      <th className="pr-6 text-right font-medium">Arrival</th>
+                      <th className="pr-6 text-right font-medium">Burst</th>
+                      {showPriority && <th className="pr-6 text-right font-medium">Priority</th>}
+                      {showNice && <th className="pr-6 text-right font-medium">Nice</th>}
+                      {showTickets && <th className="pr-6 text-right font-medium">Tickets</th>}
+                      {showPeriod && <th className="pr-6 text-right font-medium">Period</th>}
+                      {showPeriod && <th className="pr-6 text-right font-medium">Deadline</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {problem.processes.map(p => (
+                      <tr key={p.pid}>
+                        <td className="pr-6 font-bold" style={{ color: getPidColor(p.pid) }}>{p.pid}</td>
+                        <td className="pr-6 text-right text-slate-300">{p.arrivalTime}</td>
+                        <td className="pr-6 text-right text-slate-300" title={p.bursts?.length > 1 ? 'CPU / I/O / CPU ...' : undefined}>
+                          {p.bursts?.length > 1 ? p.bursts.join(' / ') : p.burstTime}
+                        </td>
+                        {showPriority && <td className="pr-6 text-right text-slate-300">{p.priority}</td>}
+                        {showNice && <td className="pr-6 text-right text-slate-300">{p.nice ?? 0}</td>}
+                        {showTickets && <td className="pr-6 text-right text-slate-300">{p.tickets ?? 100}</td>}
+                        {showPeriod && <td className="pr-6 text-right text-slate-300">{Number(p.period) || '-'}</td>}
+                        {showPeriod && <td className="pr-6 text-right text-slate-300">{Number(p.deadline) || Number(p.period) || '-'}</td>}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {task === 'dispatch' && (
+                <div className="space-y-4">
+                  {!finished ? (
+                    <div className="rounded-xl bg-slate-900/60 border border-white/10 p-4 space-y-3">
+                      <p className="text-sm text-white">
+                        Decision {questionIndex + 1} of {solution.dispatches.length}: at <strong>t = {dispatch.time}</strong>, which process gets the CPU?
+                      </p>
+                      <div className="flex flex-wrap gap-2">
+                        {candidates.map(p => {
+                          const isAnswer = guess && p.pid === dispatch.pid;
+                          const isWrongGuess = guess === p.pid && p.pid !== dispatch.pid;
+                          return (
+                            <button
+                              key={p.pid}
+                              type="button"
+                              onClick={() => answerDispatch(p.pid)}
+                              disabled={Boolean(guess)}
+                              className={`rounded-lg px-4 py-2 text-sm font-bold border-2 ${
+                                isAnswer ? 'bg-emerald-500/20 border-emerald-400' : isWrongGuess ? 'bg-rose-500/20 border-rose-400' : 'bg-slate-950/60 border-white/10 hover:border-white/30'
+                              }`}
+                              style={{ color: getPidColor(p.pid) }}
+                            >
+                              {p.pid}
+                            </button>
+                          );
+                        })}
+                      </div>
+                      {guess && (
+                        <div className={`rounded-lg border px-4 py-3 text-sm space-y-1 ${guess === dispatch.pid ? 'border-emerald-500/40 bg-emerald-500/10' : 'border-rose-500/40 bg-rose-500/10'}`}>
+                          <div className={`flex items-center gap-2 font-semibold ${guess === dispatch.pid ? 'text-emerald-300' : 'text-rose-300'}`}>
+                            {guess === dispatch.pid ? <CheckCircle2 className="w-4 h-4" /> : <XCircle className="w-4 h-4" />}
+                            {guess === dispatch.pid ? 'Correct!' : `Not quite - the scheduler dispatched ${dispatch.pid}`}
+                          </div>
+                          <p className="text-slate-200">{dispatch.explanation}</p>
+                          {dispatch.decision && <p className="text-slate-400">{dispatch.decision}</p>}
+                          <button
+                            type="button"
+                            onClick={nextQuestion}
+                            className="mt-2 flex items-center gap-1 rounded-lg px-3 py-1.5 text-xs font-semibold bg-blue-600 hover:bg-blue-500 text-white"
+                          >
+                            {questionIndex + 1 < solution.dispatches.length ? 'Next decision' : 'Finish'}
+                            <ChevronRight className="w-4 h-4" />
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  ) : (
+                    <div className="rounded-xl border border-emerald-500/40 bg-emerald-500/10 p-4 text-sm text-emerald-200 flex flex-wrap items-center gap-3">
+                      <CheckCircle2 className="w-4 h-4" />
+                      All {solution.dispatches.length} decisions done. Try filling in the table for this problem, or start a new one.
+                    </div>
+                  )}
+                  <GanttChart
+                    title="Schedule So Far"
+                    gantt={progress.gantt}
+                    ioGantt={progress.ioGantt}
+                    cpuCount={progress.cpuCount}
+                    currentTime={progress.time}
+                  />
+                </div>
+              )}
+
+              {task === 'table' && (
+                <div className="space-y-4">
+                  <div className="rounded-xl bg-slate-900/60 border border-white/10 p-4 space-y-3 overflow-x-auto">
+                    <p className="text-sm text-slate-300">Work out the schedule on paper, then fill in completion, turnaround and waiting time for each process.</p>
+                    <table className="text-sm">
+                      <thead>
+                        <tr className="text-slate-400">
+                          <th className="pr-4 text-left font-medium">Process</th>
+                          {TABLE_FIELDS.map(field => <th key={field.key} className="px-2 font-medium">{field.label}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {/* Graded per job: periodic tasks release several */}
+                        {solution.results.processes.map(p => (
+                          <tr key={p.pid}>
+                            <td className="pr-4 py-1 font-bold" style={{ color: getPidColor(p.pid) }}>{p.pid}</td>
+                            {TABLE_FIELDS.map(field => {
+                              const cell = grade?.cells[p.pid]?.[field.key];
+                              return (
+                                <td key={field.key} className="px-2 py-1">
+                                  <input
+                                    type="number"
+                                    value={answers[p.pid]?.[field.key] ?? ''}
+                                    onChange={(e) => updateAnswer(p.pid, field.key, e.target.value)}
+                                    className={`w-20 bg-transparent border rounded-lg px-2 py-1 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+                                      cell ? (cell.correct ? 'border-emerald-400' : 'border-rose-400') : 'border-white/10'
+                                    }`}
+                                  />
+                                  {cell && !cell.correct && (
+                                    <span className="block text-[10px] text-rose-300">expected {cell.expected}</span>
+                                  )}
+                                </td>
+                              );
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <div className="flex items-center gap-3">
+                      <button
+                        type="button"
+                        onClick={checkTable}
+                        className="flex items-center gap-2 rounded-lg px-3 py-1.5 text-xs font-semibold bg-blue-600 hover:bg-blue-500 text-white"
+                      >
+                        <CheckCircle2 className="w-4 h-4" />
+                        Check Answers
+                      </button>
+                      {grade && (
+                        <span className={grade.correct === grade.total ? 'text-sm text-emerald-300' : 'text-sm text-amber-300'}>
+                          {grade.correct}/{grade.total} cells correct
+                        </span>
+                      )}
+                    </div>
+                  </div>
+
+                  {grade && (
+                    <>
+                      <div className="rounded-xl bg-slate-900/60 border border-white/10 p-4 space-y-2 text-sm">
+                        <h4 className="font-semibold text-white">How the scheduler decided</h4>
+                        {solution.dispatches.map((entry, i) => (
+                          <p key={i} className="text-slate-300">
+                            <span className="font-mono text-neutral-500">t={entry.time}</span>{' '}
+                            <strong style={{ color: getPidColor(entry.pid) }}>{entry.pid}</strong>: {entry.explanation}
+                          </p>
+                        ))}
+                      </div>
+                      <WorkedSolution results={solution.results} algorithm={problem.algorithm} quantum={problem.quantum} />
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default PracticeMode;
@@ -1,14 +1,19 @@
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Plus, Trash2, User, Clock, Zap, Star } from 'lucide-react';
+import { Plus, Minus, Trash2, User, Clock, Zap, Star, HardDrive, Repeat, AlarmClock, Scale, Ticket } from 'lucide-react';
 import { getPidColor } from './SchedulerEngine';
 
 /**
  * ProcessInput Component
  * Allows users to create, edit, and delete processes
  * Each process has: PID, Arrival Time, Burst Time, Priority
+ * and an optional alternating CPU/I-O burst sequence.
+ * For real-time algorithms a process can also be a periodic task:
+ * period > 0 releases a job every period, burst is its WCET and arrival its phase.
+ * The third field follows the algorithm: priority, a CFS nice value (-20..19),
+ * or lottery/stride tickets.
  */
-const ProcessInput = ({ processes, onUpdate, onAdd, onRemove, disabled }) => {
+const ProcessInput = ({ processes, onUpdate, onAdd, onRemove, disabled, showRealtime = false, weightField = 'priority' }) => {
   return (
     <div className="glass rounded-2xl overflow-hidden">
       {/* Header */}
@@ -98,27 +103,104 @@ const ProcessInput = ({ processes, onUpdate, onAdd, onRemove, disabled }) => {
                     min="1"
                     value={process.burstTime}
                     onChange={(e) => onUpdate(idx, 'burstTime', e.target.value)}
-                    disabled={disabled}
+                    disabled={disabled || process.bursts?.length > 1}
+                    title={process.bursts?.length > 1 ? 'Total of all CPU bursts - edit the sequence below' : undefined}
                     className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 transition-all"
                   />
                 </div>
 
-                {/* Priority */}
-                <div className="space-y-1.5">
-                  <label className="flex items-center gap-1.5 text-xs text-slate-400">
-                    <Star size={12} />
-                    Priority
-                  </label>
-                  <input
-                    type="number"
-                    min="0"
-                    value={process.priority}
-                    onChange={(e) => onUpdate(idx, 'priority', e.target.value)}
-                    disabled={disabled}
-                    className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 transition-all"
-                  />
-                </div>
+                {/* Priority, the nice value for CFS, or tickets for lottery/stride */}
+                {weightField === 'nice' && (
+                  <div className="space-y-1.5">
+                    <label className="flex items-center gap-1.5 text-xs text-slate-400">
+                      <Scale size={12} />
+                      Nice
+                    </label>
+                    <input
+                      type="number"
+                      min="-20"
+                      max="19"
+                      value={process.nice ?? 0}
+                      onChange={(e) => onUpdate(idx, 'nice', Math.min(19, Math.max(-20, Number(e.target.value) || 0)))}
+                      disabled={disabled}
+                      className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 transition-all"
+                    />
+                  </div>
+                )}
+                {weightField === 'tickets' && (
+                  <div className="space-y-1.5">
+                    <label className="flex items-center gap-1.5 text-xs text-slate-400">
+                      <Ticket size={12} />
+                      Tickets
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={process.tickets ?? 100}
+                      onChange={(e) => onUpdate(idx, 'tickets', Math.max(1, Number(e.target.value) || 1))}
+                      disabled={disabled}
+                      className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 transition-all"
+                    />
+                  </div>
+                )}
+                {weightField === 'priority' && (
+                  <div className="space-y-1.5">
+                    <label className="flex items-center gap-1.5 text-xs text-slate-400">
+                      <Star size={12} />
+                      Priority
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={process.priority}
+                      onChange={(e) => onUpdate(idx, 'priority', e.target.value)}
+                      disabled={disabled}
+                      className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 transition-all"
+                    />
+                  </div>
+                )}
               </div>
+
+              {/* Real-time task parameters */}
+              {(showRealtime || process.period > 0) && (
+                <div className="px-5 pb-5 grid grid-cols-2 gap-4">
+                  <div className="space-y-1.5">
+                    <label className="flex items-center gap-1.5 text-xs text-slate-400">
+                      <Repeat size={12} />
+                      Period (0 = one-shot)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={process.period ?? 0}
+                      onChange={(e) => onUpdate(idx, 'period', e.target.value)}
+                      disabled={disabled}
+                      className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 transition-all"
+                    />
+                  </div>
+                  <div className="space-y-1.5">
+                    <label className="flex items-center gap-1.5 text-xs text-slate-400">
+                      <AlarmClock size={12} />
+                      Deadline (0 = period)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={process.deadline ?? 0}
+                      onChange={(e) => onUpdate(idx, 'deadline', e.target.value)}
+                      disabled={disabled}
+                      className="w-full bg-slate-800 border border-slate-600 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 transition-all"
+                    />
+                  </div>
+                </div>
+              )}
+
+              {/* Burst Sequence */}
+              <BurstSequenceEditor
+                process={process}
+                onChange={(bursts) => onUpdate(idx, 'bursts', bursts)}
+                disabled={disabled}
+              />
             </motion.div>
           ))}
         </AnimatePresence>
@@ -139,11 +221,81 @@ const ProcessInput = ({ processes, onUpdate, onAdd, onRemove, disabled }) => {
       {/* Help Text */}
       <div className="px-4 py-3 bg-slate-800/30 border-t border-slate-700/50">
         <p className="text-xs text-slate-400">
-          💡 <strong>Tip:</strong> Try different arrival times and burst times to see how the algorithm behaves!
+          💡 <strong>Tip:</strong> Try different arrival times and burst times to see how the algorithm behaves! Add I/O bursts to see why I/O-bound jobs benefit from SRTF and RR.{showRealtime && ' For EDF and RM, give each task a period; its burst is the worst-case execution time and its arrival is the first release.'}
         </p>
       </div>
     </div>
   );
 };
 
+/**
+ * BurstSequenceEditor
+ * Edits the alternating CPU, I/O, CPU, ... burst list of one process
+ * A process without I/O has a single CPU burst equal to its burst time
+ */
+const BurstSequenceEditor = ({ process, onChange, disabled }) => {
+  const bursts = process.bursts?.length ? process.bursts : [Number(process.burstTime) || 1];
+
+  const updateBurst = (i, value) => {
+    onChange(bursts.map((b, j) => (j === i ? Math.max(1, Number(value) || 1) : b)));
+  };
+
+  const addIoPhase = () => onChange([...bursts, 2, 1]);
+  const removeIoPhase = () => onChange(bursts.slice(0, -2));
+
+  return (
+    <div className="px-5 pb-5 space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="flex items-center gap-1.5 text-xs text-slate-400">
+          <HardDrive size={12} />
+          Burst sequence
+        </span>
+        <div className="flex gap-1">
+          <button
+            type="button"
+            onClick={removeIoPhase}
+            disabled={disabled || bursts.length <= 1}
+            className="p-1 rounded bg-slate-800 text-slate-300 hover:bg-slate-700 disabled:opacity-30 disabled:cursor-not-allowed"
+            title="Remove the last I/O + CPU pair"
+          >
+            <Minus size={12} />
+          </button>
+          <button
+            type="button"
+            onClick={addIoPhase}
+            disabled={disabled}
+            className="p-1 rounded bg-slate-800 text-slate-300 hover:bg-slate-700 disabled:opacity-30 disabled:cursor-not-allowed"
+            title="Add an I/O burst followed by a CPU burst"
+          >
+            <Plus size={12} />
+          </button>
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-1.5">
+        {bursts.map((burst, i) => {
+          const isIo = i % 2 === 1;
+          return (
+            <label
+              key={i}
+              className={`flex items-center gap-1 rounded-md border px-1.5 py-1 text-[10px] font-semibold uppercase ${
+                isIo ? 'border-amber-500/40 text-amber-300 bg-amber-500/10' : 'border-blue-500/40 text-blue-300 bg-blue-500/10'
+              }`}
+            >
+              {isIo ? 'I/O' : 'CPU'}
+              <input
+                type="number"
+                min="1"
+                value={burst}
+                onChange={(e) => updateBurst(i, e.target.value)}
+                disabled={disabled}
+                className="w-10 bg-transparent text-white text-xs focus:outline-none disabled:opacity-50"
+              />
+            </label>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
 export default ProcessInput;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { Library, Sparkles, BookmarkPlus, BookMarked, Trash2, AlertTriangle } from 'lucide-react';
+import { getPresets, listSavedScenarios, saveNamedScenario, deleteSavedScenario } from '../utils/scenarioLibrary';
+
+/**
+ * ScenarioLibrary Component
+ * One-click built-in presets for this simulator page, plus named scenarios saved in the browser.
+ * getScenario() returns the current setup to save; onLoad(scenario) applies a preset or saved entry.
+ */
+const ScenarioLibrary = ({ kind, getScenario, onLoad, disabled = false }) => {
+  const presets = getPresets(kind);
+  const [saved, setSaved] = useState(() => listSavedScenarios(kind));
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+
+  const refresh = () => setSaved(listSavedScenarios(kind));
+
+  const save = () => {
+    if (!saveNamedScenario(kind, name, getScenario())) {
+      setError('The browser refused to store the scenario (storage full or disabled)');
+      return;
+    }
+    setError('');
+    setName('');
+    refresh();
+  };
+
+  const remove = (id) => {
+    deleteSavedScenario(id);
+    refresh();
+  };
+
+  const chipClass = 'rounded-xl px-3 py-2 text-left text-xs bg-slate-900/70 border border-white/10 hover:bg-slate-800/70 disabled:opacity-50';
+  const nameTaken = saved.some(entry => entry.name.toLowerCase() === name.trim().toLowerCase());
+
+  return (
+    <div className="glass rounded-2xl border border-white/10 p-5 space-y-4">
+      <div className="flex items-center gap-2">
+        <Library className="w-4 h-4 text-indigo-300" />
+        <span className="text-[11px] uppercase tracking-[0.4em] text-neutral-400">Scenario Library</span>
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center gap-2 text-xs text-neutral-400">
+          <Sparkles className="w-3.5 h-3.5 text-amber-300" />
+          Built-in presets
+        </div>
+        <div className="grid gap-2 sm:grid-cols-2">
+          {presets.map(preset => (
+            <button
+              key={preset.id}
+              type="button"
+              onClick={() => onLoad(preset.scenario)}
+              disabled={disabled}
+              title={preset.description}
+              className={chipClass}
+            >
+              <div className="font-semibold text-white">{preset.name}</div>
+              <div className="text-neutral-400 mt-0.5">{preset.description}</div>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center gap-2 text-xs text-neutral-400">
+          <BookMarked className="w-3.5 h-3.5 text-emerald-300" />
+          Saved in this browser
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter' && name.trim()) save(); }}
+            placeholder="Name this setup, e.g. Lab 3 - exercise 2"
+            className="flex-1 bg-transparent border border-white/10 rounded-xl px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <button
+            type="button"
+            onClick={save}
+            disabled={!name.trim()}
+            className="flex items-center gap-2 rounded-xl px-3 py-2 text-xs font-semibold bg-indigo-600 hover:bg-indigo-500 text-white disabled:opacity-50"
+          >
+            <BookmarkPlus className="w-4 h-4" />
+            {nameTaken ? 'Replace' : 'Save'}
+          </button>
+        </div>
+        {saved.length === 0 ? (
+          <p className="text-[11px] text-neutral-500">Nothing saved yet for this page.</p>
+        ) : (
+          <div className="space-y-1">
+            {saved.map(entry => (
+              <div key={entry.id} className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => onLoad(entry.scenario)}
+                  disabled={disabled}
+                  className={`${chipClass} flex-1 flex items-center justify-between`}
+                >
+                  <span className="font-semibold text-white">{entry.name}</span>
+                  {entry.savedAt && (
+                    <span className="text-neutral-500">{new Date(entry.savedAt).toLocaleString()}</span>
+                  )}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => remove(entry.id)}
+                  aria-label={`Delete ${entry.name}`}
+                  className="p-2 rounded-xl text-neutral-400 hover:text-rose-300 hover:bg-rose-500/10"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+        {error && (
+          <div className="flex items-center gap-2 text-xs text-rose-300">
+            <AlertTriangle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioLibrary;
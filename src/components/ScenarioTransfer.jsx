@@ -0,0 +1,142 @@
+import React, { useRef, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Download, Upload, ClipboardPaste, FileJson, FileSpreadsheet, AlertTriangle, CheckCircle2 } from 'lucide-react';
+import { CsvColumns, parseScenario, serializeScenario, scenarioToCsv, downloadText } from '../utils/scenarioIO';
+
+const MAX_ERRORS_SHOWN = 8;
+
+/**
+ * ScenarioTransfer Component
+ * Save the current lab setup as JSON or CSV, and load one back from a file or pasted text.
+ * Nothing is applied unless every row validates; otherwise the row-level errors are listed.
+ * getScenario() returns the setup to save, onLoad(scenario) receives the validated fields
+ * (CSV imports only carry the workload rows).
+ */
+const ScenarioTransfer = ({ kind, name, getScenario, onLoad, disabled = false }) => {
+  const fileRef = useRef(null);
+  const [pasting, setPasting] = useState(false);
+  const [pasted, setPasted] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState('');
+
+  const load = (text, source) => {
+    const { scenario, errors: problems } = parseScenario(text, kind);
+    if (problems.length) {
+      setErrors(problems);
+      setMessage('');
+      return;
+    }
+    onLoad(scenario);
+    setErrors([]);
+    setPasting(false);
+    setPasted('');
+    const rows = scenario.processes ?? scenario.requests ?? [];
+    setMessage(`Loaded ${rows.length} row(s) from ${source}`);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      setErrors([`Could not read ${file.name}: ${error.message}`]);
+      setMessage('');
+      return;
+    }
+    load(text, file.name);
+  };
+
+  const exportJson = () => {
+    downloadText(`${name}.json`, serializeScenario(kind, getScenario()));
+  };
+
+  const exportCsv = () => {
+    downloadText(`${name}.csv`, scenarioToCsv(kind, getScenario()), 'text/csv');
+  };
+
+  const buttonClass = 'flex items-center gap-2 rounded-xl px-3 py-2 text-xs font-semibold bg-slate-900/70 text-slate-200 border border-white/10 hover:bg-slate-800/70 disabled:opacity-50';
+
+  return (
+    <div className="glass rounded-2xl border border-white/10 p-5 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-[11px] uppercase tracking-[0.4em] text-neutral-400 mr-2">Scenario</span>
+        <button type="button" onClick={exportJson} className={buttonClass}>
+          <FileJson className="w-4 h-4 text-amber-300" />
+          Save JSON
+        </button>
+        <button type="button" onClick={exportCsv} className={buttonClass}>
+          <FileSpreadsheet className="w-4 h-4 text-emerald-300" />
+          Save CSV
+        </button>
+        <button type="button" onClick={() => fileRef.current?.click()} disabled={disabled} className={buttonClass}>
+          <Upload className="w-4 h-4 text-sky-300" />
+          Load File
+        </button>
+        <button type="button" onClick={() => setPasting(!pasting)} disabled={disabled} className={buttonClass}>
+          <ClipboardPaste className="w-4 h-4 text-fuchsia-300" />
+          Paste
+        </button>
+        <input ref={fileRef} type="file" accept=".json,.csv,.txt" onChange={handleFile} className="hidden" />
+      </div>
+
+      <AnimatePresence>
+        {pasting && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            className="overflow-hidden space-y-2"
+          >
+            <textarea
+              value={pasted}
+              onChange={(e) => setPasted(e.target.value)}
+              rows={5}
+              placeholder={`${CsvColumns[kind].join(',')}\n...or a saved JSON scenario`}
+              className="w-full bg-transparent border border-white/10 rounded-2xl px-3 py-2 text-sm text-white font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="button"
+              onClick={() => load(pasted, 'pasted text')}
+              disabled={disabled || !pasted.trim()}
+              className="flex items-center gap-2 rounded-xl px-3 py-2 text-xs font-semibold bg-blue-600 hover:bg-blue-500 text-white disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              Load Pasted Rows
+            </button>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <p className="text-[11px] text-neutral-500">
+        CSV columns: <code className="text-neutral-300">{CsvColumns[kind].join(',')}</code> (header optional)
+      </p>
+
+      {errors.length > 0 && (
+        <div className="rounded-xl border border-rose-500/40 bg-rose-500/10 px-4 py-3 text-xs text-rose-200 space-y-1">
+          <div className="flex items-center gap-2 font-semibold text-rose-300">
+            <AlertTriangle className="w-4 h-4" />
+            Nothing was loaded - fix these rows and try again
+          </div>
+          {errors.slice(0, MAX_ERRORS_SHOWN).map(error => (
+            <div key={error}>• {error}</div>
+          ))}
+          {errors.length > MAX_ERRORS_SHOWN && (
+            <div className="text-rose-300/70">…and {errors.length - MAX_ERRORS_SHOWN} more</div>
+          )}
+        </div>
+      )}
+
+      {message && !errors.length && (
+        <div className="flex items-center gap-2 text-xs text-emerald-300">
+          <CheckCircle2 className="w-4 h-4" />
+          {message}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioTransfer;
@@ -1,7 +1,11 @@
+import { createRng } from '../utils/random.js';
+
 /**
  * CPU Scheduling Engine
  * Core OS scheduling logic implementation
- * Supports: FCFS, SJF, SRTF, Priority (Preemptive), Round Robin
+ * Supports: FCFS, SJF, SRTF, HRRN, LJF, LRTF, Priority (Preemptive), Round Robin, MLFQ,
+ * the real-time EDF and Rate Monotonic policies, a Linux CFS-style fair scheduler,
+ * and lottery/stride proportional-share scheduling, on one or more CPUs
  * 
  * Educational Focus: Every action includes WHY the decision was made
  */
@@ -11,8 +15,17 @@ export const Algorithm = {
   FCFS: 'FCFS',
   SJF: 'SJF',
   SRTF: 'SRTF',
+  HRRN: 'HRRN',
+  LJF: 'LJF',
+  LRTF: 'LRTF',
   PRIORITY: 'PRIORITY',
   RR: 'RR',
+  MLFQ: 'MLFQ',
+  EDF: 'EDF',
+  RM: 'RM',
+  CFS: 'CFS',
+  LOTTERY: 'LOTTERY',
+  STRIDE: 'STRIDE',
 };
 
 // Process states following OS theory
@@ -20,9 +33,145 @@ export const ProcessState = {
   NEW: 'NEW',
   READY: 'READY',
   RUNNING: 'RUNNING',
+  WAITING: 'WAITING',
   TERMINATED: 'TERMINATED',
 };
 
+// Ready queue layouts for multi-core scheduling
+export const QueueMode = {
+  GLOBAL: 'GLOBAL',
+  PER_CORE: 'PER_CORE',
+};
+
+// How per-core queues are kept balanced
+export const LoadBalancing = {
+  WORK_STEALING: 'WORK_STEALING',
+  PERIODIC: 'PERIODIC',
+};
+
+// Gantt label for time the CPU spends switching between processes
+export const CONTEXT_SWITCH_PID = 'CS';
+
+// CFS load weights for nice -20..19 (Linux sched_prio_to_weight), nice 0 = 1024
+const NICE_0_WEIGHT = 1024;
+const NICE_TO_WEIGHT = [
+  88761, 71755, 56483, 46273, 36291,
+  29154, 23254, 18705, 14949, 11916,
+  9548, 7620, 6100, 4904, 3906,
+  3121, 2501, 1991, 1586, 1277,
+  1024, 820, 655, 526, 423,
+  335, 272, 215, 172, 137,
+  110, 87, 70, 56, 45,
+  36, 29, 23, 18, 15,
+];
+
+/**
+ * CFS load weight of a nice value (clamped to -20..19)
+ * Each nice step changes the CPU share by roughly 10%
+ */
+export const niceToWeight = (nice) => {
+  const clamped = Math.min(19, Math.max(-20, Math.round(Number(nice) || 0)));
+  return NICE_TO_WEIGHT[clamped + 20];
+};
+
+// Stride scheduling: stride = STRIDE_CONSTANT / tickets
+const STRIDE_CONSTANT = 10000;
+const DEFAULT_TICKETS = 100;
+
+// Periodic task sets are simulated up to their hyperperiod, but never further than this
+const MAX_HORIZON = 200;
+
+// seek() keeps a copy of the engine state every this many ticks so it never replays from 0
+const CHECKPOINT_INTERVAL = 25;
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+const lcm = (a, b) => (a * b) / gcd(a, b);
+
+/**
+ * Expand periodic tasks into one job per release
+ * A task with period T, WCET C (burstTime), relative deadline D (defaults to T) and phase (arrivalTime)
+ * releases job k at phase + k·T. Jobs are released until the horizon, which defaults to
+ * the hyperperiod plus the largest phase. Aperiodic processes pass through unchanged.
+ */
+export const expandPeriodicTasks = (processes, horizon) => {
+  const periodic = processes.filter(p => Number(p.period) > 0);
+  if (!periodic.length) return processes;
+
+  const hyperperiod = periodic.reduce((acc, p) => lcm(acc, Number(p.period)), 1);
+  const maxPhase = Math.max(...periodic.map(p => Number(p.arrivalTime) || 0));
+  const end = Math.min(Number(horizon) || hyperperiod + maxPhase, MAX_HORIZON);
+
+  return processes.flatMap(p => {
+    const period = Number(p.period) || 0;
+    if (!period) return [p];
+    const phase = Number(p.arrivalTime) || 0;
+    const jobs = [];
+    for (let release = phase, k = 1; release < end; release += period, k += 1) {
+      jobs.push({ ...p, pid: `${p.pid}#${k}`, taskPid: p.pid, arrivalTime: release });
+    }
+    return jobs;
+  });
+};
+
+/**
+ * Schedulability tests for the periodic tasks in a process list
+ * RM: Liu & Layland bound U ≤ n(2^(1/n) − 1) is sufficient; U > 1 is never schedulable.
+ * EDF: U ≤ 1 is necessary and sufficient when deadlines equal periods.
+ * With deadlines shorter than periods both tests use the density Σ C/min(D, T) instead,
+ * which is only sufficient, so a failed test is reported as inconclusive.
+ */
+export const analyzeSchedulability = (processes) => {
+  const tasks = processes
+    .filter(p => Number(p.period) > 0)
+    .map(p => {
+      const period = Number(p.period);
+      return {
+        pid: p.pid,
+        wcet: Number(p.burstTime) || 0,
+        period,
+        deadline: Number(p.deadline) || period,
+      };
+    });
+  const n = tasks.length;
+  const utilization = tasks.reduce((sum, t) => sum + t.wcet / t.period, 0);
+  const density = tasks.reduce((sum, t) => sum + t.wcet / Math.min(t.deadline, t.period), 0);
+  const constrained = tasks.some(t => t.deadline < t.period);
+  const load = constrained ? density : utilization;
+  const rmBound = n ? n * (2 ** (1 / n) - 1) : 0;
+
+  const verdict = (passes) => {
+    if (passes) return 'schedulable';
+    return utilization > 1 ? 'unschedulable' : 'inconclusive';
+  };
+
+  return {
+    tasks,
+    utilization: Number(utilization.toFixed(3)),
+    density: Number(density.toFixed(3)),
+    constrained,
+    rmBound: Number(rmBound.toFixed(3)),
+    hyperperiod: n ? tasks.reduce((acc, t) => lcm(acc, t.period), 1) : 0,
+    rm: verdict(n > 0 && load <= rmBound),
+    edf: constrained ? verdict(load <= 1) : (utilization <= 1 ? 'schedulable' : 'unschedulable'),
+  };
+};
+
+/**
+ * Normalize a CPU/I-O burst sequence
+ * Bursts alternate CPU, I/O, CPU, ... and always start and end with a CPU burst.
+ * Processes without a sequence get a single CPU burst.
+ */
+export const normalizeBursts = (bursts, burstTime) => {
+  const values = Array.isArray(bursts)
+    ? bursts.map(b => Math.max(1, Number(b) || 1))
+    : [];
+  if (!values.length) {
+    return [Math.max(1, Number(burstTime) || 1)];
+  }
+  // A trailing I/O burst has no CPU burst after it, so drop it
+  return values.length % 2 === 0 ? values.slice(0, -1) : values;
+};
+
 /**
  * Core Scheduler Engine
  * Simulates CPU scheduling with step-by-step execution
@@ -32,7 +181,39 @@ export class SchedulerEngine {
   constructor(processes, algorithm, options = {}) {
     this.algorithm = algorithm;
     this.quantum = Number(options.quantum) || 1;
-    this.original = this.cloneProcesses(processes);
+    // Whether a running process can lose the CPU before its burst ends (defaults to the algorithm's classic form)
+    this.preemptive = options.preemptive ?? ConceptCards[algorithm]?.preemptive ?? false;
+    // MLFQ: queue 0 is the highest priority level, each lower level gets a longer slice
+    this.mlfqLevels = Math.max(1, Number(options.mlfqLevels) || 3);
+    this.mlfqQuanta = Array.from({ length: this.mlfqLevels }, (_, level) =>
+      Number(options.mlfqQuanta?.[level]) || this.quantum * 2 ** level
+    );
+    this.boostInterval = Math.max(0, Number(options.boostInterval) || 0);
+    // SMP: number of CPUs, shared or per-core ready queues, and how per-core queues are balanced
+    this.cpuCount = Math.max(1, Number(options.cpuCount) || 1);
+    this.queueMode = options.queueMode === QueueMode.PER_CORE ? QueueMode.PER_CORE : QueueMode.GLOBAL;
+    this.loadBalancing = options.loadBalancing === LoadBalancing.PERIODIC ? LoadBalancing.PERIODIC : LoadBalancing.WORK_STEALING;
+    this.migrationInterval = Math.max(1, Number(options.migrationInterval) || 4);
+    // Dispatch latency: ticks spent saving/loading state when the CPU changes process
+    this.contextSwitchTime = Math.max(0, Number(options.contextSwitchTime) || 0);
+    // Aging (PRIORITY, SJF): every agingInterval ticks in the ready queue improves a process by agingStep (0 = off)
+    this.agingInterval = Math.max(0, Number(options.agingInterval) || 0);
+    this.agingStep = Math.max(1, Number(options.agingStep) || 1);
+    // CFS: every runnable process should run once per target latency, but never for less than min granularity
+    this.targetLatency = Math.max(1, Number(options.targetLatency) || 6);
+    this.minGranularity = Math.max(1, Number(options.minGranularity) || 1);
+    // Lottery: the seed makes every draw reproducible
+    this.seed = options.seed ?? 1;
+    // SJF/SRTF burst prediction: schedule on τ(n+1) = α·t(n) + (1−α)·τ(n) instead of the real burst length
+    this.predictBursts = Boolean(options.predictBursts)
+      && (algorithm === Algorithm.SJF || algorithm === Algorithm.SRTF);
+    this.alpha = Math.min(1, Math.max(0, Number(options.alpha ?? 0.5) || 0));
+    this.initialTau = Math.max(1, Number(options.initialTau) || 5);
+    this.original = this.cloneProcesses(expandPeriodicTasks(processes, options.horizon));
+    // Tick at which the run finishes, measured on first request (see getEndTime)
+    this.endTime = null;
+    // Saved states by tick (see seek); the run is deterministic, so they stay valid across resets
+    this.checkpoints = new Map();
     this.reset();
   }
 
@@ -40,17 +221,65 @@ export class SchedulerEngine {
    * Deep clone processes to allow reset
    */
   cloneProcesses(processes) {
-    return processes.map(p => ({
-      pid: p.pid,
-      arrivalTime: Number(p.arrivalTime),
-      burstTime: Number(p.burstTime),
-      remainingTime: Number(p.burstTime),
-      priority: p.priority !== undefined ? Number(p.priority) : 0,
-      completionTime: null,
-      waitingTime: null,
-      turnaroundTime: null,
-      state: ProcessState.NEW,
-    }));
+    return processes.map(p => {
+      const bursts = normalizeBursts(p.bursts, p.burstTime);
+      const cpuBursts = bursts.filter((_, i) => i % 2 === 0);
+      const ioBursts = bursts.filter((_, i) => i % 2 === 1);
+      const arrivalTime = Number(p.arrivalTime);
+      const period = Number(p.period) || 0;
+      const relativeDeadline = Number(p.deadline) || period;
+      return {
+        pid: p.pid,
+        arrivalTime,
+        // burstTime is the total CPU demand; currentBurst/remainingTime refer to the current CPU burst
+        bursts,
+        burstIndex: 0,
+        burstTime: cpuBursts.reduce((sum, b) => sum + b, 0),
+        ioTime: ioBursts.reduce((sum, b) => sum + b, 0),
+        currentBurst: bursts[0],
+        remainingTime: bursts[0],
+        executedTime: 0,
+        ioRemaining: 0,
+        blockedTime: 0,
+        priority: p.priority !== undefined ? Number(p.priority) : 0,
+        // CFS: nice value, its load weight, and virtual runtime (CPU time scaled by 1024 / weight)
+        nice: Number(p.nice) || 0,
+        weight: niceToWeight(p.nice),
+        vruntime: 0,
+        timeSlice: 0,
+        wokenAt: null,
+        // Proportional share: tickets, stride/pass (stride scheduling) and the CPU time the tickets entitle it to
+        tickets: Math.max(1, Number(p.tickets) || DEFAULT_TICKETS),
+        stride: STRIDE_CONSTANT / Math.max(1, Number(p.tickets) || DEFAULT_TICKETS),
+        pass: 0,
+        expectedTicks: 0,
+        contendedTicks: 0,
+        // Burst prediction: the current guess τ for the next CPU burst, and every guess made so far
+        tau: this.initialTau,
+        predictions: [],
+        // Aging credit earned while waiting; cleared when the process leaves the CPU
+        agingBoost: 0,
+        agingWait: 0,
+        queueLevel: 0,
+        // Preferred CPU for per-core queues (soft affinity), and the CPU it last ran on
+        affinity: p.affinity !== undefined && p.affinity !== null && p.affinity !== '' ? Number(p.affinity) : null,
+        lastCore: null,
+        migrations: 0,
+        // Real-time: the periodic task a job belongs to, and its absolute deadline (null = none)
+        taskPid: p.taskPid ?? p.pid,
+        period,
+        relativeDeadline: relativeDeadline || null,
+        absoluteDeadline: relativeDeadline ? arrivalTime + relativeDeadline : null,
+        missedDeadline: false,
+        // First tick the process executed, after any dispatch latency (response time = firstRunTime - arrivalTime)
+        firstRunTime: null,
+        completionTime: null,
+        waitingTime: null,
+        turnaroundTime: null,
+        responseTime: null,
+        state: ProcessState.NEW,
+      };
+    });
   }
 
   /**
@@ -58,15 +287,214 @@ export class SchedulerEngine {
    */
   reset() {
     this.time = 0;
-    this.ready = [];
-    this.running = null;
+    // True from the clock moving until step() returns (see pushTrace)
+    this.clockAdvanced = false;
+    this.globalReady = [];
+    this.cores = Array.from({ length: this.cpuCount }, (_, id) => ({
+      id,
+      running: null,
+      quantumCounter: 0,
+      ready: [],
+      busyTicks: 0,
+      lastSegment: null,
+      lastPid: null,
+      // Process that last lost this CPU mid-burst, until the next dispatch here
+      preemptedPid: null,
+      switchRemaining: 0,
+      switchTicks: 0,
+    }));
+    this.core = null;
+    this.migrations = 0;
+    this.contextSwitches = 0;
+    this.preemptions = 0;
+    this.deadlineMisses = 0;
+    this.mispredictions = 0;
+    this.minVruntime = 0;
+    this.setRng(0);
+    this.deviceQueue = [];
     this.completedCount = 0;
     this.gantt = [];
+    this.ioGantt = [];
     this.trace = [];
-    this.quantumCounter = 0;
     this.processes = this.cloneProcesses(this.original);
   }
 
+  /**
+   * Seeded generator that has already produced `draws` numbers
+   * The draw count is what a checkpoint stores, since the generator itself cannot be copied
+   */
+  setRng(draws) {
+    const rng = createRng(this.seed);
+    for (let i = 0; i < draws; i++) rng();
+    this.rngDraws = draws;
+    this.rng = () => {
+      this.rngDraws += 1;
+      return rng();
+    };
+  }
+
+  /**
+   * Copy of everything step() changes
+   * One structuredClone keeps the links between queues, cores and processes intact.
+   * Trace entries are never modified once logged, so the trace is copied shallowly.
+   */
+  saveState() {
+    return {
+      ...structuredClone({
+        time: this.time,
+        globalReady: this.globalReady,
+        cores: this.cores,
+        processes: this.processes,
+        deviceQueue: this.deviceQueue,
+        gantt: this.gantt,
+        ioGantt: this.ioGantt,
+        migrations: this.migrations,
+        contextSwitches: this.contextSwitches,
+        preemptions: this.preemptions,
+        deadlineMisses: this.deadlineMisses,
+        mispredictions: this.mispredictions,
+        minVruntime: this.minVruntime,
+        completedCount: this.completedCount,
+      }),
+      trace: this.trace.slice(),
+      rngDraws: this.rngDraws,
+    };
+  }
+
+  /**
+   * Return to a state made by saveState (the saved copy itself stays untouched)
+   */
+  restoreState(state) {
+    const { trace, rngDraws, ...rest } = state;
+    Object.assign(this, structuredClone(rest));
+    this.trace = trace.slice();
+    this.core = null;
+    this.setRng(rngDraws);
+  }
+
+  /**
+   * The per-CPU phases of step() run with this.core pointing at one CPU at a time.
+   * running, quantumCounter and ready always refer to that CPU, so the policy code
+   * below reads the same on one core as on many.
+   */
+  get running() {
+    return this.core ? this.core.running : null;
+  }
+
+  set running(process) {
+    this.core.running = process;
+  }
+
+  get quantumCounter() {
+    return this.core ? this.core.quantumCounter : 0;
+  }
+
+  set quantumCounter(value) {
+    this.core.quantumCounter = value;
+  }
+
+  get ready() {
+    if (this.queueMode === QueueMode.GLOBAL) return this.globalReady;
+    // Outside a per-CPU phase, expose every per-core queue (read-only view)
+    return this.core ? this.core.ready : this.cores.flatMap(core => core.ready);
+  }
+
+  /**
+   * Put a READY process into the right ready queue
+   * Per-core queues keep a process on the CPU it last ran on (cache affinity)
+   */
+  enqueue(process) {
+    if (this.algorithm === Algorithm.CFS) {
+      this.placeEntity(process);
+      process.wokenAt = this.time;
+    }
+    if (this.algorithm === Algorithm.STRIDE) {
+      // Join at the current global pass so time spent away is not banked as credit
+      process.pass = Math.max(process.pass, this.minPass());
+    }
+    if (this.queueMode === QueueMode.GLOBAL) {
+      this.globalReady.push(process);
+      return;
+    }
+    const core = this.cores[process.lastCore] ?? this.cores[process.affinity] ?? this.leastLoadedCore();
+    core.ready.push(process);
+  }
+
+  /**
+   * CFS placement of an arriving or waking process
+   * A new process starts at min_vruntime; a process waking from I/O keeps its vruntime
+   * but is pulled up to at most half a latency period behind, so sleeping earns only limited credit
+   */
+  placeEntity(process) {
+    const floor = process.burstIndex === 0
+      ? this.minVruntime
+      : this.minVruntime - this.targetLatency / 2;
+    process.vruntime = Math.max(process.vruntime, floor);
+  }
+
+  /**
+   * CFS min_vruntime: the smallest vruntime among runnable processes, never moving backwards
+   */
+  updateMinVruntime() {
+    const runnable = this.runnableProcesses();
+    if (!runnable.length) return;
+    this.minVruntime = Math.max(this.minVruntime, Math.min(...runnable.map(p => p.vruntime)));
+  }
+
+  /**
+   * Stride: smallest pass value among runnable processes (0 when none)
+   */
+  minPass() {
+    const runnable = this.runnableProcesses();
+    return runnable.length ? Math.min(...runnable.map(p => p.pass)) : 0;
+  }
+
+  /**
+   * Processes competing for a CPU: running on a core or waiting in a ready queue
+   */
+  runnableProcesses() {
+    return [
+      ...this.cores.map(core => core.running).filter(Boolean),
+      ...(this.queueMode === QueueMode.GLOBAL ? this.globalReady : this.cores.flatMap(core => core.ready)),
+    ];
+  }
+
+  /**
+   * Lottery: draw a winning ticket among the ready processes and remove the winner from the queue
+   */
+  drawLottery() {
+    const total = this.ready.reduce((sum, p) => sum + p.tickets, 0);
+    const winning = Math.floor(this.rng() * total);
+    let counted = 0;
+    const ranges = this.ready.map(p => {
+      const range = { pid: p.pid, from: counted, to: counted + p.tickets - 1 };
+      counted += p.tickets;
+      return range;
+    });
+    const index = ranges.findIndex(r => winning <= r.to);
+    const [winner] = this.ready.splice(index, 1);
+    return { winner, winning, total, ranges };
+  }
+
+  /**
+   * CFS time slice: this process's weighted share of the scheduling period
+   * The period is the target latency, stretched when too many processes would get less than min granularity
+   */
+  computeCfsSlice(process) {
+    const runnable = [process, ...this.ready];
+    const totalWeight = runnable.reduce((sum, p) => sum + p.weight, 0);
+    const period = Math.max(this.targetLatency, runnable.length * this.minGranularity);
+    return Math.max(this.minGranularity, Math.round((period * process.weight) / totalWeight));
+  }
+
+  /**
+   * CPU with the fewest queued + running processes
+   */
+  leastLoadedCore() {
+    const load = core => core.ready.length + (core.running ? 1 : 0);
+    return this.cores.reduce((best, core) => (load(core) < load(best) ? core : best));
+  }
+
   /**
    * Check if all processes are done
    */
@@ -83,12 +511,18 @@ export class SchedulerEngine {
 
   /**
    * Add event to trace with educational explanation
+   * shownAt is the first tick whose snapshot includes the event: the next tick for events
+   * logged while a time unit runs, the current one for events logged after the clock moved
+   * (quantum expiry, I/O requests, deadline misses)
    */
   pushTrace(event, info = {}) {
+    const core = this.core ?? (this.cpuCount === 1 ? this.cores[0] : null);
     this.trace.push({
       time: this.time,
+      shownAt: this.clockAdvanced ? this.time : this.time + 1,
       event,
-      running: this.running ? this.running.pid : null,
+      cpu: this.cpuCount > 1 && this.core ? this.core.id : null,
+      running: core?.running ? core.running.pid : null,
       ready: this.ready.map(p => p.pid),
       transitions: info.transitions || [],
       explanation: info.explanation || '',
@@ -103,16 +537,42 @@ export class SchedulerEngine {
   sortReady(algorithm, ready) {
     switch (algorithm) {
       case Algorithm.SJF:
-        // Shortest Job First: sort by burst time (original job length)
-        ready.sort((a, b) => a.burstTime - b.burstTime || a.arrivalTime - b.arrivalTime);
+        // Shortest Job First: sort by the length of the next CPU burst
+        ready.sort((a, b) => this.getBurstEstimate(a) - this.getBurstEstimate(b) || a.arrivalTime - b.arrivalTime);
         break;
       case Algorithm.SRTF:
         // Shortest Remaining Time First: sort by remaining time
-        ready.sort((a, b) => a.remainingTime - b.remainingTime || a.arrivalTime - b.arrivalTime);
+        ready.sort((a, b) => this.getBurstEstimate(a) - this.getBurstEstimate(b) || a.arrivalTime - b.arrivalTime);
+        break;
+      case Algorithm.HRRN:
+        // Highest Response Ratio Next: (waiting + burst) / burst, highest first
+        ready.sort((a, b) => this.getResponseRatio(b) - this.getResponseRatio(a) || a.arrivalTime - b.arrivalTime);
+        break;
+      case Algorithm.LJF:
+      case Algorithm.LRTF:
+        // Longest Job First / Longest Remaining Time First: longest (remaining) burst first
+        ready.sort((a, b) => b.remainingTime - a.remainingTime || a.arrivalTime - b.arrivalTime);
         break;
       case Algorithm.PRIORITY:
         // Priority: lower number = higher priority
-        ready.sort((a, b) => a.priority - b.priority || a.arrivalTime - b.arrivalTime);
+        ready.sort((a, b) => this.getEffectivePriority(a) - this.getEffectivePriority(b) || a.arrivalTime - b.arrivalTime);
+        break;
+      case Algorithm.MLFQ:
+        // MLFQ: highest non-empty queue first, FIFO inside a level (sort is stable)
+        ready.sort((a, b) => a.queueLevel - b.queueLevel);
+        break;
+      case Algorithm.STRIDE:
+        // Stride: smallest pass value first
+        ready.sort((a, b) => a.pass - b.pass || a.arrivalTime - b.arrivalTime);
+        break;
+      case Algorithm.CFS:
+        // CFS: leftmost node of the red-black tree = smallest vruntime
+        ready.sort((a, b) => a.vruntime - b.vruntime || a.arrivalTime - b.arrivalTime);
+        break;
+      case Algorithm.EDF:
+      case Algorithm.RM:
+        // EDF: earliest absolute deadline first; RM: shortest period first (static priority)
+        ready.sort((a, b) => this.getRealtimeKey(a) - this.getRealtimeKey(b) || a.arrivalTime - b.arrivalTime);
         break;
       default:
         // FCFS and RR: FIFO order (no sort needed, order is arrival order)
@@ -120,6 +580,81 @@ export class SchedulerEngine {
     }
   }
 
+  /**
+   * Priority used for scheduling: the base priority improved by aging
+   * Aging never pushes a process past priority 0 (the best a user can assign)
+   */
+  getEffectivePriority(process) {
+    return Math.max(Math.min(process.priority, 0), process.priority - process.agingBoost);
+  }
+
+  /**
+   * HRRN response ratio = (time spent waiting + burst) / burst
+   * Waiting time grows while a process sits in the ready queue, so long jobs eventually win
+   */
+  getResponseRatio(process) {
+    const waited = this.time - process.arrivalTime - process.executedTime - process.blockedTime;
+    return (waited + process.remainingTime) / process.remainingTime;
+  }
+
+  /**
+   * Burst length SJF/SRTF compare: what is left of the CPU burst, shortened by aging
+   * Without preemption a waiting process has not started its burst, so this is the whole burst.
+   * With burst prediction the real length is hidden and the predicted remainder is used instead.
+   */
+  getBurstEstimate(process) {
+    const remaining = this.predictBursts ? this.getPredictedRemaining(process) : process.remainingTime;
+    return Math.max(0, remaining - process.agingBoost);
+  }
+
+  /**
+   * Predicted burst τ minus what the process has already run of its current burst
+   * A process that outruns its prediction is predicted to finish any moment (0 left)
+   */
+  getPredictedRemaining(process) {
+    return Math.max(0, Number((process.tau - (process.currentBurst - process.remainingTime)).toFixed(2)));
+  }
+
+  /**
+   * Record how long the CPU burst that just ended really was and update the prediction
+   * τ(n+1) = α·t(n) + (1−α)·τ(n). Returns a sentence for the trace ('' when prediction is off).
+   */
+  recordBurstLength(process) {
+    if (!this.predictBursts) return '';
+    const predicted = process.tau;
+    const actual = process.currentBurst;
+    process.predictions.push({ burst: process.predictions.length + 1, predicted: formatUnits(predicted), actual });
+    process.tau = this.alpha * actual + (1 - this.alpha) * predicted;
+    return ` Predicted ${formatUnits(predicted)}, actual ${actual}; next prediction τ = ${this.alpha}·${actual} + ${formatUnits(1 - this.alpha)}·${formatUnits(predicted)} = ${formatUnits(process.tau)}.`;
+  }
+
+  /**
+   * After a prediction-based pick, explain it when a waiting process was actually shorter
+   * The real burst lengths are only used here, to show what a clairvoyant SJF would have done
+   */
+  checkMisprediction(chosen) {
+    const shorter = this.ready
+      .filter(p => p.remainingTime < chosen.remainingTime)
+      .sort((a, b) => a.remainingTime - b.remainingTime || a.arrivalTime - b.arrivalTime)[0];
+    if (!shorter) return;
+
+    this.mispredictions += 1;
+    this.pushTrace('MISPREDICTION', {
+      transitions: [`${chosen.pid}: predicted ${formatUnits(this.getPredictedRemaining(chosen))}, actual ${chosen.remainingTime}`, `${shorter.pid}: predicted ${formatUnits(this.getPredictedRemaining(shorter))}, actual ${shorter.remainingTime}`],
+      explanation: `${chosen.pid} looked shorter than ${shorter.pid}, but its real burst is ${chosen.remainingTime} unit(s) against ${shorter.pid}'s ${shorter.remainingTime}. A scheduler that knew the true lengths would have run ${shorter.pid} first, so ${shorter.pid} now waits longer than necessary.`,
+      decision: `The OS cannot know the next CPU burst in advance, so SJF runs on an exponential average of past bursts (α = ${this.alpha}). When behaviour changes, the prediction lags behind and the schedule drifts away from the optimal one.`
+    });
+  }
+
+  /**
+   * Urgency used by the real-time policies, lower runs first
+   * Processes without a deadline (EDF) or period (RM) run in the background
+   */
+  getRealtimeKey(process) {
+    if (this.algorithm === Algorithm.EDF) return process.absoluteDeadline ?? Infinity;
+    return process.period || Infinity;
+  }
+
   /**
    * Dispatch next process from ready queue to running state
    * Returns true if a process was dispatched
@@ -128,37 +663,133 @@ export class SchedulerEngine {
     if (!this.ready.length) return false;
     
     let chosen;
+    let explanation;
+    let decision;
     if (this.algorithm === Algorithm.RR || this.algorithm === Algorithm.FCFS) {
       // FIFO order for FCFS and RR
       chosen = this.ready.shift();
-      const reason = this.algorithm === Algorithm.RR 
+      explanation = this.algorithm === Algorithm.RR 
         ? `${chosen.pid} is first in queue (Round Robin uses FIFO order)`
         : `${chosen.pid} arrived first (First Come First Serve)`;
-      this.pushTrace('DISPATCH', { 
-        transitions: [`${chosen.pid} → RUNNING`],
-        explanation: reason,
-        decision: this.algorithm === Algorithm.RR 
-          ? 'In RR, processes take turns in the order they arrived. No priority given to any process.'
-          : 'In FCFS, the process that arrived first gets the CPU. Simple queue order.'
-      });
+      decision = this.algorithm === Algorithm.RR 
+        ? 'In RR, processes take turns in the order they arrived. No priority given to any process.'
+        : 'In FCFS, the process that arrived first gets the CPU. Simple queue order.';
+    } else if (this.algorithm === Algorithm.LOTTERY) {
+      const { winner, winning, total, ranges } = this.drawLottery();
+      chosen = winner;
+      explanation = `${chosen.pid} selected: drew ticket #${winning} of ${total} (${ranges.map(r => `${r.pid} holds ${r.from}–${r.to}`).join(', ')})`;
+      decision = `Each ready process holds tickets; a random draw picks the winner, so ${chosen.pid} had a ${Math.round((chosen.tickets / total) * 100)}% chance. Over many draws each process gets a CPU share proportional to its tickets.`;
     } else {
       // Sort by algorithm policy and take best candidate
       this.sortReady(this.algorithm, this.ready);
       chosen = this.ready.shift();
-      const reason = this.getDispatchReason(chosen);
-      this.pushTrace('DISPATCH', { 
-        transitions: [`${chosen.pid} → RUNNING`],
-        explanation: `${chosen.pid} selected: ${reason}`,
-        decision: `${this.algorithm} algorithm chooses the next process based on its policy.`
-      });
+      if (this.algorithm === Algorithm.CFS) {
+        chosen.timeSlice = this.computeCfsSlice(chosen);
+      }
+      explanation = `${chosen.pid} selected: ${this.getDispatchReason(chosen)}`;
+      decision = `${this.algorithm} algorithm chooses the next process based on its policy.`;
+    }
+
+    if (this.cpuCount > 1) {
+      explanation += ` → runs on CPU${this.core.id}`;
+      if (chosen.lastCore !== null && chosen.lastCore !== this.core.id) {
+        chosen.migrations += 1;
+        this.migrations += 1;
+        explanation += ` (migrated from CPU${chosen.lastCore}, its cached data is left behind)`;
+      }
+    }
+    chosen.lastCore = this.core.id;
+
+    if (chosen.agingBoost > 0) {
+      explanation += ` (aging improved it by ${chosen.agingBoost}; it keeps that credit until it leaves the CPU)`;
+    }
+    chosen.agingWait = 0;
+
+    this.pushTrace('DISPATCH', { 
+      transitions: [`${chosen.pid} → RUNNING`],
+      explanation,
+      decision,
+    });
+    if (this.predictBursts) {
+      this.checkMisprediction(chosen);
     }
     
+    // A preemption only counts once another process takes the CPU (not when an expired slice is renewed)
+    if (this.core.preemptedPid !== null && this.core.preemptedPid !== chosen.pid) {
+      this.preemptions += 1;
+    }
+    this.core.preemptedPid = null;
+
     this.running = chosen;
     this.running.state = ProcessState.RUNNING;
     this.quantumCounter = 0;
+    this.beginContextSwitch(chosen);
     return true;
   }
 
+  /**
+   * Count a context switch when the CPU changes process and charge the dispatch latency
+   * Re-dispatching the process that ran last on this CPU needs no switch
+   */
+  beginContextSwitch(process) {
+    const previous = this.core.lastPid;
+    this.core.lastPid = process.pid;
+    if (previous === null || previous === process.pid) return;
+
+    this.contextSwitches += 1;
+    if (!this.contextSwitchTime) return;
+
+    this.core.switchRemaining = this.contextSwitchTime;
+    this.pushTrace('CONTEXT_SWITCH', {
+      transitions: [`${previous} ⇄ ${process.pid}`],
+      explanation: `Switching from ${previous} to ${process.pid} costs ${this.contextSwitchTime} unit(s): the kernel saves ${previous}'s registers and loads ${process.pid}'s state before ${process.pid} can run.`,
+      decision: 'A context switch does no useful work for any process. The more often an algorithm switches (e.g. RR with a small quantum), the more CPU time is lost to this overhead.'
+    });
+  }
+
+  /**
+   * Work stealing: an idle CPU with an empty queue pulls a waiting process
+   * from the CPU with the longest queue
+   */
+  stealWork() {
+    const victim = this.cores
+      .filter(core => core !== this.core && core.ready.length > 0)
+      .reduce((best, core) => (!best || core.ready.length > best.ready.length ? core : best), null);
+    if (!victim) return;
+
+    // Take the process the victim would run last
+    this.sortReady(this.algorithm, victim.ready);
+    const stolen = victim.ready.pop();
+    this.core.ready.push(stolen);
+    this.pushTrace('MIGRATE', {
+      transitions: [`${stolen.pid}: CPU${victim.id} queue → CPU${this.core.id} queue`],
+      explanation: `CPU${this.core.id} ran out of work and stole ${stolen.pid} from CPU${victim.id}, which had ${victim.ready.length + 1} process(es) waiting.`,
+      decision: 'With per-core run queues an idle CPU would otherwise sit idle while another CPU has a backlog. Work stealing moves work only when a CPU is idle, so affinity is kept most of the time.'
+    });
+  }
+
+  /**
+   * Periodic load balancing: move processes from the busiest to the least loaded CPU
+   * until the loads differ by at most one
+   */
+  rebalanceQueues() {
+    const load = core => core.ready.length + (core.running ? 1 : 0);
+    for (let moves = 0; moves < this.processes.length; moves += 1) {
+      const busiest = this.cores.reduce((best, core) => (load(core) > load(best) ? core : best));
+      const idlest = this.leastLoadedCore();
+      if (!busiest.ready.length || load(busiest) - load(idlest) < 2) return;
+
+      this.sortReady(this.algorithm, busiest.ready);
+      const moved = busiest.ready.pop();
+      idlest.ready.push(moved);
+      this.pushTrace('MIGRATE', {
+        transitions: [`${moved.pid}: CPU${busiest.id} queue → CPU${idlest.id} queue`],
+        explanation: `Load balancer at t=${this.time}: CPU${busiest.id} had ${load(busiest) + 1} process(es), CPU${idlest.id} had ${load(idlest) - 1}. ${moved.pid} was moved to even them out.`,
+        decision: `Every ${this.migrationInterval} units the balancer compares per-core loads. Migration evens out the work but costs cache affinity, so it only happens when the imbalance is at least 2.`
+      });
+    }
+  }
+
   /**
    * Get human-readable reason for dispatch decision
    */
@@ -167,47 +798,182 @@ export class SchedulerEngine {
       case Algorithm.FCFS:
         return `arrived first at t=${process.arrivalTime}`;
       case Algorithm.SJF:
-        return `has shortest burst time (${process.burstTime} units)`;
       case Algorithm.SRTF:
-        return `has shortest remaining time (${process.remainingTime} units)`;
-      case Algorithm.PRIORITY:
-        return `has highest priority (priority=${process.priority}, lower is better)`;
+        if (this.predictBursts) {
+          return `has the shortest predicted burst (${formatUnits(this.getBurstEstimate(process))} units left of τ = ${formatUnits(process.tau)}); the real length stays hidden until the burst ends`;
+        }
+        if (this.algorithm === Algorithm.SRTF) {
+          return this.preemptive
+            ? `has shortest remaining time (${process.remainingTime} units)`
+            : `has shortest remaining time (${process.remainingTime} units); without preemption it keeps the CPU until its burst ends`;
+        }
+        if (process.agingBoost > 0) {
+          return `has shortest aged burst estimate (${this.getBurstEstimate(process)}, actual burst ${process.remainingTime} units)`;
+        }
+        return this.preemptive
+          ? `has shortest remaining CPU burst (${process.remainingTime} units); a shorter arrival can still take the CPU away`
+          : `has shortest CPU burst (${process.currentBurst} units)`;
+      case Algorithm.HRRN: {
+        const waited = this.time - process.arrivalTime - process.executedTime - process.blockedTime;
+        return `has the highest response ratio (${waited} + ${process.remainingTime}) / ${process.remainingTime} = ${formatUnits(this.getResponseRatio(process))}`;
+      }
+      case Algorithm.LJF:
+        return this.preemptive
+          ? `has the longest remaining CPU burst (${process.remainingTime} units); preemptive LJF behaves like LRTF`
+          : `has the longest CPU burst (${process.remainingTime} units)`;
+      case Algorithm.LRTF:
+        return this.preemptive
+          ? `has the longest remaining time (${process.remainingTime} units)`
+          : `has the longest remaining time (${process.remainingTime} units); without preemption it keeps the CPU until its burst ends`;
+      case Algorithm.PRIORITY: {
+        const reason = process.agingBoost > 0
+          ? `has highest effective priority (${this.getEffectivePriority(process)}, aged from base ${process.priority}, lower is better)`
+          : `has highest priority (priority=${process.priority}, lower is better)`;
+        return this.preemptive ? reason : `${reason}; non-preemptive, so it keeps the CPU even if a higher priority process arrives`;
+      }
+      case Algorithm.STRIDE:
+        return `has the lowest pass value (${formatUnits(process.pass)}); each unit it runs adds its stride ${formatUnits(process.stride)} = ${STRIDE_CONSTANT}/${process.tickets} tickets`;
+      case Algorithm.CFS:
+        return `has the lowest vruntime (${formatUnits(process.vruntime)}); nice ${process.nice} gives weight ${process.weight}, so its slice is ${process.timeSlice} unit(s)`;
+      case Algorithm.EDF:
+        return process.absoluteDeadline !== null
+          ? `has the earliest absolute deadline (t=${process.absoluteDeadline})`
+          : 'has no deadline and nothing more urgent is waiting';
+      case Algorithm.RM:
+        return process.period
+          ? `has the shortest period (T=${process.period}), which is the highest static priority under RM`
+          : 'is not periodic and nothing with a period is waiting';
+      case Algorithm.MLFQ:
+        return `is first in the highest non-empty queue (Q${process.queueLevel}, quantum=${this.getTimeSlice(process)})`;
       default:
         return 'selected by scheduler';
     }
   }
 
   /**
-   * Check if running process should be preempted
-   * Only applies to preemptive algorithms: SRTF, PRIORITY, RR
+   * Check if running process should be preempted by a better candidate
+   * Only applies in preemptive mode: SJF/SRTF, PRIORITY, MLFQ
    */
   shouldPreempt() {
-    if (!this.running) return false;
+    // A context switch in progress cannot be interrupted
+    if (!this.running || this.core.switchRemaining > 0 || !this.preemptive) return false;
     
-    if (this.algorithm === Algorithm.SRTF) {
-      // Preempt if any ready process has shorter remaining time
+    if (this.algorithm === Algorithm.SRTF || this.algorithm === Algorithm.SJF) {
+      // Preempt if any ready process has shorter remaining time (preemptive SJF is SRTF)
       const best = [...this.ready].sort((a, b) => 
-        a.remainingTime - b.remainingTime || a.arrivalTime - b.arrivalTime
+        this.getBurstEstimate(a) - this.getBurstEstimate(b) || a.arrivalTime - b.arrivalTime
       )[0];
-      return best && best.remainingTime < this.running.remainingTime;
+      return best && this.getBurstEstimate(best) < this.getBurstEstimate(this.running);
+    }
+
+    if (this.algorithm === Algorithm.LRTF || this.algorithm === Algorithm.LJF) {
+      // Preempt if any ready process has strictly longer remaining time (preemptive LJF is LRTF)
+      return this.ready.some(p => p.remainingTime > this.running.remainingTime);
+    }
+
+    if (this.algorithm === Algorithm.HRRN) {
+      // Preempt if a waiting process has built up a higher response ratio than the running one
+      return this.ready.some(p => this.getResponseRatio(p) > this.getResponseRatio(this.running));
     }
     
     if (this.algorithm === Algorithm.PRIORITY) {
       // Preempt if any ready process has higher priority (lower number)
       const best = [...this.ready].sort((a, b) => 
-        a.priority - b.priority || a.arrivalTime - b.arrivalTime
+        this.getEffectivePriority(a) - this.getEffectivePriority(b) || a.arrivalTime - b.arrivalTime
       )[0];
-      return best && best.priority < this.running.priority;
+      return best && this.getEffectivePriority(best) < this.getEffectivePriority(this.running);
     }
-    
-    if (this.algorithm === Algorithm.RR) {
-      // Preempt when time quantum expires
-      return this.quantumCounter >= this.quantum;
+
+    if (this.algorithm === Algorithm.MLFQ) {
+      // Preempt if a process is waiting in a higher queue than the running one
+      return this.ready.some(p => p.queueLevel < this.running.queueLevel);
+    }
+
+    if (this.algorithm === Algorithm.CFS) {
+      // Wakeup preemption: a process that just arrived or woke up is far enough behind in vruntime
+      return this.ready.some(p => p.wokenAt === this.time && p.vruntime + this.minGranularity < this.running.vruntime);
+    }
+
+    if (this.algorithm === Algorithm.EDF || this.algorithm === Algorithm.RM) {
+      // Preempt if a more urgent job (earlier deadline / shorter period) is ready
+      return this.ready.some(p => this.getRealtimeKey(p) < this.getRealtimeKey(this.running));
     }
     
     return false;
   }
 
+  /**
+   * Check if the running process used up its time slice
+   * Only applies to time-sliced algorithms: RR, MLFQ
+   */
+  quantumExpired() {
+    // Without preemption there is no timer interrupt: the process runs until its burst ends
+    if (!this.running || !this.preemptive) return false;
+    if (this.algorithm === Algorithm.CFS) {
+      // CFS keeps running past its slice until someone else has a smaller vruntime
+      return this.quantumCounter >= this.running.timeSlice
+        && this.ready.some(p => p.vruntime < this.running.vruntime);
+    }
+    if (![Algorithm.RR, Algorithm.MLFQ, Algorithm.LOTTERY, Algorithm.STRIDE].includes(this.algorithm)) return false;
+    return this.quantumCounter >= this.getTimeSlice(this.running);
+  }
+
+  /**
+   * Time slice granted to a process on dispatch
+   * RR, lottery and stride use one quantum for everyone, MLFQ uses the quantum of the process's queue
+   */
+  getTimeSlice(process) {
+    if (this.algorithm === Algorithm.MLFQ) {
+      return this.mlfqQuanta[process.queueLevel];
+    }
+    return this.quantum;
+  }
+
+  /**
+   * MLFQ rule: a process that uses its whole slice moves down one queue
+   */
+  demoteRunning() {
+    const process = this.running;
+    const slice = this.getTimeSlice(process);
+    if (process.queueLevel >= this.mlfqLevels - 1) {
+      this.pushTrace('DEMOTE', {
+        transitions: [`${process.pid} stays in Q${process.queueLevel}`],
+        explanation: `${process.pid} used its full ${slice}-unit slice but is already in the lowest queue (Q${process.queueLevel}), so it stays there.`,
+        decision: 'The lowest MLFQ queue behaves like plain Round Robin. CPU-bound processes settle here until the next priority boost.'
+      });
+      return;
+    }
+
+    const from = process.queueLevel;
+    process.queueLevel += 1;
+    this.pushTrace('DEMOTE', {
+      transitions: [`${process.pid}: Q${from} → Q${process.queueLevel}`],
+      explanation: `${process.pid} used its full ${slice}-unit slice in Q${from}, so it is demoted to Q${process.queueLevel} (quantum=${this.getTimeSlice(process)}).`,
+      decision: 'MLFQ assumes a process that burns its whole slice is CPU-bound. Demoting it keeps the upper queues free for short and interactive jobs.'
+    });
+  }
+
+  /**
+   * MLFQ rule: periodically move every process back to the top queue
+   */
+  boostPriorities() {
+    const boosted = this.processes.filter(p =>
+      p.state !== ProcessState.NEW && p.state !== ProcessState.TERMINATED && p.queueLevel > 0
+    );
+    boosted.forEach(p => { p.queueLevel = 0; });
+    this.cores.forEach(core => {
+      // A running process starts a fresh top-queue slice
+      if (core.running && boosted.includes(core.running)) core.quantumCounter = 0;
+    });
+    this.pushTrace('BOOST', {
+      transitions: boosted.map(p => `${p.pid} → Q0`),
+      explanation: boosted.length
+        ? `Priority boost at t=${this.time}: ${boosted.map(p => p.pid).join(', ')} moved back to Q0.`
+        : `Priority boost at t=${this.time}: every active process is already in Q0.`,
+      decision: `Every ${this.boostInterval} units MLFQ resets all processes to the top queue. Without the boost, long-running jobs in the bottom queue could starve behind a stream of short jobs.`
+    });
+  }
+
   /**
    * Preempt currently running process
    * Move it back to ready queue
@@ -216,7 +982,9 @@ export class SchedulerEngine {
     if (!this.running) return;
     
     this.running.state = ProcessState.READY;
+    this.running.agingBoost = 0;
     this.ready.push(this.running);
+    this.core.preemptedPid = this.running.pid;
     
     const explanation = this.getPreemptExplanation(reason);
     this.pushTrace('PREEMPT', { 
@@ -235,6 +1003,18 @@ export class SchedulerEngine {
   getPreemptExplanation(reason) {
     switch (reason) {
       case 'quantum expired':
+        if (this.algorithm === Algorithm.MLFQ) {
+          return `The time slice of ${this.quantumCounter} units expired. The process goes to the back of its (possibly lower) queue.`;
+        }
+        if (this.algorithm === Algorithm.LOTTERY) {
+          return `Quantum of ${this.quantum} units expired. ${this.running.pid} returns its tickets to the pool and a new lottery is held.`;
+        }
+        if (this.algorithm === Algorithm.STRIDE) {
+          return `Quantum of ${this.quantum} units expired. ${this.running.pid}'s pass is now ${formatUnits(this.running.pass)}; the process with the lowest pass runs next.`;
+        }
+        if (this.algorithm === Algorithm.CFS) {
+          return `${this.running.pid} used its slice of ${this.running.timeSlice} unit(s) and another process now has a smaller vruntime, so CFS switches to the process that has received the least weighted CPU time.`;
+        }
         return `Time quantum of ${this.quantum} units expired. In Round Robin, fairness is maintained by giving each process equal time.`;
       case 'better candidate':
         if (this.algorithm === Algorithm.SRTF) {
@@ -242,9 +1022,30 @@ export class SchedulerEngine {
           const newBest = this.ready[0];
           return `A process with shorter remaining time is available. SRTF always picks the process closest to completion.`;
         }
+        if (this.algorithm === Algorithm.SJF) {
+          return `A process with a shorter burst than the time left on the running process is available. Preemptive SJF behaves exactly like SRTF.`;
+        }
+        if (this.algorithm === Algorithm.LRTF || this.algorithm === Algorithm.LJF) {
+          return `A process with more remaining time than the running one is available. LRTF always runs the process furthest from completion.`;
+        }
+        if (this.algorithm === Algorithm.HRRN) {
+          return `A waiting process now has a higher response ratio than the running one, so preemptive HRRN switches to it.`;
+        }
         if (this.algorithm === Algorithm.PRIORITY) {
           return `A higher priority process is now available. Priority scheduling always runs the highest priority (lowest number) process.`;
         }
+        if (this.algorithm === Algorithm.MLFQ) {
+          return `A process is waiting in a higher queue. MLFQ always serves the highest non-empty queue first.`;
+        }
+        if (this.algorithm === Algorithm.CFS) {
+          return `A process that just arrived or woke up has a vruntime more than the minimum granularity (${this.minGranularity}) below the running one, so it preempts it.`;
+        }
+        if (this.algorithm === Algorithm.EDF) {
+          return `A job with an earlier deadline was released. EDF always runs the job whose deadline is closest.`;
+        }
+        if (this.algorithm === Algorithm.RM) {
+          return `A job of a task with a shorter period was released. Under Rate Monotonic, shorter period means higher priority.`;
+        }
         return 'A better candidate is available.';
       default:
         return reason;
@@ -255,25 +1056,194 @@ export class SchedulerEngine {
    * Extend or add to Gantt chart
    */
   extendGantt(pid) {
-    if (!this.gantt.length || this.gantt[this.gantt.length - 1].pid !== pid) {
-      this.gantt.push({ pid, start: this.time, end: this.time + 1 });
+    const last = this.core.lastSegment;
+    if (!last || last.pid !== pid || last.end !== this.time) {
+      this.core.lastSegment = { pid, start: this.time, end: this.time + 1, cpu: this.core.id };
+      this.gantt.push(this.core.lastSegment);
     } else {
-      this.gantt[this.gantt.length - 1].end += 1;
+      last.end += 1;
     }
   }
 
   /**
-   * Execute one time unit of simulation
-   * This is the core step function - educational heart of the simulator
+   * Extend or add to the I/O device timeline
+   */
+  extendIoGantt(pid) {
+    const last = this.ioGantt[this.ioGantt.length - 1];
+    if (!last || last.pid !== pid || last.end !== this.time) {
+      this.ioGantt.push({ pid, start: this.time, end: this.time + 1 });
+    } else {
+      last.end += 1;
+    }
+  }
+
+  /**
+   * Move the running process to the device queue after its CPU burst ends
+   */
+  blockRunning() {
+    const process = this.running;
+    const prediction = this.recordBurstLength(process);
+    process.burstIndex += 1;
+    process.ioRemaining = process.bursts[process.burstIndex];
+    process.state = ProcessState.WAITING;
+    process.agingBoost = 0;
+    this.deviceQueue.push(process);
+
+    const queued = this.deviceQueue.length > 1
+      ? ` The device is busy, so it waits behind ${this.deviceQueue.length - 1} other process(es).`
+      : '';
+    this.pushTrace('BLOCK', {
+      transitions: [`${process.pid} → WAITING (I/O ${process.ioRemaining} units)`],
+      explanation: `${process.pid} finished a CPU burst and now needs ${process.ioRemaining} unit(s) of I/O.${queued}${prediction}`,
+      decision: 'A process that issues an I/O request gives up the CPU and waits in the device queue. The scheduler can run another process in the meantime.'
+    });
+    this.running = null;
+    this.quantumCounter = 0;
+  }
+
+  /**
+   * Return the process at the head of the device queue to READY once its I/O is done
+   */
+  completeIo() {
+    const head = this.deviceQueue[0];
+    if (!head || head.ioRemaining > 0) return;
+
+    this.deviceQueue.shift();
+    head.burstIndex += 1;
+    head.currentBurst = head.bursts[head.burstIndex];
+    head.remainingTime = head.currentBurst;
+    head.state = ProcessState.READY;
+    this.enqueue(head);
+    this.pushTrace('IO_COMPLETE', {
+      transitions: [`${head.pid} → READY`],
+      explanation: `${head.pid} finished its I/O and is ready for its next CPU burst of ${head.currentBurst} unit(s).`,
+      decision: 'When the device signals completion, the process is no longer blocked and rejoins the ready queue to compete for the CPU.'
+    });
+  }
+
+  /**
+   * Run the I/O device for one time unit
+   * The device serves the head of its queue; everyone in the queue counts as blocked
+   */
+  runDevice() {
+    const head = this.deviceQueue[0];
+    if (!head) return;
+    this.deviceQueue.forEach(p => { p.blockedTime += 1; });
+    this.extendIoGantt(head.pid);
+    head.ioRemaining -= 1;
+  }
+
+  /**
+   * Age every process that waits in a ready queue during this time unit
+   * Each full agingInterval of waiting improves its priority (PRIORITY) or burst estimate (SJF) by agingStep
+   */
+  ageReadyQueues() {
+    const waiting = this.queueMode === QueueMode.GLOBAL
+      ? this.globalReady
+      : this.cores.flatMap(core => core.ready);
+    const aged = [];
+
+    waiting.forEach(p => {
+      p.agingWait += 1;
+      if (p.agingWait < this.agingInterval) return;
+      p.agingWait = 0;
+      const before = this.algorithm === Algorithm.PRIORITY ? this.getEffectivePriority(p) : this.getBurstEstimate(p);
+      p.agingBoost += this.agingStep;
+      const after = this.algorithm === Algorithm.PRIORITY ? this.getEffectivePriority(p) : this.getBurstEstimate(p);
+      if (after !== before) aged.push(`${p.pid}: ${before} → ${after}`);
+    });
+
+    if (!aged.length) return;
+    const measure = this.algorithm === Algorithm.PRIORITY ? 'effective priority' : 'burst estimate';
+    this.pushTrace('AGING', {
+      transitions: aged,
+      explanation: `These processes have waited another ${this.agingInterval} unit(s) in the ready queue, so their ${measure} improves by ${this.agingStep}.`,
+      decision: 'Aging gradually raises a waiting process toward the front of the queue. No matter how many better jobs keep arriving, a starving process eventually wins the CPU.'
+    });
+  }
+
+  /**
+   * Proportional share bookkeeping for one time unit
+   * The CPU time actually used is split among the competing processes by tickets;
+   * a process's expected time is the sum of those entitlements over its lifetime
+   */
+  recordFairShare(runnable, usedTicks) {
+    if (!usedTicks || !runnable.length) return;
+    const totalTickets = runnable.reduce((sum, p) => sum + p.tickets, 0);
+    runnable.forEach(p => {
+      p.contendedTicks += 1;
+      p.expectedTicks += Math.min(1, (usedTicks * p.tickets) / totalTickets);
+    });
+  }
+
+  /**
+   * CFS: charge one unit of CPU time to the running process as weighted virtual runtime
+   */
+  chargeVruntime() {
+    const process = this.running;
+    const before = process.vruntime;
+    const delta = NICE_0_WEIGHT / process.weight;
+    process.vruntime += delta;
+    this.pushTrace('VRUNTIME', {
+      transitions: [`${process.pid} vruntime ${formatUnits(before)} → ${formatUnits(process.vruntime)}`],
+      explanation: `${process.pid} ran for 1 unit. With nice ${process.nice} (weight ${process.weight}) its vruntime grows by 1024/${process.weight} = ${formatUnits(delta)}. Slice used: ${this.quantumCounter}/${process.timeSlice}.`,
+      decision: 'CFS tracks how much weighted CPU time each process has received. Lower nice values (higher weight) make vruntime grow more slowly, so those processes get a bigger share of the CPU.'
+    });
+  }
+
+  /**
+   * Flag every unfinished job whose absolute deadline has passed
+   * Jobs keep running after a miss (soft deadlines) so students can see how late they finish
+   */
+  checkDeadlines() {
+    const missed = this.processes.filter(p =>
+      p.absoluteDeadline !== null && !p.missedDeadline
+      && p.state !== ProcessState.TERMINATED && p.absoluteDeadline <= this.time
+    );
+    if (!missed.length) return;
+
+    missed.forEach(p => {
+      p.missedDeadline = true;
+      this.deadlineMisses += 1;
+    });
+    this.pushTrace('DEADLINE_MISS', {
+      transitions: missed.map(p => `${p.pid}: ${p.remainingTime} unit(s) left at deadline t=${p.absoluteDeadline}`),
+      explanation: `${missed.map(p => p.pid).join(', ')} did not finish by ${missed.length > 1 ? 'their deadlines' : 'its deadline'}. In a hard real-time system this would be a failure.`,
+      decision: this.algorithm === Algorithm.RM
+        ? 'RM gives fixed priorities by period. Once utilization exceeds the Liu & Layland bound, lower-priority tasks may miss deadlines even if total utilization is below 1.'
+        : 'A deadline miss means the workload needed more CPU time before this deadline than was available. For EDF this can only happen when utilization exceeds 1 (or deadlines are shorter than periods).'
+    });
+  }
+
+  /**
+   * Execute one time unit of simulation and return the snapshot after it
    */
   step() {
     if (this.isDone()) return { done: true, time: this.time };
+    this.advance();
+    return this.getSnapshot();
+  }
+
+  /**
+   * Execute one time unit of simulation
+   * This is the core step function - educational heart of the simulator
+   * seek() and runToEnd() call it directly so replaying many ticks builds no snapshots
+   */
+  advance() {
+    this.core = null;
+
+    // 0. MLFQ periodic priority boost
+    if (this.algorithm === Algorithm.MLFQ && this.boostInterval > 0 && this.time > 0 && this.time % this.boostInterval === 0) {
+      this.boostPriorities();
+    }
+
+    // 1. Handle I/O completions and arrivals at current time
+    this.completeIo();
 
-    // 1. Handle arrivals at current time
     const arriving = this.arrivalsAtTime();
     arriving.forEach(p => {
       p.state = ProcessState.READY;
-      this.ready.push(p);
+      this.enqueue(p);
       this.pushTrace('ARRIVAL', { 
         transitions: [`${p.pid} → READY`],
         explanation: `${p.pid} has arrived at time ${this.time} and moved to the ready queue. It will now compete for CPU time.`,
@@ -281,98 +1251,313 @@ export class SchedulerEngine {
       });
     });
 
-    // 2. Check for preemption (SRTF, PRIORITY)
-    // For SRTF/PRIORITY, we check AFTER arrivals to see if new process should preempt
-    if (this.running && this.shouldPreempt() && this.algorithm !== Algorithm.RR) {
-      this.preemptRunning('better candidate');
+    // 2. Periodic migration between per-core queues
+    if (this.queueMode === QueueMode.PER_CORE && this.loadBalancing === LoadBalancing.PERIODIC
+      && this.cpuCount > 1 && this.time > 0 && this.time % this.migrationInterval === 0) {
+      this.rebalanceQueues();
     }
 
-    // 3. Dispatch if no process running
-    if (!this.running) {
-      this.dispatchNext();
+    // 3. On every CPU: check for preemption (SRTF, PRIORITY, MLFQ), then dispatch if idle
+    // We check AFTER arrivals to see if new process should preempt
+    this.cores.forEach(core => {
+      this.core = core;
+      if (this.running && this.shouldPreempt()) {
+        this.preemptRunning('better candidate');
+      }
+      if (!this.running) {
+        this.dispatchNext();
+      }
+    });
+
+    // 4. Idle CPUs with empty per-core queues steal work from busy ones
+    if (this.queueMode === QueueMode.PER_CORE && this.loadBalancing === LoadBalancing.WORK_STEALING && this.cpuCount > 1) {
+      this.cores.forEach(core => {
+        this.core = core;
+        if (!this.running && !this.ready.length) {
+          this.stealWork();
+          this.dispatchNext();
+        }
+      });
+    }
+    this.core = null;
+
+    // 5. Processes still waiting for a CPU this time unit age (PRIORITY, SJF)
+    if (this.agingInterval > 0 && (this.algorithm === Algorithm.PRIORITY || this.algorithm === Algorithm.SJF)) {
+      this.ageReadyQueues();
     }
 
-    // 4. Handle idle CPU
+    // 6. The I/O device works in parallel with the CPUs
+    this.runDevice();
+
+    // 7. Every CPU executes one time unit
+    const runnable = this.runnableProcesses();
+    const busyBefore = this.cores.reduce((sum, core) => sum + core.busyTicks, 0);
+    const outcomes = this.cores.map(core => {
+      this.core = core;
+      return this.executeTick();
+    });
+    this.core = null;
+    if (this.algorithm === Algorithm.LOTTERY || this.algorithm === Algorithm.STRIDE) {
+      this.recordFairShare(runnable, this.cores.reduce((sum, core) => sum + core.busyTicks, 0) - busyBefore);
+    }
+    this.time += 1;
+    this.clockAdvanced = true;
+    this.checkDeadlines();
+    if (this.algorithm === Algorithm.CFS) {
+      this.updateMinVruntime();
+    }
+
+    // 8. Events at the end of the time unit: I/O requests and expired time slices
+    this.cores.forEach((core, i) => {
+      this.core = core;
+      if (outcomes[i] === 'block') {
+        this.blockRunning();
+      } else if (outcomes[i] === 'expire') {
+        if (this.algorithm === Algorithm.MLFQ) {
+          this.demoteRunning();
+        }
+        this.preemptRunning('quantum expired');
+      }
+    });
+    this.core = null;
+    this.clockAdvanced = false;
+
+    if (this.time % CHECKPOINT_INTERVAL === 0 && !this.checkpoints.has(this.time)) {
+      this.checkpoints.set(this.time, this.saveState());
+    }
+  }
+
+  /**
+   * Run the current CPU for one time unit
+   * Returns 'block' or 'expire' when the running process must leave the CPU at the end of the unit
+   */
+  executeTick() {
+    // Handle idle CPU
     if (!this.running) {
+      const cpu = this.cpuCount > 1 ? `CPU${this.core.id}: ` : '';
       this.pushTrace('IDLE', { 
-        explanation: 'No processes in ready queue. CPU is idle and waiting for the next process to arrive.',
+        explanation: cpu + (this.deviceQueue.length
+          ? `No processes in ready queue. CPU is idle while ${this.deviceQueue.map(p => p.pid).join(', ')} wait(s) for I/O.`
+          : 'No processes in ready queue. CPU is idle and waiting for the next process to arrive.'),
         decision: 'When the ready queue is empty, the CPU has nothing to execute. This is wasted CPU time!'
       });
-      this.time += 1;
-      return this.getSnapshot();
+      return null;
     }
 
-    // 5. Execute one time unit
+    // Dispatch latency: the CPU is busy switching, the process has not started yet
+    if (this.core.switchRemaining > 0) {
+      this.extendGantt(CONTEXT_SWITCH_PID);
+      this.core.switchRemaining -= 1;
+      this.core.switchTicks += 1;
+      return null;
+    }
+
+    // Execute one time unit
+    if (this.running.firstRunTime === null) {
+      this.running.firstRunTime = this.time;
+    }
     this.extendGantt(this.running.pid);
     this.running.remainingTime -= 1;
+    this.running.executedTime += 1;
     this.quantumCounter += 1;
+    this.core.busyTicks += 1;
+    if (this.algorithm === Algorithm.CFS) {
+      this.chargeVruntime();
+    }
+    if (this.algorithm === Algorithm.STRIDE) {
+      this.running.pass += this.running.stride;
+    }
+
+    // End of a CPU burst that is followed by I/O
+    if (this.running.remainingTime === 0 && this.running.burstIndex < this.running.bursts.length - 1) {
+      return 'block';
+    }
 
-    // 6. Check for completion
+    // Check for completion
     if (this.running.remainingTime === 0) {
       this.running.state = ProcessState.TERMINATED;
       this.running.completionTime = this.time + 1;
+      const prediction = this.recordBurstLength(this.running);
       this.pushTrace('COMPLETE', { 
         transitions: [`${this.running.pid} → TERMINATED`],
-        explanation: `${this.running.pid} has finished all its work! Completion time = ${this.time + 1}`,
+        explanation: `${this.running.pid} has finished all its work! Completion time = ${this.time + 1}.${prediction}`,
         decision: 'When remaining time hits 0, the process is done. It leaves the system and frees the CPU.'
       });
       this.running = null;
       this.completedCount += 1;
       this.quantumCounter = 0;
-      this.time += 1;
-      return this.getSnapshot();
+      return null;
     }
 
-    // 7. Check for RR quantum expiration (after execution)
-    if (this.algorithm === Algorithm.RR && this.shouldPreempt()) {
-      this.time += 1;
-      this.preemptRunning('quantum expired');
-      return this.getSnapshot();
+    // Check for RR/MLFQ quantum expiration (after execution)
+    if (this.quantumExpired()) {
+      return 'expire';
     }
 
-    // 8. Normal tick - process continues
+    // Normal tick - process continues (CFS already logged it as a vruntime update)
+    if (this.algorithm === Algorithm.CFS) return null;
     this.pushTrace('TICK', { 
       explanation: `${this.running.pid} executed for 1 time unit. Remaining time: ${this.running.remainingTime} unit(s).`,
       decision: 'The running process makes progress. Each tick reduces remaining time by 1.'
     });
-    
-    this.time += 1;
-    return this.getSnapshot();
+    return null;
   }
 
   /**
    * Get current state snapshot for UI
    */
   getSnapshot() {
+    const describeRunning = (process, core) => (process ? {
+      pid: process.pid, 
+      remainingTime: process.remainingTime,
+      burstTime: process.burstTime,
+      currentBurst: process.currentBurst,
+      executedTime: process.executedTime,
+      queueLevel: process.queueLevel,
+      vruntime: process.vruntime,
+      timeSlice: process.timeSlice,
+      switchRemaining: core.switchRemaining,
+    } : null);
+    const describeReady = (p, core = null) => ({ 
+      pid: p.pid, 
+      remainingTime: p.remainingTime, 
+      priority: p.priority, 
+      effectivePriority: this.getEffectivePriority(p),
+      burstEstimate: this.getBurstEstimate(p),
+      predictedBurst: this.predictBursts ? formatUnits(p.tau) : null,
+      agingBoost: p.agingBoost,
+      burstTime: p.burstTime,
+      currentBurst: p.currentBurst,
+      arrivalTime: p.arrivalTime,
+      queueLevel: p.queueLevel,
+      nice: p.nice,
+      weight: p.weight,
+      vruntime: p.vruntime,
+      tickets: p.tickets,
+      pass: p.pass,
+      responseRatio: formatUnits(this.getResponseRatio(p)),
+      core,
+    });
+
     return {
       time: this.time,
-      running: this.running ? { 
-        pid: this.running.pid, 
-        remainingTime: this.running.remainingTime,
-        burstTime: this.running.burstTime 
-      } : null,
-      ready: this.ready.map(p => ({ 
-        pid: p.pid, 
-        remainingTime: p.remainingTime, 
-        priority: p.priority, 
-        burstTime: p.burstTime,
-        arrivalTime: p.arrivalTime
+      running: describeRunning(this.cores[0].running, this.cores[0]),
+      ready: this.queueMode === QueueMode.GLOBAL
+        ? this.globalReady.map(p => describeReady(p))
+        : this.cores.flatMap(core => core.ready.map(p => describeReady(p, core.id))),
+      cpuCount: this.cpuCount,
+      queueMode: this.queueMode,
+      cores: this.cores.map(core => ({
+        id: core.id,
+        running: describeRunning(core.running, core),
+        queued: core.ready.length,
+        busyTicks: core.busyTicks,
+        switchTicks: core.switchTicks,
       })),
+      migrations: this.migrations,
+      contextSwitches: this.contextSwitches,
+      deadlineMisses: this.deadlineMisses,
+      deadlines: this.describeDeadlines(),
+      waiting: this.deviceQueue.map(p => ({
+        pid: p.pid,
+        ioRemaining: p.ioRemaining,
+      })),
+      aging: this.agingInterval > 0 && (this.algorithm === Algorithm.PRIORITY || this.algorithm === Algorithm.SJF)
+        ? { interval: this.agingInterval, step: this.agingStep }
+        : null,
+      cfs: this.algorithm === Algorithm.CFS
+        ? { targetLatency: this.targetLatency, minGranularity: this.minGranularity, minVruntime: this.minVruntime }
+        : null,
+      prediction: this.predictBursts
+        ? { alpha: this.alpha, initialTau: this.initialTau, mispredictions: this.mispredictions }
+        : null,
+      mlfq: this.algorithm === Algorithm.MLFQ
+        ? { levels: this.mlfqLevels, quanta: [...this.mlfqQuanta], boostInterval: this.boostInterval }
+        : null,
       trace: [...this.trace],
       gantt: [...this.gantt],
+      ioGantt: [...this.ioGantt],
       processes: this.processes.map(p => ({
         pid: p.pid,
         arrivalTime: p.arrivalTime,
         burstTime: p.burstTime,
+        bursts: [...p.bursts],
+        burstIndex: p.burstIndex,
+        ioTime: p.ioTime,
         remainingTime: p.remainingTime,
+        executedTime: p.executedTime,
+        ioRemaining: p.ioRemaining,
         priority: p.priority,
+        effectivePriority: this.getEffectivePriority(p),
+        agingBoost: p.agingBoost,
+        predictedBurst: this.predictBursts ? formatUnits(p.tau) : null,
+        actualBurst: p.currentBurst,
+        predictions: [...p.predictions],
+        queueLevel: p.queueLevel,
+        nice: p.nice,
+        vruntime: p.vruntime,
+        tickets: p.tickets,
+        pass: p.pass,
+        lastCore: p.lastCore,
+        migrations: p.migrations,
+        taskPid: p.taskPid,
+        period: p.period,
+        absoluteDeadline: p.absoluteDeadline,
+        missedDeadline: p.missedDeadline,
         state: p.state,
+        firstRunTime: p.firstRunTime,
         completionTime: p.completionTime,
       })),
       done: this.isDone(),
     };
   }
 
+  /**
+   * Expected vs actual CPU share of each process while it was competing for the CPU
+   */
+  describeShares() {
+    return this.processes.map(p => ({
+      pid: p.pid,
+      tickets: p.tickets,
+      expected: formatUnits(p.expectedTicks),
+      actual: p.executedTime,
+      expectedShare: p.contendedTicks ? Number(((p.expectedTicks / p.contendedTicks) * 100).toFixed(1)) : 0,
+      actualShare: p.contendedTicks ? Number(((p.executedTime / p.contendedTicks) * 100).toFixed(1)) : 0,
+    }));
+  }
+
+  /**
+   * Release times and deadlines of every job that has one, for Gantt markers
+   */
+  describeDeadlines() {
+    return this.processes
+      .filter(p => p.absoluteDeadline !== null)
+      .map(p => ({
+        pid: p.pid,
+        taskPid: p.taskPid,
+        release: p.arrivalTime,
+        deadline: p.absoluteDeadline,
+        missed: p.missedDeadline,
+      }));
+  }
+
+  /**
+   * Fairness of the finished schedule
+   * Jain's index over each process's progress rate BT / (BT + WT): 1 when every process
+   * waited in proportion to its length, 1/n when one process got everything
+   */
+  computeFairness() {
+    const rates = this.processes.map(p => (p.burstTime + p.waitingTime ? p.burstTime / (p.burstTime + p.waitingTime) : 1));
+    const sum = rates.reduce((acc, x) => acc + x, 0);
+    const squares = rates.reduce((acc, x) => acc + x * x, 0);
+    const waits = this.processes.map(p => p.waitingTime);
+    return {
+      jainIndex: squares ? Number(((sum * sum) / (rates.length * squares)).toFixed(3)) : 1,
+      maxWaiting: Math.max(...waits),
+      minWaiting: Math.min(...waits),
+    };
+  }
+
   /**
    * Calculate final metrics after all processes complete
    */
@@ -380,28 +1565,111 @@ export class SchedulerEngine {
     this.processes.forEach(p => {
       // Turnaround Time = Completion Time - Arrival Time
       p.turnaroundTime = p.completionTime - p.arrivalTime;
-      // Waiting Time = Turnaround Time - Burst Time
-      p.waitingTime = p.turnaroundTime - p.burstTime;
+      // Waiting Time = Turnaround Time - Burst Time - time blocked on I/O
+      p.waitingTime = p.turnaroundTime - p.burstTime - p.blockedTime;
+      // Response Time = first run - Arrival Time
+      p.responseTime = p.firstRunTime - p.arrivalTime;
     });
 
+    const count = this.processes.length;
     const totals = this.processes.reduce((acc, p) => {
       acc.waiting += p.waitingTime;
       acc.turnaround += p.turnaroundTime;
+      acc.response += p.responseTime;
       return acc;
-    }, { waiting: 0, turnaround: 0 });
+    }, { waiting: 0, turnaround: 0, response: 0 });
+
+    const busyTicks = this.cores.reduce((sum, core) => sum + core.busyTicks, 0);
+    const switchTime = this.cores.reduce((sum, core) => sum + core.switchTicks, 0);
+    // Every idle CPU logs one IDLE event per time unit
+    const idleTime = this.trace.filter(entry => entry.event === 'IDLE').length;
+    const capacity = this.time * this.cpuCount;
 
     return {
       processes: this.processes,
       gantt: this.gantt,
+      ioGantt: this.ioGantt,
+      cores: this.cores.map(core => ({
+        id: core.id,
+        busyTicks: core.busyTicks,
+        utilization: this.time ? Number(((core.busyTicks / this.time) * 100).toFixed(1)) : 0,
+      })),
+      migrations: this.migrations,
+      contextSwitches: this.contextSwitches,
+      switchTime,
+      deadlineMisses: this.deadlineMisses,
+      deadlines: this.describeDeadlines(),
+      mispredictions: this.predictBursts ? this.mispredictions : null,
+      shares: this.algorithm === Algorithm.LOTTERY || this.algorithm === Algorithm.STRIDE
+        ? this.describeShares()
+        : null,
+      // CPU efficiency = useful work / (useful work + switching overhead)
+      cpuEfficiency: busyTicks + switchTime ? Number(((busyTicks / (busyTicks + switchTime)) * 100).toFixed(1)) : 100,
+      // CPU utilization = time the CPUs were not idle / total CPU time
+      cpuUtilization: capacity ? Number((((capacity - idleTime) / capacity) * 100).toFixed(1)) : 0,
+      idleTime,
+      // Throughput = processes completed per time unit
+      throughput: this.time ? Number((count / this.time).toFixed(3)) : 0,
+      preemptions: this.preemptions,
+      fairness: this.computeFairness(),
       averages: {
-        waiting: Number((totals.waiting / this.processes.length).toFixed(2)),
-        turnaround: Number((totals.turnaround / this.processes.length).toFixed(2)),
+        waiting: Number((totals.waiting / count).toFixed(2)),
+        turnaround: Number((totals.turnaround / count).toFixed(2)),
+        response: Number((totals.response / count).toFixed(2)),
       },
       finalClock: this.time,
       trace: this.trace,
     };
   }
 
+  /**
+   * Move the simulation to any tick and return the snapshot there
+   * The engine is deterministic (lottery draws come from the seeded generator), so any tick
+   * is reached by restoring the nearest checkpoint at or before it and replaying the rest
+   */
+  seek(tick, maxTicks = 10000) {
+    const target = Math.max(0, Math.min(tick, maxTicks));
+    let nearest = 0;
+    this.checkpoints.forEach((_, at) => {
+      if (at <= target && at > nearest) nearest = at;
+    });
+    if (target < this.time || nearest > this.time) {
+      if (nearest > 0) {
+        this.restoreState(this.checkpoints.get(nearest));
+      } else {
+        this.reset();
+      }
+    }
+    while (this.time < target && !this.isDone()) {
+      this.advance();
+    }
+    return this.getSnapshot();
+  }
+
+  /**
+   * Undo the last time unit
+   */
+  stepBack() {
+    return this.seek(this.time - 1);
+  }
+
+  /**
+   * Tick at which the last process finishes
+   * Found once by running ahead from a copy of the current state, which also leaves
+   * checkpoints along the whole run; the engine ends up exactly where it was
+   */
+  getEndTime(maxTicks = 10000) {
+    if (this.endTime === null) {
+      const current = this.saveState();
+      while (!this.isDone() && this.time < maxTicks) {
+        this.advance();
+      }
+      this.endTime = this.time;
+      this.restoreState(current);
+    }
+    return this.endTime;
+  }
+
   /**
    * Run simulation to completion
    * Used for "Run to End" feature
@@ -409,7 +1677,7 @@ export class SchedulerEngine {
   runToEnd(maxTicks = 10000) {
     let guard = 0;
     while (!this.isDone() && guard < maxTicks) {
-      this.step();
+      this.advance();
       guard += 1;
     }
     return this.finalizeMetrics();
@@ -451,7 +1719,7 @@ export const ConceptCards = {
     ],
     cons: [
       'Starvation: long processes may wait forever if short jobs keep arriving',
-      'Requires knowing burst time in advance (often unrealistic)',
+      'Requires knowing burst time in advance - a real OS can only predict it from past bursts',
       'Non-preemptive - new short job must wait',
       'Not fair to long processes'
     ],
@@ -481,6 +1749,69 @@ export const ConceptCards = {
     complexity: 'Time: O(n²) worst case, Space: O(n)',
     preemptive: true,
   },
+  HRRN: {
+    title: 'Highest Response Ratio Next',
+    shortName: 'HRRN',
+    concept: 'When the CPU becomes free, compute each waiting process\'s response ratio = (waiting time + burst time) / burst time and run the highest. Short jobs start with a high ratio, and a long job\'s ratio keeps rising while it waits.',
+    pros: [
+      'Favors short jobs like SJF',
+      'No starvation: waiting raises every process\'s ratio',
+      'Built-in aging without extra parameters',
+      'Good average waiting time'
+    ],
+    cons: [
+      'Still needs burst times in advance',
+      'Ratios must be recomputed at every decision',
+      'Non-preemptive - a long job that starts blocks everyone',
+      'Less common in real operating systems'
+    ],
+    example: 'A doctor\'s office that fits in quick check-ups first, but never lets anyone wait so long that their wait dwarfs their visit.',
+    realWorld: 'Batch systems and exam problems on starvation-free SJF variants',
+    complexity: 'Time: O(n) per decision, Space: O(n)',
+    preemptive: false,
+  },
+  LJF: {
+    title: 'Longest Job First (Non-Preemptive)',
+    shortName: 'LJF',
+    concept: 'The opposite of SJF: whenever the CPU becomes free, run the process with the longest burst to completion.',
+    pros: [
+      'Long jobs are never starved',
+      'Simple to implement',
+      'Useful as a worst case when comparing algorithms',
+      'Can reduce the number of context switches'
+    ],
+    cons: [
+      'Very high average waiting time',
+      'Short jobs starve behind long ones (convoy effect)',
+      'Requires knowing burst times in advance',
+      'Poor response time'
+    ],
+    example: 'A print shop that always starts the biggest order first - small orders pile up behind it.',
+    realWorld: 'Rarely used on its own; a baseline for comparison and some bin-packing heuristics',
+    complexity: 'Time: O(n log n) for sorting, Space: O(n)',
+    preemptive: false,
+  },
+  LRTF: {
+    title: 'Longest Remaining Time First (Preemptive LJF)',
+    shortName: 'LRTF',
+    concept: 'The preemptive form of LJF: the process with the most remaining time always runs. As soon as another process has more time left than the running one, it takes over.',
+    pros: [
+      'No process is left far behind the others',
+      'All processes tend to finish at about the same time',
+      'Illustrates the opposite extreme of SRTF',
+      'Deterministic and easy to trace by hand'
+    ],
+    cons: [
+      'Worst average waiting and turnaround times',
+      'Extremely frequent context switches when remaining times are close',
+      'Requires knowing burst times in advance',
+      'Not used in practice'
+    ],
+    example: 'Several runners where the one furthest from the finish line always gets the single lane - everyone crosses the line almost together.',
+    realWorld: 'Textbook comparison only',
+    complexity: 'Time: O(n) per decision, Space: O(n)',
+    preemptive: true,
+  },
   PRIORITY: {
     title: 'Priority Scheduling (Preemptive)',
     shortName: 'Priority',
@@ -524,6 +1855,238 @@ export const ConceptCards = {
     preemptive: true,
     quantumNote: 'Typical quantum: 10-100ms in real systems'
   },
+  MLFQ: {
+    title: 'Multilevel Feedback Queue',
+    shortName: 'MLFQ',
+    concept: 'Several Round Robin queues with different priorities. New processes start in the top queue; a process that uses its whole slice is demoted to a lower queue with a longer slice. A periodic boost moves everyone back to the top.',
+    pros: [
+      'Learns process behavior - no burst times needed in advance',
+      'Short and interactive jobs finish quickly in the top queues',
+      'Long CPU-bound jobs still make progress with longer slices',
+      'Priority boost prevents starvation'
+    ],
+    cons: [
+      'Many parameters to tune (queues, quanta, boost interval)',
+      'Processes can game the scheduler by yielding just before the slice ends',
+      'More bookkeeping than single-queue algorithms',
+      'Behavior is harder to predict by hand'
+    ],
+    example: 'A help desk with tiers - quick questions are answered at the front desk, tricky cases get escalated to a slower back office, and every so often the queue is reset.',
+    realWorld: 'Windows, macOS and classic BSD/Solaris schedulers are built on multilevel feedback queues',
+    complexity: 'Time: O(levels + n), Space: O(n)',
+    preemptive: true,
+    quantumNote: 'Quantum doubles at each lower level by default (q, 2q, 4q, ...)'
+  },
+  LOTTERY: {
+    title: 'Lottery Scheduling',
+    shortName: 'Lottery',
+    concept: 'Each process holds lottery tickets. At every scheduling decision a random ticket is drawn and its holder runs for one quantum. A process with twice the tickets wins twice as often on average.',
+    pros: [
+      'Proportional share with almost no bookkeeping',
+      'No starvation - every ticket holder has a chance each draw',
+      'New processes immediately get their share',
+      'Tickets can be transferred or inflated to express priority'
+    ],
+    cons: [
+      'Only fair on average - short runs can be very unfair',
+      'Response time is unpredictable',
+      'Needs a good random number generator',
+      'Choosing ticket counts is as hard as choosing priorities'
+    ],
+    example: 'A raffle held every few minutes - someone with 30 tickets is three times as likely to win as someone with 10.',
+    realWorld: 'Research schedulers, resource managers for memory and I/O bandwidth, blockchain leader election',
+    complexity: 'Time: O(n) per draw (O(log n) with a tree), Space: O(n)',
+    preemptive: true,
+    quantumNote: 'A new lottery is held at the end of every quantum'
+  },
+  STRIDE: {
+    title: 'Stride Scheduling',
+    shortName: 'Stride',
+    concept: 'The deterministic cousin of lottery scheduling. Each process has a stride inversely proportional to its tickets and a pass value. The lowest pass runs, and its pass grows by its stride for every unit it runs.',
+    pros: [
+      'Exact proportional share, even over short intervals',
+      'Deterministic and reproducible',
+      'Simple to implement with a priority queue',
+      'No starvation'
+    ],
+    cons: [
+      'Global state: new processes need a sensible starting pass',
+      'More bookkeeping than lottery scheduling',
+      'Ticket values still have to be chosen by someone',
+      'Not designed for I/O-bound or interactive workloads'
+    ],
+    example: 'Taking turns by debt - whoever has been given the least (relative to what they are owed) goes next.',
+    realWorld: 'Network packet schedulers (weighted fair queuing) and the ideas behind Linux CFS',
+    complexity: 'Time: O(log n) per decision, Space: O(n)',
+    preemptive: true,
+    quantumNote: 'stride = 10000 / tickets'
+  },
+  CFS: {
+    title: 'Completely Fair Scheduler',
+    shortName: 'CFS',
+    concept: 'Linux\'s default scheduler. Each process accumulates virtual runtime (vruntime): CPU time scaled by its weight, which comes from its nice value. The process with the smallest vruntime always runs next, for a slice proportional to its weight within the target latency.',
+    pros: [
+      'Proportional fairness: CPU share follows the nice-value weights',
+      'No fixed quantum - slices adapt to how many processes are runnable',
+      'Interactive processes that sleep a lot come back with a small vruntime and run quickly',
+      'O(log n) selection using a red-black tree ordered by vruntime'
+    ],
+    cons: [
+      'Fairness is not the same as low latency for a specific task',
+      'Many tunables (target latency, minimum granularity, wakeup granularity)',
+      'With many runnable processes the period stretches and responsiveness drops',
+      'Weights are relative - one nice value means nothing without the others'
+    ],
+    example: 'Splitting a pizza by appetite - everyone gets slices in turn, but a hungrier (higher-weight) person\'s share counts for less each time they eat, so they get more slices overall.',
+    realWorld: 'Linux kernel 2.6.23 to 6.5 (since replaced by EEVDF, which keeps the vruntime idea)',
+    complexity: 'Time: O(log n) per decision, Space: O(n)',
+    preemptive: true,
+    quantumNote: 'Slice = max(min granularity, period × weight / total weight)'
+  },
+  EDF: {
+    title: 'Earliest Deadline First',
+    shortName: 'EDF',
+    concept: 'A dynamic-priority real-time policy: whenever a job is released or finishes, the ready job with the closest absolute deadline runs. Periodic tasks release a new job every period, each due one deadline later.',
+    pros: [
+      'Optimal on one CPU: if any schedule meets all deadlines, EDF does',
+      'Schedulable whenever utilization U = Σ C/T ≤ 1 (deadlines = periods)',
+      'Uses the CPU fully - no utilization bound below 100%',
+      'Handles aperiodic jobs with deadlines naturally'
+    ],
+    cons: [
+      'Priorities change at run time, so it is harder to implement than fixed priorities',
+      'Under overload (U > 1) misses cascade unpredictably (domino effect)',
+      'Needs accurate worst-case execution times',
+      'More preemptions than a static-priority schedule'
+    ],
+    example: 'Doing homework by due date - whatever is due soonest gets done first, even if it was assigned last.',
+    realWorld: 'Linux SCHED_DEADLINE, real-time operating systems, multimedia and control loops',
+    complexity: 'Time: O(log n) per decision with a heap, Space: O(n)',
+    preemptive: true,
+  },
+  RM: {
+    title: 'Rate Monotonic Scheduling',
+    shortName: 'RM',
+    concept: 'A static-priority real-time policy for periodic tasks: the shorter a task\'s period, the higher its priority. A newly released job of a higher-rate task preempts lower-rate ones.',
+    pros: [
+      'Optimal among fixed-priority policies (deadlines = periods)',
+      'Simple to implement with ordinary priority scheduling',
+      'Predictable: under overload the lowest-rate tasks miss first',
+      'Guaranteed schedulable if U ≤ n(2^(1/n) − 1) (Liu & Layland)'
+    ],
+    cons: [
+      'The bound drops toward 69% as tasks are added, wasting CPU capacity',
+      'Between the bound and 100% only simulation can tell if deadlines are met',
+      'Priorities ignore how close a deadline actually is',
+      'Aperiodic work has to be squeezed in at low priority'
+    ],
+    example: 'A pilot\'s checklist - the checks that must happen most often (every few seconds) always interrupt the ones that happen every few minutes.',
+    realWorld: 'Avionics, automotive ECUs, RTOS kernels such as FreeRTOS and VxWorks with fixed priorities',
+    complexity: 'Time: O(n) per decision, Space: O(n)',
+    preemptive: true,
+  },
+};
+
+// How each algorithm changes when run in its non-default preemption mode
+const PreemptionVariants = {
+  FCFS: {
+    true: {
+      title: 'First Come First Serve (Preemptive)',
+      concept: 'Processes execute in arrival order. Preemption is enabled, but under FIFO order a later arrival is never a better candidate, so the schedule is identical to plain FCFS.',
+    },
+  },
+  SJF: {
+    true: {
+      title: 'Shortest Job First (Preemptive)',
+      concept: 'Always pick the process with the shortest CPU burst. If a process arrives whose burst is shorter than what the running process has left, it takes over the CPU immediately - this is exactly SRTF.',
+    },
+  },
+  SRTF: {
+    false: {
+      title: 'Shortest Remaining Time First (Non-Preemptive)',
+      concept: 'Pick the process with the shortest remaining time whenever the CPU becomes free, then let it finish its burst. Without preemption this is the same as non-preemptive SJF.',
+    },
+  },
+  HRRN: {
+    true: {
+      title: 'Highest Response Ratio Next (Preemptive)',
+      concept: 'Response ratios are recomputed every time unit, and the running process is interrupted whenever a waiting process\'s ratio climbs above its own.',
+    },
+  },
+  LJF: {
+    true: {
+      title: 'Longest Job First (Preemptive)',
+      concept: 'Always run the process with the longest burst. If another process has more time left than the running one, it takes over - this is exactly LRTF.',
+    },
+  },
+  LRTF: {
+    false: {
+      title: 'Longest Remaining Time First (Non-Preemptive)',
+      concept: 'Pick the process with the longest remaining time whenever the CPU becomes free, then let it finish its burst. Without preemption this is the same as LJF.',
+    },
+  },
+  PRIORITY: {
+    false: {
+      title: 'Priority Scheduling (Non-Preemptive)',
+      concept: 'Each process has a priority value. Whenever the CPU becomes free, the highest priority (lowest number) process runs until its burst ends. A higher priority arrival must wait for the CPU to be released.',
+    },
+  },
+  RR: {
+    false: {
+      title: 'Round Robin (Non-Preemptive)',
+      concept: 'Without a timer interrupt the quantum never expires, so each process keeps the CPU until it finishes or blocks. Round Robin degenerates into FCFS - which shows why RR needs preemption.',
+    },
+  },
+  MLFQ: {
+    false: {
+      title: 'Multilevel Feedback Queue (Non-Preemptive)',
+      concept: 'Processes are still dispatched from the highest non-empty queue, but nobody is interrupted: no slice ever expires, so nobody is demoted. Without preemption MLFQ loses its ability to learn process behavior.',
+    },
+  },
+  LOTTERY: {
+    false: {
+      title: 'Lottery Scheduling (Non-Preemptive)',
+      concept: 'A lottery is held only when the CPU becomes free, and the winner keeps it until its burst ends. Long jobs then dominate the CPU no matter how many tickets others hold.',
+    },
+  },
+  STRIDE: {
+    false: {
+      title: 'Stride Scheduling (Non-Preemptive)',
+      concept: 'The lowest pass still runs next, but it keeps the CPU until its burst ends. Passes still grow by stride per unit, but proportional share only holds between bursts.',
+    },
+  },
+  CFS: {
+    false: {
+      title: 'Completely Fair Scheduler (Non-Preemptive)',
+      concept: 'The process with the smallest vruntime still runs next, but it keeps the CPU until its burst ends. vruntime is still tracked, yet fairness only shows up between bursts.',
+    },
+  },
+  EDF: {
+    false: {
+      title: 'Earliest Deadline First (Non-Preemptive)',
+      concept: 'When the CPU becomes free, the ready job with the closest absolute deadline runs to completion. An urgent job released meanwhile must wait, so deadlines can be missed even when utilization is below 1.',
+    },
+  },
+  RM: {
+    false: {
+      title: 'Rate Monotonic Scheduling (Non-Preemptive)',
+      concept: 'When the CPU becomes free, the job of the task with the shortest period runs to completion. Without preemption a long low-rate job blocks high-rate tasks, and the Liu & Layland bound no longer guarantees anything.',
+    },
+  },
+};
+
+/**
+ * Concept card for an algorithm run in the given preemption mode
+ * Falls back to the classic card when preemptive is unset or matches the default
+ */
+export const getConceptCard = (algorithm, preemptive) => {
+  const card = ConceptCards[algorithm];
+  if (!card || preemptive === undefined || preemptive === card.preemptive) return card;
+  return {
+    ...card,
+    ...PreemptionVariants[algorithm]?.[preemptive],
+    preemptive,
+  };
 };
 
 // Metrics explanations for educational display
@@ -539,7 +2102,7 @@ export const MetricsExplanation = {
     name: 'Burst Time (BT)',
     formula: 'Given in input',
     meaning: 'Total CPU time the process needs to complete its work.',
-    calculation: 'Specified when creating the process.',
+    calculation: 'Specified when creating the process. With I/O phases, BT is the sum of all CPU bursts.',
     icon: '⏱️',
   },
   CT: {
@@ -558,15 +2121,49 @@ export const MetricsExplanation = {
   },
   WT: {
     name: 'Waiting Time (WT)',
-    formula: 'WT = TAT - BT',
-    meaning: 'Time the process spent waiting in the ready queue (not executing).',
-    calculation: 'Turnaround Time minus Burst Time. This is "wasted" time from the process perspective.',
+    formula: 'WT = TAT - BT - IO',
+    meaning: 'Time the process spent waiting in the ready queue (not executing and not blocked on I/O).',
+    calculation: 'Turnaround Time minus Burst Time minus time spent blocked on I/O (IO = 0 for CPU-only processes). This is "wasted" time from the process perspective.',
     icon: '⏸️',
   },
+  RT: {
+    name: 'Response Time (RT)',
+    formula: 'RT = first run - AT',
+    meaning: 'How long a process waited before it got the CPU for the first time - what an interactive user feels as lag.',
+    calculation: 'Recorded at the first time unit the process actually executes, after any context-switch time. Preemptive algorithms like RR keep RT low even when TAT is high.',
+    icon: '⚡',
+  },
+  TP: {
+    name: 'Throughput',
+    formula: 'Throughput = processes completed / total time',
+    meaning: 'How much work the system gets done per time unit.',
+    calculation: 'Number of processes divided by the time the last one finished. Idle gaps and context-switch overhead lower it.',
+    icon: '📦',
+  },
+  UTIL: {
+    name: 'CPU Utilization',
+    formula: 'Utilization = (total time - idle time) / total time',
+    meaning: 'Share of the time the CPU had something to do instead of sitting idle.',
+    calculation: 'Idle time is the number of IDLE events in the trace (one per idle CPU per time unit). With several CPUs, total time is multiplied by the CPU count.',
+    icon: '🔥',
+  },
+  JFI: {
+    name: "Jain's Fairness Index",
+    formula: 'J = (Σxᵢ)² / (n · Σxᵢ²),  xᵢ = BT / (BT + WT)',
+    meaning: 'How evenly the waiting was spread: xᵢ is the fraction of its time in the ready state that a process actually ran.',
+    calculation: 'J = 1 when every process progressed at the same rate; it drops towards 1/n when a few processes are starved. Compare max and min WT for the extremes.',
+    icon: '⚖️',
+  },
 };
 
+// Fractional time units (vruntime, pass, expected CPU time) with at most two decimals
+export const formatUnits = (vruntime) => Number(vruntime.toFixed(2));
+
 // Color generation for process visualization
 export const getPidColor = (pid) => {
+  if (pid === CONTEXT_SWITCH_PID) return '#64748b'; // slate
+  // Jobs of a periodic task (T1#1, T1#2, ...) share the task's color
+  const key = String(pid).split('#')[0];
   const colors = [
     '#3b82f6', // blue
     '#ec4899', // pink
@@ -580,8 +2177,8 @@ export const getPidColor = (pid) => {
     '#f97316', // orange
   ];
   let hash = 0;
-  for (let i = 0; i < pid.length; i++) {
-    hash = ((hash << 5) - hash) + pid.charCodeAt(i);
+  for (let i = 0; i < key.length; i++) {
+    hash = ((hash << 5) - hash) + key.charCodeAt(i);
   }
   return colors[Math.abs(hash) % colors.length];
 };
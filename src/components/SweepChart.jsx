@@ -0,0 +1,85 @@
+import React from 'react';
+
+const SERIES_COLORS = ['#818cf8', '#34d399', '#f472b6', '#fbbf24', '#38bdf8'];
+
+const WIDTH = 640;
+const HEIGHT = 280;
+const PAD = { top: 16, right: 20, bottom: 40, left: 52 };
+
+/**
+ * Round an axis maximum up to 1, 2 or 5 times a power of ten
+ */
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find(factor => factor * magnitude >= value);
+  return step * magnitude;
+};
+
+/**
+ * SweepChart Component
+ * Line chart of one metric across a parameter sweep, one line per algorithm.
+ * Points are spaced evenly by sweep step, so doubling sweeps read like a log axis.
+ */
+const SweepChart = ({ result, metric, xLabel }) => {
+  const { values, series } = result;
+  const yMax = niceMax(Math.max(0, ...series.flatMap(s => s.points.map(point => point[metric.key]))));
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+
+  const xAt = (i) => PAD.left + (values.length > 1 ? (i / (values.length - 1)) * plotWidth : plotWidth / 2);
+  const yAt = (value) => PAD.top + plotHeight - (value / yMax) * plotHeight;
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map(fraction => fraction * yMax);
+  // Keep x labels readable on long sweeps
+  const labelEvery = Math.ceil(values.length / 12);
+
+  return (
+    <div className="space-y-3">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={`${metric.label} by ${xLabel}`}>
+        {yTicks.map(tick => (
+          <g key={tick}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={yAt(tick)} y2={yAt(tick)} stroke="rgba(255,255,255,0.08)" />
+            <text x={PAD.left - 8} y={yAt(tick) + 4} textAnchor="end" fontSize="11" fill="#a3a3a3">
+              {Number.isInteger(tick) ? tick : tick.toFixed(1)}
+            </text>
+          </g>
+        ))}
+        {values.map((x, i) => (i % labelEvery === 0 || i === values.length - 1) && (
+          <text key={x} x={xAt(i)} y={HEIGHT - PAD.bottom + 16} textAnchor="middle" fontSize="11" fill="#a3a3a3">{x}</text>
+        ))}
+        <line x1={PAD.left} x2={WIDTH - PAD.right} y1={yAt(0)} y2={yAt(0)} stroke="rgba(255,255,255,0.3)" />
+        <text x={PAD.left + plotWidth / 2} y={HEIGHT - 6} textAnchor="middle" fontSize="12" fill="#d4d4d4">{xLabel}</text>
+
+        {series.map((s, index) => {
+          const color = SERIES_COLORS[index % SERIES_COLORS.length];
+          return (
+            <g key={s.algorithm}>
+              <polyline
+                fill="none"
+                stroke={color}
+                strokeWidth="2"
+                points={s.points.map((point, i) => `${xAt(i)},${yAt(point[metric.key])}`).join(' ')}
+              />
+              {s.points.map((point, i) => (
+                <circle key={point.x} cx={xAt(i)} cy={yAt(point[metric.key])} r="3.5" fill={color}>
+                  <title>{`${s.algorithm}: ${metric.label} ${point[metric.key]} at ${xLabel.toLowerCase()} ${point.x}`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+
+      <div className="flex flex-wrap gap-4 text-xs text-neutral-300">
+        {series.map((s, index) => (
+          <span key={s.algorithm} className="flex items-center gap-2">
+            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: SERIES_COLORS[index % SERIES_COLORS.length] }} />
+            {s.algorithm}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SweepChart;
@@ -1,14 +1,16 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { History, ChevronRight, Clock, Play, Pause, RefreshCw, CheckCircle2, AlertTriangle, Zap, Info } from 'lucide-react';
+import { History, ChevronRight, Clock, Play, Pause, RefreshCw, CheckCircle2, AlertTriangle, Zap, Info, ArrowDownCircle, ArrowUpCircle, HardDrive, Shuffle, ArrowLeftRight, Hourglass, AlarmClock, Scale, Brain } from 'lucide-react';
 import { getPidColor } from './SchedulerEngine';
 
 /**
  * TraceViewer Component
  * Displays execution trace with educational explanations
  * Each event can be expanded to show WHY the scheduler made that decision
+ * With onJump, opening an event also moves the dashboard to the moment right after it
+ * (never past currentTime, so the list cannot step the simulation forward)
  */
-const TraceViewer = ({ trace, maxEvents = 30 }) => {
+const TraceViewer = ({ trace, maxEvents = 30, currentTime = Infinity, onJump }) => {
   const [expandedIndex, setExpandedIndex] = useState(null);
   const [filter, setFilter] = useState('all');
 
@@ -28,6 +30,16 @@ const TraceViewer = ({ trace, maxEvents = 30 }) => {
       COMPLETE: CheckCircle2,
       TICK: Clock,
       IDLE: Pause,
+      DEMOTE: ArrowDownCircle,
+      BOOST: ArrowUpCircle,
+      BLOCK: HardDrive,
+      IO_COMPLETE: CheckCircle2,
+      MIGRATE: Shuffle,
+      CONTEXT_SWITCH: ArrowLeftRight,
+      AGING: Hourglass,
+      DEADLINE_MISS: AlarmClock,
+      VRUNTIME: Scale,
+      MISPREDICTION: Brain,
     };
     return icons[event] || Info;
   };
@@ -40,11 +52,21 @@ const TraceViewer = ({ trace, maxEvents = 30 }) => {
       COMPLETE: 'bg-purple-500/20 text-purple-400 border-purple-500/30',
       TICK: 'bg-slate-500/20 text-slate-400 border-slate-500/30',
       IDLE: 'bg-gray-500/20 text-gray-400 border-gray-500/30',
+      DEMOTE: 'bg-rose-500/20 text-rose-400 border-rose-500/30',
+      BOOST: 'bg-cyan-500/20 text-cyan-400 border-cyan-500/30',
+      BLOCK: 'bg-orange-500/20 text-orange-400 border-orange-500/30',
+      IO_COMPLETE: 'bg-teal-500/20 text-teal-400 border-teal-500/30',
+      MIGRATE: 'bg-indigo-500/20 text-indigo-400 border-indigo-500/30',
+      CONTEXT_SWITCH: 'bg-slate-400/20 text-slate-300 border-slate-400/30',
+      AGING: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30',
+      DEADLINE_MISS: 'bg-red-500/20 text-red-400 border-red-500/30',
+      VRUNTIME: 'bg-sky-500/20 text-sky-400 border-sky-500/30',
+      MISPREDICTION: 'bg-violet-500/20 text-violet-400 border-violet-500/30',
     };
     return colors[event] || 'bg-slate-500/20 text-slate-400 border-slate-500/30';
   };
 
-  const eventTypes = ['all', 'ARRIVAL', 'DISPATCH', 'PREEMPT', 'COMPLETE', 'TICK', 'IDLE'];
+  const eventTypes = ['all', 'ARRIVAL', 'DISPATCH', 'PREEMPT', 'COMPLETE', 'TICK', 'IDLE', 'DEMOTE', 'BOOST', 'BLOCK', 'IO_COMPLETE', 'MIGRATE', 'CONTEXT_SWITCH', 'AGING', 'DEADLINE_MISS', 'VRUNTIME', 'MISPREDICTION'];
 
   if (trace.length === 0) {
     return (
@@ -77,7 +99,9 @@ const TraceViewer = ({ trace, maxEvents = 30 }) => {
           </div>
           <div>
             <h3 className="font-semibold text-white">Execution Trace</h3>
-            <p className="text-xs text-neutral-400">Click events to see explanations</p>
+            <p className="text-xs text-neutral-400">
+              {onJump ? 'Click an event to see why it happened and jump to that moment' : 'Click events to see explanations'}
+            </p>
           </div>
         </div>
         
@@ -102,10 +126,10 @@ const TraceViewer = ({ trace, maxEvents = 30 }) => {
       {/* Event List */}
       <div className="max-h-[400px] overflow-y-auto custom-scrollbar">
         <AnimatePresence mode="popLayout">
-          {filteredTrace.map((event, index) => {
+          {filteredTrace.map((event) => {
             const Icon = getEventIcon(event.event);
-            const isExpanded = expandedIndex === index;
             const globalIndex = trace.indexOf(event);
+            const isExpanded = expandedIndex === globalIndex;
 
             return (
               <motion.div
@@ -119,7 +143,10 @@ const TraceViewer = ({ trace, maxEvents = 30 }) => {
               >
                 {/* Event Header */}
                 <motion.button
-                  onClick={() => setExpandedIndex(isExpanded ? null : index)}
+                  onClick={() => {
+                    setExpandedIndex(isExpanded ? null : globalIndex);
+                    if (!isExpanded && onJump) onJump(Math.min(event.shownAt ?? event.time + 1, currentTime));
+                  }}
                   className="w-full px-4 py-3 flex items-center justify-between hover:bg-slate-700/30 transition-colors text-left"
                 >
                   <div className="flex items-center gap-3">
@@ -136,6 +163,13 @@ const TraceViewer = ({ trace, maxEvents = 30 }) => {
                       {event.event}
                     </div>
 
+                    {/* CPU (multi-core runs only) */}
+                    {event.cpu !== null && event.cpu !== undefined && (
+                      <span className="text-[10px] font-mono text-slate-300 bg-slate-700/60 px-1.5 py-0.5 rounded">
+                        CPU{event.cpu}
+                      </span>
+                    )}
+
                     {/* Running Process */}
                     {event.running && (
                       <span 
@@ -0,0 +1,104 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { BookOpenCheck, ChevronDown, ChevronUp, Copy, Check } from 'lucide-react';
+import { buildWorkedSolution, formatSolutionText, formatSolutionMarkdown } from '../utils/workedSolution';
+
+const FORMATS = [
+  { id: 'text', label: 'Plain text', format: formatSolutionText },
+  { id: 'markdown', label: 'Markdown', format: formatSolutionMarkdown },
+];
+
+/**
+ * WorkedSolution Component
+ * The finished run written out the way exam answer keys do it: ASCII Gantt bar with
+ * boundary times, then the CT/TAT/WT/RT arithmetic for every process and the averages.
+ * Either format can be copied to the clipboard as shown.
+ */
+const WorkedSolution = ({ results, algorithm, quantum }) => {
+  const [open, setOpen] = useState(false);
+  const [formatId, setFormatId] = useState('text');
+  const [copied, setCopied] = useState(false);
+
+  const solution = useMemo(() => buildWorkedSolution(results, { algorithm, quantum }), [results, algorithm, quantum]);
+  const text = FORMATS.find(format => format.id === formatId).format(solution);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+    } catch {
+      // Clipboard blocked (insecure context or denied permission): the text stays selectable below
+      setCopied(false);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl overflow-hidden">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="w-full px-5 py-4 flex items-center justify-between hover:bg-slate-700/20"
+      >
+        <div className="flex items-center gap-3">
+          <div className="w-8 h-8 rounded-lg bg-gradient-to-br from-violet-500 to-indigo-500 flex items-center justify-center">
+            <BookOpenCheck className="w-4 h-4 text-white" />
+          </div>
+          <div className="text-left">
+            <h3 className="font-semibold text-white">Show Worked Solution</h3>
+            <p className="text-xs text-slate-400">Answer-key format: ASCII Gantt chart and the CT/TAT/WT arithmetic step by step</p>
+          </div>
+        </div>
+        {open ? <ChevronUp className="w-5 h-5 text-slate-400" /> : <ChevronDown className="w-5 h-5 text-slate-400" />}
+      </button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            className="overflow-hidden border-t border-slate-700"
+          >
+            <div className="p-5 space-y-3">
+              <div className="flex flex-wrap items-center gap-2">
+                {FORMATS.map(format => (
+                  <button
+                    key={format.id}
+                    type="button"
+                    onClick={() => setFormatId(format.id)}
+                    className={`rounded-lg px-3 py-1.5 text-xs font-semibold ${
+                      formatId === format.id
+                        ? 'bg-indigo-600 text-white'
+                        : 'bg-slate-900/70 text-slate-300 border border-white/10 hover:bg-slate-800/70'
+                    }`}
+                  >
+                    {format.label}
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  onClick={copy}
+                  className="ml-auto flex items-center gap-2 rounded-lg px-3 py-1.5 text-xs font-semibold bg-slate-900/70 text-slate-200 border border-white/10 hover:bg-slate-800/70"
+                >
+                  {copied ? <Check className="w-4 h-4 text-emerald-300" /> : <Copy className="w-4 h-4" />}
+                  {copied ? 'Copied' : `Copy as ${FORMATS.find(format => format.id === formatId).label}`}
+                </button>
+              </div>
+              <pre className="bg-neutral-950/80 border border-neutral-800 rounded-lg p-4 text-xs text-slate-200 font-mono overflow-x-auto custom-scrollbar select-all">
+                {text}
+              </pre>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default WorkedSolution;
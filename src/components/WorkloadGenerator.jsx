@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { Wand2, Dices } from 'lucide-react';
+import { ScenarioKind } from '../utils/scenarioIO';
+import {
+  ArrivalPattern,
+  BurstDistribution,
+  ReferencePattern,
+  SizeDistribution,
+  generateProcesses,
+  generatePagingProcesses,
+  generateMemoryRequests,
+} from '../utils/workload';
+
+// Controls per simulator page; `show` hides fields the chosen distribution does not use
+const FIELDS = {
+  [ScenarioKind.SCHEDULER]: [
+    { key: 'count', label: 'Processes', min: 1, max: 20 },
+    { key: 'arrivals', label: 'Arrivals', options: Object.values(ArrivalPattern) },
+    { key: 'arrivalRate', label: 'Arrivals / unit', min: 0.05, max: 5, step: 0.05, show: o => o.arrivals === ArrivalPattern.POISSON },
+    { key: 'bursts', label: 'Bursts', options: Object.values(BurstDistribution) },
+    { key: 'meanBurst', label: 'Mean burst', min: 1, max: 50, show: o => o.bursts === BurstDistribution.EXPONENTIAL },
+    { key: 'shortBurst', label: 'Short mode', min: 1, max: 50, show: o => o.bursts === BurstDistribution.BIMODAL },
+    { key: 'longBurst', label: 'Long mode', min: 1, max: 100, show: o => o.bursts === BurstDistribution.BIMODAL },
+    { key: 'longFraction', label: 'Long share', min: 0, max: 1, step: 0.05, show: o => o.bursts === BurstDistribution.BIMODAL },
+    { key: 'minBurst', label: 'Min burst', min: 1, max: 50, show: o => o.bursts === BurstDistribution.UNIFORM },
+    { key: 'maxBurst', label: 'Max burst', min: 1, max: 100, show: o => o.bursts === BurstDistribution.UNIFORM },
+    { key: 'maxPriority', label: 'Priority levels', min: 1, max: 20 },
+  ],
+  [ScenarioKind.MEMORY]: [
+    { key: 'count', label: 'Requests', min: 1, max: 30 },
+    { key: 'sizes', label: 'Sizes', options: Object.values(SizeDistribution) },
+    { key: 'minSize', label: 'Min size', min: 1, max: 1000 },
+    { key: 'maxSize', label: 'Max size', min: 1, max: 2000 },
+    { key: 'meanSize', label: 'Mean size', min: 1, max: 1000, show: o => o.sizes === SizeDistribution.EXPONENTIAL },
+  ],
+  [ScenarioKind.PAGING]: [
+    { key: 'count', label: 'Processes', min: 1, max: 6 },
+    { key: 'pages', label: 'Pages each', min: 1, max: 32 },
+    { key: 'length', label: 'References', min: 1, max: 60 },
+    { key: 'pattern', label: 'Locality', options: Object.values(ReferencePattern) },
+    { key: 'workingSetSize', label: 'Working set', min: 1, max: 16, show: o => o.pattern === ReferencePattern.WORKING_SET },
+    { key: 'driftEvery', label: 'Drift every', min: 1, max: 30, show: o => o.pattern === ReferencePattern.WORKING_SET },
+    { key: 'localityRate', label: 'Locality rate', min: 0, max: 1, step: 0.05, show: o => o.pattern === ReferencePattern.WORKING_SET },
+    { key: 'loopLength', label: 'Loop length', min: 1, max: 16, show: o => o.pattern === ReferencePattern.LOOP },
+    { key: 'writeRate', label: 'Write share', min: 0, max: 1, step: 0.05 },
+  ],
+};
+
+const DEFAULTS = {
+  [ScenarioKind.SCHEDULER]: {
+    count: 6, arrivals: ArrivalPattern.POISSON, arrivalRate: 0.5, bursts: BurstDistribution.EXPONENTIAL,
+    meanBurst: 5, shortBurst: 2, longBurst: 12, longFraction: 0.2, minBurst: 1, maxBurst: 10, maxPriority: 5,
+  },
+  [ScenarioKind.MEMORY]: { count: 6, sizes: SizeDistribution.UNIFORM, minSize: 10, maxSize: 200, meanSize: 60 },
+  [ScenarioKind.PAGING]: {
+    count: 2, pages: 8, length: 20, pattern: ReferencePattern.WORKING_SET,
+    workingSetSize: 3, driftEvery: 5, localityRate: 0.85, loopLength: 4, writeRate: 0,
+  },
+};
+
+/**
+ * Build the scenario fields a page's loadScenario understands
+ */
+const buildWorkload = (kind, options) => {
+  if (kind === ScenarioKind.MEMORY) return { requests: generateMemoryRequests(options) };
+  if (kind === ScenarioKind.PAGING) return { processes: generatePagingProcesses(options) };
+  return { processes: generateProcesses(options) };
+};
+
+const formatLabel = (value) => value.charAt(0) + value.slice(1).toLowerCase().replace(/_/g, ' ');
+
+/**
+ * WorkloadGenerator Component
+ * Fills the page's inputs from a seeded distribution instead of typing them by hand.
+ * The same seed and settings always produce the same workload; onGenerate(scenario) applies it.
+ */
+const WorkloadGenerator = ({ kind, onGenerate, disabled = false }) => {
+  const [options, setOptions] = useState(DEFAULTS[kind]);
+  const [seed, setSeed] = useState(1);
+
+  const update = (field, value) => {
+    setOptions(prev => ({ ...prev, [field.key]: field.options ? value : Number(value) || field.min }));
+  };
+
+  const generate = (nextSeed = seed) => {
+    onGenerate(buildWorkload(kind, { ...options, seed: nextSeed }));
+  };
+
+  const rollSeed = () => {
+    const nextSeed = Math.floor(Math.random() * 100000);
+    setSeed(nextSeed);
+    generate(nextSeed);
+  };
+
+  const inputClass = 'w-full bg-transparent border border-white/10 rounded-xl px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="glass rounded-2xl border border-white/10 p-5 space-y-4">
+      <div className="flex items-center gap-2">
+        <Wand2 className="w-4 h-4 text-indigo-300" />
+        <span className="text-[11px] uppercase tracking-[0.4em] text-neutral-400">Workload Generator</span>
+      </div>
+
+      <div className="grid gap-3 grid-cols-2 sm:grid-cols-4">
+        {FIELDS[kind].filter(field => !field.show || field.show(options)).map(field => (
+          <label key={field.key} className="space-y-1 text-xs text-neutral-400">
+            <span>{field.label}</span>
+            {field.options ? (
+              <select
+                value={options[field.key]}
+                onChange={(e) => update(field, e.target.value)}
+                disabled={disabled}
+                className={`${inputClass} bg-slate-900`}
+              >
+                {field.options.map(value => (
+                  <option key={value} value={value}>{formatLabel(value)}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="number"
+                min={field.min}
+                max={field.max}
+                step={field.step ?? 1}
+                value={options[field.key]}
+                onChange={(e) => update(field, e.target.value)}
+                disabled={disabled}
+                className={inputClass}
+              />
+            )}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-2">
+        <label className="space-y-1 text-xs text-neutral-400">
+          <span>Seed</span>
+          <input
+            type="number"
+            value={seed}
+            onChange={(e) => setSeed(Number(e.target.value) || 0)}
+            disabled={disabled}
+            className={`${inputClass} w-28`}
+          />
+        </label>
+        <button
+          type="button"
+          onClick={() => generate()}
+          disabled={disabled}
+          className="flex items-center gap-2 rounded-xl px-3 py-2 text-xs font-semibold bg-indigo-600 hover:bg-indigo-500 text-white disabled:opacity-50"
+        >
+          <Wand2 className="w-4 h-4" />
+          Generate
+        </button>
+        <button
+          type="button"
+          onClick={rollSeed}
+          disabled={disabled}
+          className="flex items-center gap-2 rounded-xl px-3 py-2 text-xs bg-slate-900/70 border border-white/10 hover:bg-slate-800/70 text-white disabled:opacity-50"
+        >
+          <Dices className="w-4 h-4" />
+          New seed
+        </button>
+      </div>
+      <p className="text-[11px] text-neutral-500">
+        Replaces the current inputs. Note the seed to rebuild exactly the same workload later.
+      </p>
+    </div>
+  );
+};
+
+export default WorkloadGenerator;
@@ -0,0 +1,153 @@
+import React, { useMemo, useState } from 'react';
+import { ScanSearch, AlertTriangle, CheckCircle2, Dices } from 'lucide-react';
+import { PagingAlgorithms } from './PagingEngine';
+import { findBeladyAnomalies, replayRuns, searchBeladyExample } from '../../utils/belady';
+
+/**
+ * BeladyDetector Component
+ * Runs the current reference strings with FIFO at every frame count, flags each step where
+ * one more frame caused more faults, and replays the two diverging runs side by side.
+ * "Find an example" searches seeded random strings and loads the first anomalous one.
+ */
+const BeladyDetector = ({ processes, onLoad, disabled = false }) => {
+  const [selected, setSelected] = useState(0);
+  const [seed, setSeed] = useState(1);
+  const [searchNote, setSearchNote] = useState('');
+
+  const { runs, anomalies } = useMemo(() => findBeladyAnomalies(processes), [processes]);
+  const anomaly = anomalies[Math.min(selected, anomalies.length - 1)];
+  const steps = useMemo(
+    () => (anomaly ? replayRuns(processes, [anomaly.frames, anomaly.nextFrames]) : []),
+    [processes, anomaly],
+  );
+  const firstDivergence = steps.findIndex(entry => entry.runs[0].fault !== entry.runs[1].fault);
+  const maxFaults = Math.max(1, ...runs.map(run => run.faults));
+  const multiProcess = processes.length > 1;
+
+  const describeFrames = (frames) => frames
+    .map(frame => (frame ? (multiProcess ? `${frame.pid}:${frame.page}` : frame.page) : '·'))
+    .join(' ');
+
+  const findExample = () => {
+    const found = searchBeladyExample({ seed });
+    setSeed(prev => prev + 1);
+    if (!found) {
+      setSearchNote('No anomaly in this batch of random strings - try again for a new batch.');
+      return;
+    }
+    const [first] = found.anomalies;
+    setSearchNote(`Found after ${found.attempt} random strings: ${first.frames} frames → ${first.faults} faults, ${first.nextFrames} frames → ${first.nextFaults} faults.`);
+    setSelected(0);
+    onLoad({ processes: found.processes, algorithm: PagingAlgorithms.FIFO });
+  };
+
+  return (
+    <div className="glass rounded-2xl border border-white/10 px-5 py-5 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <ScanSearch className="w-4 h-4 text-amber-300" />
+          <span className="text-xs uppercase tracking-[0.3em] text-neutral-400">Belady's anomaly detector</span>
+        </div>
+        <button
+          type="button"
+          onClick={findExample}
+          disabled={disabled}
+          className="flex items-center gap-2 rounded-xl px-3 py-2 text-xs bg-slate-900/70 border border-white/10 hover:bg-slate-800/70 text-white disabled:opacity-50"
+        >
+          <Dices className="w-4 h-4" />
+          Find an example
+        </button>
+      </div>
+      <p className="text-xs text-neutral-400">
+        FIFO on the reference strings above, at every frame count from {runs[0]?.frames} to {runs[runs.length - 1]?.frames}.
+        Normally more frames means fewer faults; a red bar got worse with one frame more.
+      </p>
+      {searchNote && <p className="text-xs text-cyan-200">{searchNote}</p>}
+
+      <div className="space-y-1">
+        {runs.map(run => {
+          const worse = anomalies.some(pair => pair.nextFrames === run.frames);
+          return (
+            <div key={run.frames} className="flex items-center gap-3 text-xs">
+              <span className="w-16 text-neutral-400">{run.frames} frames</span>
+              <div className="flex-1 h-3 rounded-full bg-slate-900/60 overflow-hidden">
+                <div
+                  className={`h-full rounded-full ${worse ? 'bg-rose-500' : 'bg-cyan-500/70'}`}
+                  style={{ width: `${(run.faults / maxFaults) * 100}%` }}
+                />
+              </div>
+              <span className={`w-20 text-right font-mono ${worse ? 'text-rose-300 font-semibold' : 'text-neutral-300'}`}>
+                {run.faults} faults
+              </span>
+            </div>
+          );
+        })}
+      </div>
+
+      {!anomaly ? (
+        <div className="flex items-center gap-2 text-xs text-emerald-300">
+          <CheckCircle2 className="w-4 h-4" />
+          No anomaly: the fault count never rises when a frame is added.
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <AlertTriangle className="w-4 h-4 text-rose-300" />
+            {anomalies.map((pair, index) => (
+              <button
+                key={pair.frames}
+                type="button"
+                onClick={() => setSelected(index)}
+                className={`rounded-xl px-3 py-1.5 text-xs font-semibold border ${
+                  pair === anomaly ? 'bg-rose-600 border-rose-400 text-white' : 'bg-slate-900/70 border-white/10 text-neutral-300'
+                }`}
+              >
+                {pair.frames} → {pair.nextFrames} frames: {pair.faults} → {pair.nextFaults} faults
+              </button>
+            ))}
+          </div>
+          {firstDivergence >= 0 && (
+            <p className="text-xs text-neutral-400">
+              The runs first disagree at reference {firstDivergence + 1}; highlighted rows are where one run faults and the other hits.
+            </p>
+          )}
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs text-neutral-300">
+              <thead>
+                <tr className="text-neutral-500">
+                  <th className="text-left font-medium py-1 pr-3">#</th>
+                  <th className="text-left font-medium py-1 pr-3">Ref</th>
+                  <th className="text-left font-medium py-1 px-2" colSpan={2}>{anomaly.frames} frames ({anomaly.faults} faults)</th>
+                  <th className="text-left font-medium py-1 px-2" colSpan={2}>{anomaly.nextFrames} frames ({anomaly.nextFaults} faults)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {steps.map((entry, index) => {
+                  const diverged = entry.runs[0].fault !== entry.runs[1].fault;
+                  return (
+                    <tr key={index} className={`border-t border-white/5 ${diverged ? 'bg-rose-500/10' : ''}`}>
+                      <td className="py-1 pr-3 text-neutral-500">{index + 1}</td>
+                      <td className="py-1 pr-3 font-mono text-white">
+                        {multiProcess ? `${entry.reference.pid}:${entry.reference.page}` : entry.reference.page}
+                      </td>
+                      {entry.runs.map((run, runIndex) => (
+                        <React.Fragment key={runIndex}>
+                          <td className="py-1 px-2 font-mono whitespace-nowrap">{describeFrames(run.frames)}</td>
+                          <td className={`py-1 px-2 font-semibold ${run.fault ? 'text-rose-300' : 'text-emerald-300'}`}>
+                            {run.fault ? 'F' : 'H'}
+                          </td>
+                        </React.Fragment>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BeladyDetector;
@@ -2,6 +2,11 @@ import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { Play, Pause, SkipForward, FastForward, RotateCcw, HardDrive, Zap } from 'lucide-react';
 import ConceptCard from '../ConceptCard';
+import ScenarioTransfer from '../ScenarioTransfer';
+import ScenarioLibrary from '../ScenarioLibrary';
+import WorkloadGenerator from '../WorkloadGenerator';
+import { ScenarioKind } from '../../utils/scenarioIO';
+import { useUrlScenarioSync } from '../../utils/urlState';
 import { MemoryEngine, MemoryAlgorithms } from './MemoryEngine';
 
 const DEFAULT_HOLES = [100, 500, 200, 300];
@@ -154,7 +159,8 @@ const StatusChip = ({ label, value, hint }) => {
 };
 
 const MemorySimulator = ({ className = '' }) => {
-  const holeSizes = DEFAULT_HOLES;
+  const [holeSizes, setHoleSizes] = useState(DEFAULT_HOLES);
+  const [holesText, setHolesText] = useState(DEFAULT_HOLES.join(', '));
   const totalHoleSpace = holeSizes.reduce((sum, size) => sum + size, 0);
 
   const [requests, setRequests] = useState([
@@ -186,12 +192,12 @@ const MemorySimulator = ({ className = '' }) => {
   }, []);
 
   const initEngine = useCallback(() => {
-    const freshEngine = new MemoryEngine(requests, algorithm, { initialHoles: DEFAULT_HOLES });
+    const freshEngine = new MemoryEngine(requests, algorithm, { initialHoles: holeSizes });
     setEngine(freshEngine);
     setSnapshot(freshEngine.getSnapshot());
     setResults(null);
     return freshEngine;
-  }, [requests, algorithm]);
+  }, [requests, algorithm, holeSizes]);
 
   const step = useCallback(() => {
     let current = engine;
@@ -239,7 +245,7 @@ const MemorySimulator = ({ className = '' }) => {
 
   useEffect(() => {
     reset();
-  }, [requests, algorithm, reset]);
+  }, [requests, algorithm, holeSizes, reset]);
 
   useEffect(() => {
     if (playing && engine && !engine.isDone()) {
@@ -282,6 +288,29 @@ const MemorySimulator = ({ className = '' }) => {
     setAlgorithm(algo);
   };
 
+  // Holes are typed as a list; the layout only changes once every entry is a positive whole number
+  const updateHoles = (text) => {
+    setHolesText(text);
+    const sizes = text.split(/[\s,]+/).filter(Boolean).map(Number);
+    if (sizes.length && sizes.every(size => Number.isInteger(size) && size > 0)) {
+      setHoleSizes(sizes);
+    }
+  };
+
+  const getScenario = () => ({ algorithm, speed, holes: holeSizes, requests });
+
+  const loadScenario = (scenario) => {
+    if (scenario.requests) setRequests(scenario.requests);
+    if (scenario.algorithm) setAlgorithm(scenario.algorithm);
+    if (scenario.speed) setSpeed(scenario.speed);
+    if (scenario.holes) {
+      setHoleSizes(scenario.holes);
+      setHolesText(scenario.holes.join(', '));
+    }
+  };
+
+  useUrlScenarioSync(ScenarioKind.MEMORY, getScenario(), loadScenario);
+
   const currentRequest = snapshot?.currentRequest;
   const activeStorageConcept = STORAGE_CONCEPTS[algorithm] ?? STORAGE_CONCEPTS[MemoryAlgorithms.FIRST_FIT];
   const metrics = snapshot?.metrics ?? {
@@ -362,8 +391,16 @@ const MemorySimulator = ({ className = '' }) => {
           <div className="glass rounded-2xl border border-white/10 px-5 py-5 space-y-3 bg-gradient-to-br from-slate-900/60 to-slate-900/30">
             <div className="flex items-center justify-between text-xs uppercase tracking-[0.3em] text-neutral-400">
               <span>Pre-existing holes</span>
-              <span className="text-xs text-neutral-400">Fixed inventory</span>
+              <span className="text-xs text-neutral-400">Editable inventory</span>
             </div>
+            <input
+              type="text"
+              value={holesText}
+              onChange={(e) => updateHoles(e.target.value)}
+              disabled={playing}
+              placeholder="100, 500, 200, 300"
+              className="w-full bg-transparent border border-white/10 rounded-2xl px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-cyan-400"
+            />
             <div className="flex flex-wrap gap-2">
               {holeSizes.map((size, idx) => (
                 <span
@@ -388,6 +425,27 @@ const MemorySimulator = ({ className = '' }) => {
           </div>
         </div>
 
+        <ScenarioTransfer
+          kind={ScenarioKind.MEMORY}
+          name={`memory-${algorithm.toLowerCase()}`}
+          getScenario={getScenario}
+          onLoad={loadScenario}
+          disabled={playing}
+        />
+
+        <ScenarioLibrary
+          kind={ScenarioKind.MEMORY}
+          getScenario={getScenario}
+          onLoad={loadScenario}
+          disabled={playing}
+        />
+
+        <WorkloadGenerator
+          kind={ScenarioKind.MEMORY}
+          onGenerate={loadScenario}
+          disabled={playing}
+        />
+
         <MemoryRequestEditor
           requests={requests}
           onUpdate={updateRequest}
@@ -2,12 +2,25 @@ export const PagingAlgorithms = {
   FIFO: 'FIFO',
   LRU: 'LRU',
   OPTIMAL: 'OPTIMAL',
+  CLOCK: 'CLOCK',
+  ENHANCED_CLOCK: 'ENHANCED_CLOCK',
 };
 
 const MAX_LOGS = 12;
 
 const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
+const frameList = (ids) => `Frame${ids.length > 1 ? 's' : ''} ${ids.join(', ')}`;
+
+/**
+ * One reference token: a page number, optionally suffixed with "w" for a write ("3w")
+ */
+const parseReferenceToken = (token) => {
+  const text = String(token).trim();
+  const write = /w$/i.test(text);
+  return { page: Number(write ? text.slice(0, -1) : text), write };
+};
+
 export class PagingEngine {
   constructor(processes, algorithm = PagingAlgorithms.FIFO, options = {}) {
     this.algorithm = algorithm;
@@ -17,6 +30,8 @@ export class PagingEngine {
       isFree: true,
       pageId: null,
       processId: null,
+      referenceBit: false,
+      dirtyBit: false,
     }));
     this.processes = this._normalizeProcesses(processes);
     this.pageTables = this._buildPageTables();
@@ -25,13 +40,20 @@ export class PagingEngine {
     this.logs = [];
     this.pageFaults = 0;
     this.pageHits = 0;
+    this.writeBacks = 0;
     this.fifoQueue = [];
+    // CLOCK / ENHANCED_CLOCK: frame the hand points at; it only moves while looking for a victim.
+    // handMoves counts every step of the hand so a dial can keep turning forward past frame 0.
+    this.clockHand = 0;
+    this.handMoves = 0;
+    // LRU recency is a logical clock, not wall time, so runToEnd() (many steps per millisecond) stays exact
+    this.accessClock = 0;
     this.lastAccessed = new Map();
   }
 
   _normalizeProcesses(processes) {
     if (!processes || !processes.length) {
-      return [{ pid: 'P1', totalPages: 4, referenceString: [0] }];
+      return [{ pid: 'P1', totalPages: 4, referenceString: [{ page: 0, write: false }] }];
     }
 
     return processes.map((process, index) => {
@@ -44,14 +66,17 @@ export class PagingEngine {
 
   _parseReferenceString(value, totalPages) {
     if (Array.isArray(value) && value.length) {
-      return value.map(page => clamp(Number(page) || 0, 0, totalPages - 1));
+      return value.map(token => {
+        const { page, write } = parseReferenceToken(token);
+        return { page: clamp(page || 0, 0, totalPages - 1), write };
+      });
     }
     const raw = String(value ?? '').split(/[\s,]+/).filter(Boolean);
     const normalized = raw
-      .map(item => Number(item))
-      .filter(num => !Number.isNaN(num))
-      .map(page => clamp(page, 0, totalPages - 1));
-    return normalized.length ? normalized : [0];
+      .map(parseReferenceToken)
+      .filter(({ page }) => !Number.isNaN(page))
+      .map(({ page, write }) => ({ page: clamp(page, 0, totalPages - 1), write }));
+    return normalized.length ? normalized : [{ page: 0, write: false }];
   }
 
   _buildPageTables() {
@@ -66,14 +91,14 @@ export class PagingEngine {
     const maxLength = Math.max(...this.processes.map(process => process.referenceString.length));
     for (let step = 0; step < maxLength; step += 1) {
       this.processes.forEach(process => {
-        const page = process.referenceString[step];
-        if (typeof page === 'number') {
-          queue.push({ pid: process.pid, page });
+        const reference = process.referenceString[step];
+        if (reference) {
+          queue.push({ pid: process.pid, page: reference.page, write: reference.write });
         }
       });
     }
     if (!queue.length) {
-      queue.push({ pid: this.processes[0].pid, page: 0 });
+      queue.push({ pid: this.processes[0].pid, page: 0, write: false });
     }
     return queue;
   }
@@ -90,6 +115,7 @@ export class PagingEngine {
       pageFaults: this.pageFaults,
       pageHits: this.pageHits,
       pageFaultRate: faultRate,
+      writeBacks: this.writeBacks,
       framesUsed: this.frames.filter(frame => !frame.isFree).length,
       frameCount: this.frames.length,
     };
@@ -109,7 +135,8 @@ export class PagingEngine {
   _markAccessed(frame) {
     if (!frame || frame.isFree) return;
     const key = this._getPageKey(frame.processId, frame.pageId);
-    this.lastAccessed.set(key, Date.now());
+    this.accessClock += 1;
+    this.lastAccessed.set(key, this.accessClock);
   }
 
   _findFreeFrame() {
@@ -124,17 +151,23 @@ export class PagingEngine {
     this.lastAccessed.delete(key);
     this.fifoQueue = this.fifoQueue.filter(item => item.frameId !== frameId);
     frame.isFree = true;
-    const evictedMessage = `Evicted page ${frame.pageId} of ${frame.processId} from Frame ${frameId} using ${this.algorithm}`;
+    // A modified page must be written back to disk before its frame can be reused
+    if (frame.dirtyBit) this.writeBacks += 1;
+    const evictedMessage = `Evicted page ${frame.pageId} of ${frame.processId} from Frame ${frameId} using ${this.algorithm}${frame.dirtyBit ? ' (dirty: written back to disk)' : ''}`;
     this._log(evictedMessage, 'evict');
     frame.pageId = null;
     frame.processId = null;
+    frame.referenceBit = false;
+    frame.dirtyBit = false;
   }
 
-  _loadPage(pid, page, frameId) {
+  _loadPage(pid, page, frameId, write = false) {
     const frame = this.frames[frameId];
     frame.isFree = false;
     frame.processId = pid;
     frame.pageId = page;
+    frame.referenceBit = true;
+    frame.dirtyBit = write;
     this.pageTables[pid][page] = frameId;
     this._markAccessed(frame);
     if (this.algorithm === PagingAlgorithms.FIFO) {
@@ -171,6 +204,14 @@ export class PagingEngine {
       return victim;
     }
 
+    if (this.algorithm === PagingAlgorithms.CLOCK) {
+      return this._clockVictim();
+    }
+
+    if (this.algorithm === PagingAlgorithms.ENHANCED_CLOCK) {
+      return this._enhancedClockVictim();
+    }
+
     if (this.algorithm === PagingAlgorithms.OPTIMAL) {
       let victim = occupied[0];
       let furthestNextUse = -1;
@@ -190,6 +231,60 @@ export class PagingEngine {
     return occupied[0];
   }
 
+  _advanceHand() {
+    this.clockHand = (this.clockHand + 1) % this.frames.length;
+    this.handMoves += 1;
+  }
+
+  /**
+   * Second chance: sweep the hand, clearing reference bits, until it reaches a frame whose bit is
+   * already clear. Terminates within one revolution plus one frame.
+   */
+  _clockVictim() {
+    const spared = [];
+    while (this.frames[this.clockHand].referenceBit) {
+      this.frames[this.clockHand].referenceBit = false;
+      spared.push(this.clockHand);
+      this._advanceHand();
+    }
+    const victim = this.frames[this.clockHand];
+    this._advanceHand();
+    if (spared.length) {
+      this._log(`Clock hand gave a second chance to ${frameList(spared)} (reference bit cleared) and stopped at Frame ${victim.frameId}`, 'info');
+    }
+    return victim;
+  }
+
+  /**
+   * Enhanced second chance: prefer (referenced, modified) = (0,0), then (0,1). Each round first scans
+   * a full revolution for (0,0) without touching bits, then one for (0,1) clearing reference bits as
+   * it goes; after at most two rounds every bit is clear and a victim is found.
+   */
+  _enhancedClockVictim() {
+    const count = this.frames.length;
+    const cleared = new Set();
+    for (let round = 0; round < 2; round += 1) {
+      for (const wantDirty of [false, true]) {
+        for (let scanned = 0; scanned < count; scanned += 1) {
+          const frame = this.frames[this.clockHand];
+          if (!frame.referenceBit && frame.dirtyBit === wantDirty) {
+            this._advanceHand();
+            const clearedNote = cleared.size ? ` after clearing the reference bit of ${frameList([...cleared])}` : '';
+            const dirtyNote = wantDirty ? ' - no clean unreferenced page was left' : '';
+            this._log(`Clock hand chose Frame ${frame.frameId} in class (0,${wantDirty ? 1 : 0})${clearedNote}${dirtyNote}`, 'info');
+            return frame;
+          }
+          if (wantDirty && frame.referenceBit) {
+            frame.referenceBit = false;
+            cleared.add(frame.frameId);
+          }
+          this._advanceHand();
+        }
+      }
+    }
+    return this.frames[this.clockHand];
+  }
+
   _nextUseIndex(pid, page, startIndex) {
     for (let idx = startIndex; idx < this.referenceQueue.length; idx += 1) {
       const reference = this.referenceQueue[idx];
@@ -211,25 +306,29 @@ export class PagingEngine {
       return this.getSnapshot();
     }
 
-    const { pid, page } = reference;
+    const { pid, page, write } = reference;
     const table = this.pageTables[pid];
     const cachedFrame = table[page];
+    const access = write ? 'written' : 'accessed';
 
     if (cachedFrame !== null && cachedFrame !== undefined) {
       this.pageHits += 1;
-      const hitMessage = `Page ${page} accessed for ${pid} → Hit (Frame ${cachedFrame})`;
+      const hitMessage = `Page ${page} ${access} for ${pid} → Hit (Frame ${cachedFrame})`;
       this._log(hitMessage, 'hit');
-      this._markAccessed(this.frames[cachedFrame]);
+      const frame = this.frames[cachedFrame];
+      frame.referenceBit = true;
+      if (write) frame.dirtyBit = true;
+      this._markAccessed(frame);
     } else {
       this.pageFaults += 1;
-      const faultMessage = `Page ${page} accessed for ${pid} → Fault`;
+      const faultMessage = `Page ${page} ${access} for ${pid} → Fault`;
       this._log(faultMessage, 'fault');
       let frame = this._findFreeFrame();
       if (!frame) {
         frame = this._selectVictimFrame(this.currentIndex);
         this._evictFrame(frame.frameId);
       }
-      this._loadPage(pid, page, frame.frameId);
+      this._loadPage(pid, page, frame.frameId, write);
     }
 
     return this.getSnapshot();
@@ -263,6 +362,8 @@ export class PagingEngine {
       nextReference,
       referenceQueue: this.referenceQueue,
       currentIndex: this.currentIndex,
+      clockHand: this.clockHand,
+      handMoves: this.handMoves,
       done: this.isDone(),
     };
   }
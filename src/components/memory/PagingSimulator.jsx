@@ -9,8 +9,15 @@ import {
   ListOrdered,
   Zap,
   Info,
+  RotateCw,
 } from 'lucide-react';
 import ConceptCard from '../ConceptCard';
+import ScenarioTransfer from '../ScenarioTransfer';
+import ScenarioLibrary from '../ScenarioLibrary';
+import WorkloadGenerator from '../WorkloadGenerator';
+import BeladyDetector from './BeladyDetector';
+import { ScenarioKind, FRAME_COUNT_RANGE } from '../../utils/scenarioIO';
+import { useUrlScenarioSync } from '../../utils/urlState';
 import { PagingEngine, PagingAlgorithms } from './PagingEngine';
 
 const algorithmMeta = {
@@ -26,8 +33,18 @@ const algorithmMeta = {
     label: 'Optimal',
     description: 'Evict the page whose next reference is farthest away.',
   },
+  [PagingAlgorithms.CLOCK]: {
+    label: 'Clock',
+    description: 'Sweep a hand over the frames; a set reference bit buys the page a second chance.',
+  },
+  [PagingAlgorithms.ENHANCED_CLOCK]: {
+    label: 'Enhanced Clock',
+    description: 'Rank pages by reference and dirty bits so clean, unused pages go first.',
+  },
 };
 
+const CLOCK_ALGORITHMS = [PagingAlgorithms.CLOCK, PagingAlgorithms.ENHANCED_CLOCK];
+
 const PAGING_CONCEPTS = {
   [PagingAlgorithms.FIFO]: {
     title: 'FIFO Replacement',
@@ -83,6 +100,42 @@ const PAGING_CONCEPTS = {
     complexity: 'Time: O(n²) if you scan the future queue each time, Space: O(frames)',
     preemptive: false,
   },
+  [PagingAlgorithms.CLOCK]: {
+    title: 'Clock (Second Chance)',
+    concept: 'Frames form a circle with a hand pointing at the next candidate. Hardware sets a page\'s reference bit on every access; on a fault the hand clears set bits as it passes and evicts the first page whose bit was already clear.',
+    pros: [
+      'Approximates LRU with one bit per frame instead of timestamps.',
+      'Hot pages survive: every access re-arms their second chance.',
+      'Cheap on average - the hand usually moves only a few frames.',
+    ],
+    cons: [
+      'Degrades to FIFO when every bit is set, so Belady\'s anomaly is still possible.',
+      'Ignores whether a page is dirty, so it may evict pages that must be written back.',
+      'One bit cannot tell "used once" from "used constantly".',
+    ],
+    example: 'A librarian walking the shelves: a book borrowed since the last round gets its tag removed and stays; an untagged book goes to storage.',
+    realWorld: 'The basis of page reclaim in BSD, Solaris and Linux (active/inactive lists), which approximate LRU with reference bits.',
+    complexity: 'Time: O(frames) worst case per fault, O(1) per hit, Space: 1 bit per frame',
+    preemptive: false,
+  },
+  [PagingAlgorithms.ENHANCED_CLOCK]: {
+    title: 'Enhanced Second Chance',
+    concept: 'Each frame is classed by its (reference, dirty) bits: (0,0) unused and clean is the best victim, then (0,1), (1,0) and (1,1). The hand looks for a (0,0) page first and, failing that, a (0,1) page, clearing reference bits as it goes, so clean pages are evicted before pages that need a disk write.',
+    pros: [
+      'Avoids write-backs when a clean victim is available.',
+      'Still approximates LRU through the reference bit.',
+      'Models what real kernels do: prefer clean pages under memory pressure.',
+    ],
+    cons: [
+      'May sweep the circle up to four times on one fault.',
+      'Can keep a stale dirty page over a recently used clean one.',
+      'Needs hardware (or the kernel) to maintain a modified bit.',
+    ],
+    example: 'Clearing a desk: first toss papers you neither read nor wrote on, then ones you only annotated (they must be filed back), and only then the ones in active use.',
+    realWorld: 'Classic Mac OS virtual memory and the clean-before-dirty preference in modern page reclaim.',
+    complexity: 'Time: O(frames) per fault (up to four sweeps), Space: 2 bits per frame',
+    preemptive: false,
+  },
 };
 
 const StatusChip = ({ label, value, hint }) => {
@@ -91,6 +144,7 @@ const StatusChip = ({ label, value, hint }) => {
     'Page Faults': 'from-rose-500/40 via-orange-500/10 to-slate-900/70',
     'Fault Rate': 'from-amber-500/40 via-amber-400/10 to-slate-900/70',
     Hits: 'from-emerald-500/40 via-cyan-500/10 to-slate-900/70',
+    'Write-backs': 'from-fuchsia-500/40 via-purple-500/10 to-slate-900/70',
   };
   const gradient = palette[label] ?? 'from-slate-900/60 to-slate-900/90';
   return (
@@ -159,11 +213,11 @@ const ProcessReferenceEditor = ({ processes, onUpdate, onAdd, onRemove, disabled
               type="text"
               value={process.referenceString}
               onChange={(e) => onUpdate(idx, 'referenceString', e.target.value)}
-              placeholder="0,1,2,0"
+              placeholder="0,1w,2,0"
               disabled={disabled}
               className="w-full bg-transparent border border-white/10 rounded-2xl px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-cyan-400"
             />
-            <p className="text-[11px] text-neutral-400">Comma or space separated page numbers</p>
+            <p className="text-[11px] text-neutral-400">Comma or space separated page numbers; add w for a write (3w) that dirties the page</p>
           </div>
         </div>
       ))}
@@ -171,6 +225,50 @@ const ProcessReferenceEditor = ({ processes, onUpdate, onAdd, onRemove, disabled
   </div>
 );
 
+const DIAL_SIZE = 260;
+const DIAL_RADIUS = 100;
+
+/**
+ * Frames laid out on a circle with the clock hand pointing at the next frame to examine.
+ * The hand turns by handMoves (never reset within a run), so it always rotates forward.
+ */
+const ClockDial = ({ frames, handMoves }) => {
+  const count = frames.length || 1;
+  const center = DIAL_SIZE / 2;
+  return (
+    <div className="relative mx-auto" style={{ width: DIAL_SIZE, height: DIAL_SIZE }}>
+      <div className="absolute inset-6 rounded-full border border-dashed border-white/15" />
+      <motion.div
+        className="absolute left-1/2 w-1 -ml-0.5 rounded-full bg-gradient-to-t from-amber-300 to-amber-500"
+        style={{ top: center - DIAL_RADIUS + 28, height: DIAL_RADIUS - 28, transformOrigin: '50% 100%' }}
+        animate={{ rotate: (handMoves / count) * 360 }}
+        transition={{ type: 'spring', stiffness: 120, damping: 18 }}
+      />
+      <div className="absolute left-1/2 top-1/2 w-3 h-3 -ml-1.5 -mt-1.5 rounded-full bg-amber-400" />
+      {frames.map((frame, index) => {
+        const angle = (index / count) * 2 * Math.PI - Math.PI / 2;
+        return (
+          <div
+            key={frame.frameId}
+            className={`absolute w-14 -ml-7 -mt-7 rounded-xl border px-1 py-1 text-center ${
+              frame.isFree ? 'border-white/10 bg-slate-900/60' : 'border-cyan-400/40 bg-slate-900/90'
+            }`}
+            style={{ left: center + DIAL_RADIUS * Math.cos(angle), top: center + DIAL_RADIUS * Math.sin(angle) }}
+          >
+            <div className="text-[10px] text-neutral-500">F{frame.frameId}</div>
+            <div className="text-xs font-semibold text-white">{frame.isFree ? '—' : `${frame.processId}:${frame.pageId}`}</div>
+            <div className="text-[10px] font-mono">
+              <span className={frame.referenceBit ? 'text-emerald-300' : 'text-neutral-600'}>R{frame.referenceBit ? 1 : 0}</span>
+              {' '}
+              <span className={frame.dirtyBit ? 'text-rose-300' : 'text-neutral-600'}>D{frame.dirtyBit ? 1 : 0}</span>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
 const PagingSimulator = ({ className = '' }) => {
   const [processes, setProcesses] = useState([
     { pid: 'P1', totalPages: 4, referenceString: '0,1,2,3,0,1' },
@@ -304,6 +402,17 @@ const PagingSimulator = ({ className = '' }) => {
     setProcesses(prev => (prev.length > 1 ? prev.filter((_, index) => index !== idx) : prev));
   };
 
+  const getScenario = () => ({ algorithm, frameCount, speed, processes });
+
+  const loadScenario = (scenario) => {
+    if (scenario.processes) setProcesses(scenario.processes);
+    if (scenario.algorithm) setAlgorithm(scenario.algorithm);
+    if (scenario.frameCount) setFrameCount(scenario.frameCount);
+    if (scenario.speed) setSpeed(scenario.speed);
+  };
+
+  useUrlScenarioSync(ScenarioKind.PAGING, getScenario(), loadScenario);
+
   const currentReference = snapshot?.currentReference;
   const nextReference = snapshot?.nextReference;
   const referenceQueue = snapshot?.referenceQueue ?? [];
@@ -318,6 +427,7 @@ const PagingSimulator = ({ className = '' }) => {
     pageFaults: 0,
     pageHits: 0,
     pageFaultRate: 0,
+    writeBacks: 0,
     framesUsed: 0,
     frameCount,
   };
@@ -353,6 +463,14 @@ const PagingSimulator = ({ className = '' }) => {
       [PagingAlgorithms.FIFO]: `FIFO fills frames in arrival order, so this frame holds the oldest loaded page. The next allocation will wrap to Frame ${(frame.frameId + 1) % frameCount}.`,
       [PagingAlgorithms.LRU]: `LRU just accessed this page, so it is safe from eviction until other frames show older timestamps. Keep an eye on the frame with the lowest timestamp when the next fault occurs.`,
       [PagingAlgorithms.OPTIMAL]: `Optimal kept this page because its next use is farther away than every other resident page, so it remains until an even more distant future reference is discovered.`,
+      [PagingAlgorithms.CLOCK]: frame.referenceBit
+        ? 'The reference bit is set, so the next time the hand passes it only clears the bit - the page gets a second chance.'
+        : 'The reference bit is clear: if the hand reaches this frame on a fault before the page is used again, it is evicted.',
+      [PagingAlgorithms.ENHANCED_CLOCK]: `Class (${frame.referenceBit ? 1 : 0},${frame.dirtyBit ? 1 : 0}): ${
+        frame.dirtyBit
+          ? 'the page was written, so evicting it costs a write-back; clean pages in the same reference state go first.'
+          : 'the page is clean, so it can be dropped without a disk write once its reference bit is clear.'
+      }`,
     };
     return descriptions[algorithm] ?? '';
   };
@@ -370,7 +488,12 @@ const PagingSimulator = ({ className = '' }) => {
       isFree: true,
       pageId: null,
       processId: null,
+      referenceBit: false,
+      dirtyBit: false,
     }));
+  const usesClock = CLOCK_ALGORITHMS.includes(algorithm);
+  const clockHand = snapshot?.clockHand ?? 0;
+  const describeReference = (reference) => `${reference.pid} → Page ${reference.page}${reference.write ? ' (write)' : ''}`;
 
   return (
     <section className={`relative space-y-6 overflow-hidden rounded-[32px] ${className}`}>
@@ -392,7 +515,7 @@ const PagingSimulator = ({ className = '' }) => {
           </div>
           <div>
             <h3 className="text-2xl font-semibold text-white">Paging Simulation Studio</h3>
-            <p className="text-sm text-neutral-400">Replay FIFO, LRU, and Optimal replacement policies.</p>
+            <p className="text-sm text-neutral-400">Replay FIFO, LRU, Clock, and Optimal replacement policies.</p>
           </div>
         </div>
         <p className="text-xs uppercase tracking-[0.3em] text-blue-300">Non-contiguous memory</p>
@@ -430,15 +553,37 @@ const PagingSimulator = ({ className = '' }) => {
           </div>
         </div>
 
-        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
           <StatusChip label="References" value={`${metrics.totalReferences}`} hint="Total steps run" />
           <StatusChip label="Page Faults" value={`${metrics.pageFaults}`} hint="Forced loads" />
           <StatusChip label="Fault Rate" value={`${metrics.pageFaultRate}%`} hint="Faults per reference" />
           <StatusChip label="Hits" value={`${metrics.pageHits}`} hint="Hits saved faults" />
+          <StatusChip label="Write-backs" value={`${metrics.writeBacks}`} hint="Dirty pages evicted" />
         </div>
         </div>
       </div>
 
+      <ScenarioTransfer
+        kind={ScenarioKind.PAGING}
+        name={`paging-${algorithm.toLowerCase()}`}
+        getScenario={getScenario}
+        onLoad={loadScenario}
+        disabled={playing}
+      />
+
+      <ScenarioLibrary
+        kind={ScenarioKind.PAGING}
+        getScenario={getScenario}
+        onLoad={loadScenario}
+        disabled={playing}
+      />
+
+      <WorkloadGenerator
+        kind={ScenarioKind.PAGING}
+        onGenerate={loadScenario}
+        disabled={playing}
+      />
+
       <div className="grid lg:grid-cols-2 gap-6">
         <ProcessReferenceEditor
           processes={processes}
@@ -459,8 +604,8 @@ const PagingSimulator = ({ className = '' }) => {
               </label>
               <input
                 type="range"
-                min="3"
-                max="12"
+                min={FRAME_COUNT_RANGE.min}
+                max={FRAME_COUNT_RANGE.max}
                 value={frameCount}
                 onChange={(e) => setFrameCount(Number(e.target.value))}
                 className="w-full accent-cyan-400"
@@ -476,9 +621,9 @@ const PagingSimulator = ({ className = '' }) => {
                 <span className="text-emerald-400 font-semibold">{snapshot?.done ? 'Completed' : currentReference?.pid ?? 'Pending'}</span>
               </div>
               <div className="text-2xl font-semibold text-white">
-                {currentReference ? `${currentReference.pid} → Page ${currentReference.page}` : '—'}
+                {currentReference ? describeReference(currentReference) : '—'}
               </div>
-              <p className="text-xs text-neutral-400">Next: {nextReference ? `${nextReference.pid} → Page ${nextReference.page}` : '—'}</p>
+              <p className="text-xs text-neutral-400">Next: {nextReference ? describeReference(nextReference) : '—'}</p>
               <div className="text-[11px] text-neutral-400">References remaining: {referencesRemaining}</div>
             </div>
           </div>
@@ -527,7 +672,7 @@ const PagingSimulator = ({ className = '' }) => {
                 key={`${reference.pid}-${reference.page}-${idx}`}
                 className="px-3 py-2 rounded-2xl bg-slate-900/50 border border-white/10 text-xs text-white"
               >
-                {reference.pid} → Pg {reference.page}
+                {reference.pid} → Pg {reference.page}{reference.write ? 'w' : ''}
               </span>
             ))}
             {!nextReferences.length && (
@@ -541,13 +686,22 @@ const PagingSimulator = ({ className = '' }) => {
       <div className="glass rounded-2xl border border-white/10 px-5 py-5 space-y-4">
         <div className="flex items-center justify-between text-xs uppercase tracking-[0.3em] text-neutral-400">
           <span>Physical frames</span>
-          <span className="text-xs text-neutral-400">Live view</span>
+          <span className="text-xs text-neutral-400">{usesClock ? `Hand at Frame ${clockHand}` : 'Live view'}</span>
         </div>
+        {usesClock && (
+          <div className="space-y-2">
+            <ClockDial frames={displayFrames} handMoves={snapshot?.handMoves ?? 0} />
+            <p className="flex items-center justify-center gap-2 text-[11px] text-neutral-400">
+              <RotateCw className="w-3.5 h-3.5 text-amber-300" />
+              R = referenced since the hand last passed, D = modified (needs a write-back when evicted)
+            </p>
+          </div>
+        )}
         <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-3">
           {displayFrames.map(frame => (
             <div
               key={frame.frameId}
-              className={`relative rounded-2xl border border-white/10 p-3 text-sm text-white ${frame.isFree ? 'bg-slate-900/40' : 'bg-gradient-to-br from-indigo-500 to-cyan-500'}`}
+              className={`relative rounded-2xl border border-white/10 p-3 text-sm text-white ${frame.isFree ? 'bg-slate-900/40' : 'bg-gradient-to-br from-indigo-500 to-cyan-500'} ${usesClock && frame.frameId === clockHand ? 'ring-2 ring-amber-400' : ''}`}
             >
               <div className="flex items-center justify-between">
                 <span className="text-xs uppercase tracking-[0.4em] text-white/60">Frame {frame.frameId}</span>
@@ -566,7 +720,11 @@ const PagingSimulator = ({ className = '' }) => {
               <div className="font-semibold text-lg mt-2">
                 {frame.isFree ? 'Free' : `${frame.processId}: Pg ${frame.pageId}`}
               </div>
-              {!frame.isFree && <div className="text-[11px] text-white/70">Occupied</div>}
+              {!frame.isFree && (
+                <div className="text-[11px] text-white/70">
+                  Occupied · R{frame.referenceBit ? 1 : 0} D{frame.dirtyBit ? 1 : 0}
+                </div>
+              )}
               {activeFrameInfo === frame.frameId && !frame.isFree && (
                 <motion.div
                   initial={{ opacity: 0, y: -8 }}
@@ -664,6 +822,8 @@ const PagingSimulator = ({ className = '' }) => {
           </div>
         </div>
       </div>
+
+      <BeladyDetector processes={processes} onLoad={loadScenario} disabled={playing} />
     </section>
   );
 };
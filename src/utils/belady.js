@@ -0,0 +1,72 @@
+/**
+ * Belady's anomaly
+ * Runs a replacement policy at every frame count in a range, flags each step where one more
+ * frame produced more page faults, replays two runs side by side to show where they diverge,
+ * and searches seeded random reference strings for a fresh example.
+ */
+import { PagingEngine, PagingAlgorithms } from '../components/memory/PagingEngine.js';
+import { SweepParameter, runSweep } from './sweep.js';
+import { ReferencePattern, generateReferenceString } from './workload.js';
+
+/**
+ * Distinct pages the processes touch; past this many frames nothing is ever evicted
+ */
+const distinctPages = (processes) => new Set(processes.flatMap(process => (
+  String(process.referenceString).split(/[\s,]+/).filter(Boolean).map(token => `${process.pid}:${token.replace(/w$/i, '')}`)
+))).size;
+
+/**
+ * Fault count per frame count and the anomalies among them
+ * Returns { runs: [{ frames, faults }], anomalies: [{ frames, faults, nextFrames, nextFaults }] }
+ */
+export const findBeladyAnomalies = (processes, { from = 3, to, algorithm = PagingAlgorithms.FIFO } = {}) => {
+  const last = Math.max(from + 1, to ?? distinctPages(processes));
+  const sweep = runSweep(SweepParameter.FRAME_COUNT, { processes }, { from, to: last, algorithms: [algorithm] });
+  const runs = sweep.series[0].points.map(point => ({ frames: point.x, faults: point.pageFaults }));
+  const anomalies = runs.slice(1)
+    .map((run, i) => ({ frames: runs[i].frames, faults: runs[i].faults, nextFrames: run.frames, nextFaults: run.faults }))
+    .filter(pair => pair.nextFaults > pair.faults);
+  return { runs, anomalies };
+};
+
+/**
+ * Step the same reference string through one engine per frame count in lock step
+ * Returns one entry per reference: { reference, runs: [{ fault, frames: [{ pid, page } | null] }] }
+ */
+export const replayRuns = (processes, frameCounts, algorithm = PagingAlgorithms.FIFO) => {
+  const engines = frameCounts.map(frameCount => new PagingEngine(processes, algorithm, { frameCount }));
+  const steps = [];
+  while (!engines[0].isDone()) {
+    const reference = engines[0].referenceQueue[engines[0].currentIndex];
+    const runs = engines.map(engine => {
+      const faultsBefore = engine.pageFaults;
+      const snapshot = engine.step();
+      return {
+        fault: engine.pageFaults > faultsBefore,
+        frames: snapshot.frames.map(frame => (frame.isFree ? null : { pid: frame.processId, page: frame.pageId })),
+      };
+    });
+    steps.push({ reference, runs });
+  }
+  return steps;
+};
+
+/**
+ * Try seeded random reference strings until one shows the anomaly
+ * Returns { processes, anomalies, attempt } or null when none of the attempts does
+ */
+export const searchBeladyExample = ({
+  seed = 1,
+  attempts = 5000,
+  pages = 6,
+  length = 24,
+  algorithm = PagingAlgorithms.FIFO,
+} = {}) => {
+  for (let attempt = 1; attempt <= attempts; attempt += 1) {
+    const references = generateReferenceString({ seed: `${seed}-${attempt}`, pages, length, pattern: ReferencePattern.RANDOM });
+    const processes = [{ pid: 'P1', totalPages: pages, referenceString: references.join(',') }];
+    const { anomalies } = findBeladyAnomalies(processes, { to: pages, algorithm });
+    if (anomalies.length) return { processes, anomalies, attempt };
+  }
+  return null;
+};
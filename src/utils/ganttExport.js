@@ -0,0 +1,143 @@
+/**
+ * Gantt chart export
+ * Draws a schedule as a standalone SVG (inline attributes only, no page styles), so it can be
+ * embedded in a report or a lab write-up at any size, and rasterizes it to PNG through a canvas.
+ * Layout follows GanttChart: one track per CPU, then release/deadline markers, then the I/O device.
+ */
+import { getPidColor, CONTEXT_SWITCH_PID } from '../components/SchedulerEngine.js';
+
+const UNIT = 40; // px per time unit
+const PAD = 24;
+const LABEL_WIDTH = 64;
+const TRACK_HEIGHT = 44;
+const TRACK_GAP = 12;
+const FONT = "ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif";
+const MISSED_COLOR = '#ef4444';
+
+export const escapeXml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[ch]));
+
+/**
+ * Grid background of one track: a rounded frame plus a line at every time unit
+ */
+const trackFrame = (y, height, totalTime, x0) => {
+  const lines = Array.from({ length: totalTime + 1 }, (_, t) => (
+    `<line x1="${x0 + t * UNIT}" y1="${y}" x2="${x0 + t * UNIT}" y2="${y + height}" stroke="#e2e8f0" stroke-width="1"/>`
+  ));
+  return `<rect x="${x0}" y="${y}" width="${totalTime * UNIT}" height="${height}" rx="6" fill="#f8fafc" stroke="#cbd5e1"/>${lines.join('')}`;
+};
+
+/**
+ * One execution block; CS blocks and I/O blocks are dashed like on screen
+ */
+const segmentBlock = (segment, y, height, x0, dashed) => {
+  const color = getPidColor(segment.pid);
+  const x = x0 + segment.start * UNIT + 1;
+  const width = Math.max(1, (segment.end - segment.start) * UNIT - 2);
+  const label = width >= 24
+    ? `<text x="${x + width / 2}" y="${y + height / 2 + 4}" text-anchor="middle" font-size="12" font-weight="700" fill="${color}">${escapeXml(segment.pid)}</text>`
+    : '';
+  return `<rect x="${x}" y="${y}" width="${width}" height="${height}" rx="5" fill="${color}" fill-opacity="0.18" stroke="${color}" stroke-width="2"${dashed ? ' stroke-dasharray="5 3"' : ''}/>${label}`;
+};
+
+/**
+ * Build a standalone SVG document of a schedule
+ * Takes the same data GanttChart renders; endTime stretches the axis past the last block.
+ */
+export const buildGanttSvg = ({ gantt = [], ioGantt = [], deadlines = [], cpuCount = 1, title = 'Gantt Chart', endTime = null }) => {
+  const totalTime = Math.max(1, ...gantt.map(g => g.end), ...ioGantt.map(g => g.end), ...deadlines.map(d => d.deadline), endTime || 0);
+  const x0 = PAD + LABEL_WIDTH;
+  const width = x0 + totalTime * UNIT + PAD;
+  const parts = [];
+
+  parts.push(`<text x="${PAD}" y="${PAD + 14}" font-size="16" font-weight="700" fill="#0f172a">${escapeXml(title)}</text>`);
+
+  // Time axis
+  const axisY = PAD + 44;
+  for (let t = 0; t <= totalTime; t++) {
+    parts.push(`<text x="${x0 + t * UNIT}" y="${axisY}" text-anchor="middle" font-size="11" font-family="ui-monospace, monospace" fill="#64748b">${t}</text>`);
+  }
+
+  let y = axisY + 10;
+  const trackLabel = (text, trackY, height) => (
+    `<text x="${PAD}" y="${trackY + height / 2 + 4}" font-size="11" font-weight="600" letter-spacing="1" fill="#475569">${escapeXml(text)}</text>`
+  );
+
+  for (let cpu = 0; cpu < cpuCount; cpu++) {
+    parts.push(trackLabel(cpuCount > 1 ? `CPU${cpu}` : 'CPU', y, TRACK_HEIGHT));
+    parts.push(trackFrame(y, TRACK_HEIGHT, totalTime, x0));
+    gantt.filter(segment => (segment.cpu ?? 0) === cpu).forEach(segment => {
+      parts.push(segmentBlock(segment, y + 6, TRACK_HEIGHT - 12, x0, segment.pid === CONTEXT_SWITCH_PID));
+    });
+    y += TRACK_HEIGHT + TRACK_GAP;
+  }
+
+  if (deadlines.length) {
+    const height = 32;
+    parts.push(trackLabel('DEADLINES', y, height));
+    parts.push(trackFrame(y, height, totalTime, x0));
+    deadlines.forEach(job => {
+      const color = getPidColor(job.pid);
+      parts.push(`<text x="${x0 + job.release * UNIT}" y="${y + 12}" text-anchor="middle" font-size="11" fill="${color}">▲</text>`);
+      parts.push(`<text x="${x0 + job.deadline * UNIT}" y="${y + height - 4}" text-anchor="middle" font-size="11" fill="${job.missed ? MISSED_COLOR : color}">▼</text>`);
+    });
+    y += height + TRACK_GAP;
+  }
+
+  if (ioGantt.length) {
+    const height = 32;
+    parts.push(trackLabel('I/O', y, height));
+    parts.push(trackFrame(y, height, totalTime, x0));
+    ioGantt.forEach(segment => parts.push(segmentBlock(segment, y + 5, height - 10, x0, true)));
+    y += height + TRACK_GAP;
+  }
+
+  // Legend, wrapped to the chart width
+  let legendX = x0;
+  let legendY = y + 8;
+  [...new Set(gantt.map(g => g.pid))].forEach(pid => {
+    const label = pid === CONTEXT_SWITCH_PID ? 'Context switch' : String(pid);
+    const itemWidth = 22 + label.length * 7 + 16;
+    if (legendX + itemWidth > width - PAD && legendX > x0) {
+      legendX = x0;
+      legendY += 20;
+    }
+    const color = getPidColor(pid);
+    parts.push(`<rect x="${legendX}" y="${legendY}" width="14" height="14" rx="3" fill="${color}" fill-opacity="0.18" stroke="${color}" stroke-width="2"/>`);
+    parts.push(`<text x="${legendX + 20}" y="${legendY + 11}" font-size="12" fill="#334155">${escapeXml(label)}</text>`);
+    legendX += itemWidth;
+  });
+
+  const height = legendY + 14 + PAD;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...parts,
+    '</svg>',
+  ].join('\n');
+};
+
+/**
+ * Rasterize an SVG document to a PNG Blob (browser only)
+ * scale > 1 keeps the text sharp when the image is printed or zoomed
+ */
+export const svgToPngBlob = (svg, scale = 2) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth * scale;
+    canvas.height = image.naturalHeight * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render the SVG'));
+  };
+  image.src = url;
+});
@@ -0,0 +1,189 @@
+/**
+ * Headless runs
+ * Drives SchedulerEngine, MemoryEngine and PagingEngine to completion without React and
+ * reduces each run to plain data (results table, timeline, trace) that prints as text or
+ * serializes as JSON. Output holds no wall-clock values, so the same scenario always gives
+ * byte-identical output and answer keys can be diffed.
+ */
+import { SchedulerEngine, Algorithm } from '../components/SchedulerEngine.js';
+import { MemoryEngine, MemoryAlgorithms } from '../components/memory/MemoryEngine.js';
+import { PagingEngine, PagingAlgorithms } from '../components/memory/PagingEngine.js';
+import { ScenarioKind } from './scenarioIO.js';
+import { buildAsciiGantt } from './workedSolution.js';
+import { summarizeResults } from './reportExport.js';
+
+const DEFAULT_ALGORITHM = {
+  [ScenarioKind.SCHEDULER]: Algorithm.FCFS,
+  [ScenarioKind.MEMORY]: MemoryAlgorithms.FIRST_FIT,
+  [ScenarioKind.PAGING]: PagingAlgorithms.FIFO,
+};
+
+const DEFAULT_HOLES = [100, 500, 200, 300];
+
+const runScheduler = (scenario) => {
+  const algorithm = scenario.algorithm ?? DEFAULT_ALGORITHM[ScenarioKind.SCHEDULER];
+  const options = { ...scenario.settings, quantum: scenario.quantum ?? 2 };
+  const engine = new SchedulerEngine(scenario.processes, algorithm, options);
+  const results = engine.runToEnd();
+
+  return {
+    kind: ScenarioKind.SCHEDULER,
+    algorithm,
+    quantum: options.quantum,
+    preemptive: engine.preemptive,
+    cpuCount: results.cores.length,
+    averages: results.averages,
+    summary: Object.fromEntries(summarizeResults(results)),
+    processes: results.processes.map(p => ({
+      pid: p.pid,
+      arrivalTime: p.arrivalTime,
+      burstTime: p.burstTime,
+      priority: p.priority,
+      completionTime: p.completionTime,
+      turnaroundTime: p.turnaroundTime,
+      waitingTime: p.waitingTime,
+      responseTime: p.responseTime,
+    })),
+    gantt: results.gantt.map(({ pid, start, end, cpu }) => ({ pid, start, end, cpu })),
+    ioGantt: results.ioGantt.map(({ pid, start, end }) => ({ pid, start, end })),
+    trace: results.trace.map(({ time, event, cpu, transitions, explanation, decision }) => ({
+      time, event, cpu, transitions, explanation, decision,
+    })),
+  };
+};
+
+const runMemory = (scenario) => {
+  const algorithm = scenario.algorithm ?? DEFAULT_ALGORITHM[ScenarioKind.MEMORY];
+  const holes = scenario.holes ?? DEFAULT_HOLES;
+  const engine = new MemoryEngine(scenario.requests, algorithm, { initialHoles: holes });
+  engine.runToEnd();
+  const snapshot = engine.getSnapshot();
+
+  return {
+    kind: ScenarioKind.MEMORY,
+    algorithm,
+    holes,
+    metrics: snapshot.metrics,
+    requests: snapshot.requests.map(req => ({
+      pid: req.pid,
+      size: req.size,
+      status: req.status,
+      start: req.allocation?.start ?? null,
+    })),
+    segments: snapshot.segments.map(segment => ({
+      start: segment.start,
+      size: segment.size,
+      pid: segment.free ? null : segment.processId,
+    })),
+    trace: snapshot.logs.map((log, i) => ({ step: i + 1, pid: log.pid, event: log.type, description: log.description })),
+  };
+};
+
+const runPaging = (scenario) => {
+  const algorithm = scenario.algorithm ?? DEFAULT_ALGORITHM[ScenarioKind.PAGING];
+  const engine = new PagingEngine(scenario.processes, algorithm, { frameCount: scenario.frameCount });
+  // The engine only keeps its latest log lines (newest first), so collect each step's lines as it runs
+  const trace = [];
+  while (!engine.isDone()) {
+    const previousHead = engine.logs[0];
+    const step = engine.currentIndex + 1;
+    engine.step();
+    const fresh = [];
+    for (const log of engine.logs) {
+      if (log === previousHead) break;
+      fresh.push(log);
+    }
+    fresh.reverse().forEach(log => trace.push({ step, event: log.type, description: log.message }));
+  }
+  const snapshot = engine.getSnapshot();
+
+  return {
+    kind: ScenarioKind.PAGING,
+    algorithm,
+    frameCount: engine.frameCount,
+    metrics: snapshot.metrics,
+    frames: snapshot.frames.map(frame => ({ frameId: frame.frameId, pid: frame.processId, page: frame.pageId })),
+    trace,
+  };
+};
+
+/**
+ * Run a validated scenario (see scenarioIO) to completion and return plain data
+ */
+export const runScenario = (kind, scenario) => {
+  if (kind === ScenarioKind.MEMORY) return runMemory(scenario);
+  if (kind === ScenarioKind.PAGING) return runPaging(scenario);
+  return runScheduler(scenario);
+};
+
+/**
+ * Align rows under headers; the first column is left-aligned, the rest right-aligned
+ */
+const formatTable = (headers, rows) => {
+  const widths = headers.map((header, i) => Math.max(String(header).length, ...rows.map(row => String(row[i] ?? '-').length)));
+  const line = (cells) => cells
+    .map((cell, i) => (i === 0 ? String(cell ?? '-').padEnd(widths[i]) : String(cell ?? '-').padStart(widths[i])))
+    .join('  ')
+    .trimEnd();
+  return [line(headers), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)];
+};
+
+const formatPairs = (pairs) => {
+  const width = Math.max(...pairs.map(([label]) => label.length));
+  return pairs.map(([label, value]) => `${label.padEnd(width)}  ${value}`);
+};
+
+const schedulerText = (run, trace) => [
+  `Algorithm: ${run.algorithm} (${run.preemptive ? 'preemptive' : 'non-preemptive'}, quantum ${run.quantum}, ${run.cpuCount} CPU${run.cpuCount > 1 ? 's' : ''})`,
+  '',
+  'Gantt chart:',
+  ...buildAsciiGantt(run.gantt, run.cpuCount),
+  '',
+  ...formatTable(
+    ['Process', 'AT', 'BT', 'CT', 'TAT', 'WT', 'RT'],
+    run.processes.map(p => [p.pid, p.arrivalTime, p.burstTime, p.completionTime, p.turnaroundTime, p.waitingTime, p.responseTime]),
+  ),
+  '',
+  ...formatPairs(Object.entries(run.summary)),
+  ...(trace ? [
+    '',
+    'Trace:',
+    ...run.trace.map(entry => [
+      `t=${entry.time}`.padEnd(6),
+      `${entry.cpu !== null ? `CPU${entry.cpu} ` : ''}${entry.event}`.padEnd(14),
+      [entry.transitions.join(', '), entry.explanation].filter(Boolean).join(' - '),
+    ].join(' ').trimEnd()),
+  ] : []),
+];
+
+const memoryText = (run, trace) => [
+  `Algorithm: ${run.algorithm} (holes ${run.holes.join(', ')})`,
+  '',
+  ...formatTable(['Request', 'Size', 'Status', 'Start'], run.requests.map(req => [req.pid, req.size, req.status, req.start])),
+  '',
+  'Memory map:',
+  ...run.segments.map(segment => `  [${segment.start}-${segment.start + segment.size}) ${segment.pid ?? 'free'} (${segment.size})`),
+  '',
+  ...formatPairs(Object.entries(run.metrics).map(([key, value]) => [key, value])),
+  ...(trace ? ['', 'Trace:', ...run.trace.map(entry => `${String(entry.step).padStart(3)}. ${entry.description}`)] : []),
+];
+
+const pagingText = (run, trace) => [
+  `Algorithm: ${run.algorithm} (${run.frameCount} frames)`,
+  '',
+  ...formatPairs(Object.entries(run.metrics).map(([key, value]) => [key, value])),
+  '',
+  'Final frames:',
+  ...run.frames.map(frame => `  Frame ${frame.frameId}: ${frame.pid === null ? 'free' : `${frame.pid} page ${frame.page}`}`),
+  ...(trace ? ['', 'Trace:', ...run.trace.map(entry => `${String(entry.step).padStart(3)}. ${entry.description}`)] : []),
+];
+
+/**
+ * Human-readable report of a run; trace = false leaves out the event log
+ */
+export const formatRunText = (run, { trace = true } = {}) => {
+  const lines = run.kind === ScenarioKind.MEMORY ? memoryText(run, trace)
+    : run.kind === ScenarioKind.PAGING ? pagingText(run, trace)
+      : schedulerText(run, trace);
+  return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,131 @@
+/**
+ * Learning insights
+ * What a finished scheduling run teaches: the headline metrics explained in words, plus one
+ * observation about the algorithm that ran. The Scheduling page renders these and the HTML
+ * report prints the same text.
+ */
+import { Algorithm } from '../components/SchedulerEngine.js';
+
+/**
+ * Insights for finalizeMetrics output
+ * Returns { points: [{ label, text }], observation: { color, icon, title, insight } }
+ */
+export const getLearningInsights = (results, algorithm, quantum, agingInterval) => {
+  const observations = {
+    [Algorithm.FCFS]: {
+      color: 'amber',
+      icon: '📌',
+      title: 'FCFS Observation',
+      insight: 'If a long process arrived first, all shorter processes had to wait. This is called the "Convoy Effect" - like being stuck behind a slow truck on a single-lane road!'
+    },
+    [Algorithm.SJF]: {
+      color: 'emerald',
+      icon: '📌',
+      title: 'SJF Observation',
+      insight: agingInterval > 0
+        ? `Shorter processes completed quickly, and aging shrank the burst estimate of long jobs every ${agingInterval} units they waited. Look for AGING events in the trace - they are what keeps a long job from starving.`
+        : 'Shorter processes completed quickly, minimizing overall waiting time. However, if short jobs keep arriving, long jobs might wait indefinitely (starvation). Turn on Aging to prevent it.'
+    },
+    [Algorithm.SRTF]: {
+      color: 'blue',
+      icon: '📌',
+      title: 'SRTF Observation',
+      insight: 'Preemption allowed shorter jobs to jump ahead. Notice the context switches in the Gantt chart - each switch has overhead in real systems!'
+    },
+    [Algorithm.HRRN]: {
+      color: 'emerald',
+      icon: '📌',
+      title: 'HRRN Observation',
+      insight: 'Short jobs still went first, but every unit a process waited raised its response ratio. Check the DISPATCH explanations: long jobs that waited long enough beat newer short jobs, so nothing starves - HRRN has aging built in.'
+    },
+    [Algorithm.LJF]: {
+      color: 'amber',
+      icon: '📌',
+      title: 'LJF Observation',
+      insight: 'Running the longest job first is the mirror image of SJF, and it shows: short jobs waited behind long ones, giving a high average waiting time. Compare the results with SJF on the same processes.'
+    },
+    [Algorithm.LRTF]: {
+      color: 'amber',
+      icon: '📌',
+      title: 'LRTF Observation',
+      insight: 'The process with the most work left always took over, so remaining times were evened out and processes finished close together - at the cost of many context switches and the worst average turnaround of all algorithms.'
+    },
+    [Algorithm.PRIORITY]: {
+      color: 'purple',
+      icon: '📌',
+      title: 'Priority Observation',
+      insight: agingInterval > 0
+        ? `Higher priority (lower number) processes ran first, but every ${agingInterval} units of waiting raised a process's effective priority. Follow the AGING events in the trace to watch a low-priority process climb the queue.`
+        : 'Higher priority (lower number) processes ran first. In real systems, we use "aging" to prevent low-priority tasks from starving forever - turn on Aging to try it.'
+    },
+    [Algorithm.RR]: {
+      color: 'cyan',
+      icon: '📌',
+      title: 'Round Robin Observation',
+      insight: `Each process got a fair share with quantum=${quantum}. More context switches than other algorithms, but better response time for all processes!`
+    },
+    [Algorithm.LOTTERY]: {
+      color: 'purple',
+      icon: '🎟️',
+      title: 'Lottery Observation',
+      insight: 'Compare expected and actual shares in the results: lottery scheduling is only fair on average, so with few draws some processes get noticeably more or less than their tickets promise. Change the seed to see a different - but reproducible - run.'
+    },
+    [Algorithm.STRIDE]: {
+      color: 'cyan',
+      icon: '📌',
+      title: 'Stride Observation',
+      insight: 'Stride scheduling hands out the CPU in exact proportion to tickets, so actual shares track expected shares closely even over short runs. It is the deterministic version of the fairness lottery scheduling only delivers on average.'
+    },
+    [Algorithm.CFS]: {
+      color: 'emerald',
+      icon: '📌',
+      title: 'CFS Observation',
+      insight: 'Processes with a lower nice value (higher weight) saw their vruntime grow more slowly, so CFS picked them more often. Compare the final vruntimes in the trace: CFS keeps them close together, which is what "fair" means here.'
+    },
+    [Algorithm.EDF]: {
+      color: 'blue',
+      icon: '⏰',
+      title: 'EDF Observation',
+      insight: results.deadlineMisses
+        ? `${results.deadlineMisses} job(s) missed a deadline. On one CPU, EDF only misses deadlines when the tasks ask for more than 100% of the CPU (or deadlines are shorter than periods).`
+        : 'Every job met its deadline. EDF re-evaluates urgency at every release, so it can use the CPU all the way up to 100% utilization.'
+    },
+    [Algorithm.RM]: {
+      color: 'cyan',
+      icon: '⏰',
+      title: 'Rate Monotonic Observation',
+      insight: results.deadlineMisses
+        ? `${results.deadlineMisses} job(s) missed a deadline. Fixed priorities by period can fail above the Liu & Layland bound even when EDF would meet every deadline - try the same task set under EDF.`
+        : 'Every job met its deadline. Notice how jobs of the shortest-period task always run as soon as they are released.'
+    },
+    [Algorithm.MLFQ]: {
+      color: 'purple',
+      icon: '📌',
+      title: 'MLFQ Observation',
+      insight: 'Short jobs finished while still in the top queue, while long jobs sank to lower queues with longer slices. Check the DEMOTE and BOOST events in the trace to see how MLFQ learned each process\'s behavior without knowing burst times.'
+    }
+  };
+
+  const points = [
+    { label: `Average Waiting Time: ${results.averages.waiting}`, text: 'Each process waited this long on average before getting CPU time.' },
+    { label: `Average Turnaround Time: ${results.averages.turnaround}`, text: 'From arrival to completion, this is the average total time.' },
+    { label: `Average Response Time: ${results.averages.response}`, text: 'How long processes waited before their first turn on the CPU. Preemptive and time-sliced algorithms keep this low.' },
+    { label: `Total Simulation Time: ${results.finalClock}`, text: `All processes completed at t=${results.finalClock}.` },
+  ];
+  if (results.switchTime > 0) {
+    points.push({
+      label: `Context Switch Overhead: ${results.switchTime} units`,
+      text: `${results.contextSwitches} switches cost the CPU time that no process used, so only ${results.cpuEfficiency}% of busy CPU time was useful work. Try a smaller quantum in Round Robin to watch this overhead grow.`,
+    });
+  }
+  if (results.mispredictions !== null) {
+    points.push({
+      label: `Burst Prediction: ${results.mispredictions} misprediction(s)`,
+      text: results.mispredictions
+        ? 'each MISPREDICTION in the trace is a dispatch where a truly shorter job was left waiting because its predicted burst looked longer. Switch back to known bursts to compare against the ideal schedule.'
+        : 'every dispatch matched what an all-knowing SJF would have picked. Try processes whose bursts change from one CPU burst to the next.',
+    });
+  }
+
+  return { points, observation: observations[algorithm] };
+};
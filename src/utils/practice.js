@@ -0,0 +1,134 @@
+/**
+ * Practice mode
+ * Random scheduling problems at three difficulty levels, the reference answers the engine
+ * produces for them, and grading of a student's dispatch predictions and CT/TAT/WT table.
+ * Problems come from a seeded generator, so a problem number always rebuilds the same problem.
+ */
+import { SchedulerEngine, Algorithm } from '../components/SchedulerEngine.js';
+import { createRng, randomInt } from './random.js';
+
+export const Difficulty = {
+  EASY: 'EASY',
+  MEDIUM: 'MEDIUM',
+  HARD: 'HARD',
+};
+
+// What each level draws from: algorithms, process count, arrival spread, burst range
+const PROFILES = {
+  [Difficulty.EASY]: {
+    algorithms: [Algorithm.FCFS, Algorithm.SJF],
+    count: [3, 3],
+    lastArrival: 4,
+    burst: [1, 6],
+  },
+  [Difficulty.MEDIUM]: {
+    algorithms: [Algorithm.SJF, Algorithm.SRTF, Algorithm.PRIORITY, Algorithm.RR],
+    count: [4, 4],
+    lastArrival: 6,
+    burst: [1, 8],
+  },
+  [Difficulty.HARD]: {
+    algorithms: [Algorithm.SRTF, Algorithm.PRIORITY, Algorithm.RR, Algorithm.HRRN, Algorithm.MLFQ],
+    count: [5, 6],
+    lastArrival: 10,
+    burst: [1, 10],
+  },
+};
+
+const SESSION_KEY = 'osel.practiceScore';
+
+/**
+ * Build a random problem for a difficulty level
+ * The first process always arrives at 0 so the CPU never starts idle
+ */
+export const generateProblem = (difficulty = Difficulty.EASY, seed = 1) => {
+  const profile = PROFILES[difficulty] ?? PROFILES[Difficulty.EASY];
+  const rng = createRng(`${difficulty}-${seed}`);
+  const algorithm = profile.algorithms[randomInt(rng, 0, profile.algorithms.length - 1)];
+  const count = randomInt(rng, profile.count[0], profile.count[1]);
+  const processes = Array.from({ length: count }, (_, i) => ({
+    pid: `P${i + 1}`,
+    arrivalTime: i === 0 ? 0 : randomInt(rng, 0, profile.lastArrival),
+    burstTime: randomInt(rng, profile.burst[0], profile.burst[1]),
+    priority: randomInt(rng, 1, 5),
+  }));
+  processes.sort((a, b) => a.arrivalTime - b.arrivalTime || a.pid.localeCompare(b.pid, undefined, { numeric: true }));
+  processes.forEach((process, i) => { process.pid = `P${i + 1}`; });
+
+  return {
+    difficulty,
+    seed,
+    algorithm,
+    quantum: algorithm === Algorithm.RR || algorithm === Algorithm.MLFQ ? randomInt(rng, 2, 4) : 2,
+    processes,
+  };
+};
+
+/**
+ * SchedulerEngine options for a problem
+ * Generated problems only set the quantum; a problem built from the Scheduling page also
+ * carries that page's settings (preemption, CPUs, context switch cost, ...)
+ */
+export const problemOptions = (problem) => ({ quantum: problem.quantum, ...problem.settings });
+
+/**
+ * Run a problem through the engine and collect what the student is graded against:
+ * every DISPATCH decision (time, PID, explanation, decision) and the final metrics
+ */
+export const solveProblem = (problem) => {
+  const engine = new SchedulerEngine(problem.processes, problem.algorithm, problemOptions(problem));
+  const results = engine.runToEnd();
+  const dispatches = results.trace
+    .filter(entry => entry.event === 'DISPATCH')
+    .map(entry => ({
+      time: entry.time,
+      pid: entry.transitions[0]?.split(' → ')[0],
+      explanation: entry.explanation,
+      decision: entry.decision,
+    }));
+  return { preemptive: engine.preemptive, dispatches, results };
+};
+
+/**
+ * Grade a filled-in CT/TAT/WT table
+ * answers: { [pid]: { ct, tat, wt } } as typed; returns the same shape with
+ * { value, expected, correct } per cell plus the totals
+ */
+export const gradeTable = (results, answers) => {
+  let correct = 0;
+  let total = 0;
+  const cells = {};
+  results.processes.forEach(p => {
+    const expected = { ct: p.completionTime, tat: p.turnaroundTime, wt: p.waitingTime };
+    cells[p.pid] = {};
+    Object.entries(expected).forEach(([field, value]) => {
+      const typed = String(answers[p.pid]?.[field] ?? '').trim();
+      const ok = typed !== '' && Number(typed) === value;
+      cells[p.pid][field] = { value: typed, expected: value, correct: ok };
+      total += 1;
+      if (ok) correct += 1;
+    });
+  });
+  return { cells, correct, total };
+};
+
+/**
+ * Score of the current browser session ({ correct, attempted })
+ */
+export const loadSessionScore = () => {
+  try {
+    const score = JSON.parse(sessionStorage.getItem(SESSION_KEY) ?? 'null');
+    if (Number.isInteger(score?.correct) && Number.isInteger(score?.attempted)) return score;
+  } catch {
+    // No sessionStorage (or a corrupt entry): start from zero
+  }
+  return { correct: 0, attempted: 0 };
+};
+
+export const saveSessionScore = (score) => {
+  try {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(score));
+  } catch {
+    // Score still counts for this page view
+  }
+};
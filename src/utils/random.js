@@ -0,0 +1,39 @@
+/**
+ * Seeded pseudo-random numbers
+ * Simulations that draw random numbers (lottery scheduling, workload generators)
+ * use these so the same seed always replays the same run.
+ */
+
+const hashSeed = (seed) => {
+  const text = String(seed ?? '');
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a mulberry32 generator
+ * Numeric seeds are used as-is, anything else (e.g. a word) is hashed first.
+ * Returns a function yielding floats in [0, 1).
+ */
+export const createRng = (seed = 1) => {
+  let state = Number.isFinite(Number(seed)) && String(seed).trim() !== ''
+    ? Number(seed) >>> 0
+    : hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Random integer in [min, max] (inclusive) from a generator made by createRng
+ */
+export const randomInt = (rng, min, max) => min + Math.floor(rng() * (max - min + 1));
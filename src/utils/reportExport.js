@@ -0,0 +1,109 @@
+/**
+ * Results report
+ * Assembles a finished scheduling run into one self-contained HTML page: settings, process table,
+ * Gantt chart (inline SVG), per-process results, summary metrics and the learning insights.
+ * The page carries its own print stylesheet, so "Print → Save as PDF" gives a clean hand-in.
+ */
+import { escapeXml } from './ganttExport.js';
+
+const REPORT_STYLES = `
+  body { font-family: ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; color: #0f172a; margin: 32px; line-height: 1.45; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 28px 0 8px; padding-bottom: 4px; border-bottom: 1px solid #cbd5e1; }
+  .meta { color: #64748b; font-size: 12px; }
+  table { border-collapse: collapse; font-size: 13px; }
+  th, td { border: 1px solid #cbd5e1; padding: 4px 10px; text-align: right; }
+  th { background: #f1f5f9; font-weight: 600; }
+  td:first-child, th:first-child { text-align: left; }
+  .settings td:last-child { text-align: left; }
+  .chart svg { max-width: 100%; height: auto; }
+  .insights p { margin: 6px 0; font-size: 13px; }
+  .insights .observation { margin-top: 12px; padding: 8px 12px; background: #f1f5f9; }
+  @media print {
+    body { margin: 12mm; }
+    h2 { break-after: avoid; }
+    table, .chart { break-inside: avoid; }
+  }
+`;
+
+const table = (headers, rows, className = '') => [
+  `<table${className ? ` class="${className}"` : ''}>`,
+  headers.length ? `<thead><tr>${headers.map(h => `<th>${escapeXml(h)}</th>`).join('')}</tr></thead>` : '',
+  `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeXml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>`,
+  '</table>',
+].join('');
+
+/**
+ * Summary metrics of finalizeMetrics output as [label, value] pairs
+ * Optional rows (deadlines, prediction, multi-core) only appear when the run used them
+ */
+export const summarizeResults = (results) => {
+  const rows = [
+    ['Average waiting time', results.averages.waiting],
+    ['Average turnaround time', results.averages.turnaround],
+    ['Average response time', results.averages.response],
+    ['Total simulation time', results.finalClock],
+    ['Throughput (processes/unit)', results.throughput],
+    ['CPU utilization', `${results.cpuUtilization}% (${results.idleTime} idle)`],
+    ['Preemptions', results.preemptions],
+    ['Context switches', results.contextSwitches],
+    ['Time lost to switching', results.switchTime],
+    ['CPU efficiency', `${results.cpuEfficiency}%`],
+    ["Jain's fairness index", results.fairness.jainIndex],
+    ['Waiting max / min', `${results.fairness.maxWaiting} / ${results.fairness.minWaiting}`],
+  ];
+  if (results.processes.some(p => p.absoluteDeadline !== null)) rows.push(['Deadline misses', results.deadlineMisses]);
+  if (results.mispredictions !== null) rows.push(['Burst mispredictions', results.mispredictions]);
+  if (results.cores?.length > 1) {
+    rows.push(['Total migrations', results.migrations]);
+    results.cores.forEach(core => rows.push([`CPU${core.id} utilization`, `${core.utilization}%`]));
+  }
+  return rows;
+};
+
+/**
+ * Build the printable report page
+ * settings: [label, value] pairs describing the run; insights: getLearningInsights output (optional)
+ */
+export const buildReportHtml = ({ title, settings = [], processes = [], results, ganttSvg, insights = null }) => {
+  const hasIo = results.processes.some(p => p.ioTime > 0);
+  const resultHeaders = ['Process', 'Arrival', 'Burst', ...(hasIo ? ['Blocked (I/O)'] : []), 'Completion', 'Turnaround', 'Waiting', 'Response'];
+  const resultRows = results.processes.map(p => [
+    p.pid, p.arrivalTime, p.burstTime, ...(hasIo ? [p.blockedTime] : []), p.completionTime, p.turnaroundTime, p.waitingTime, p.responseTime,
+  ]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeXml(title)}</h1>
+<div class="meta">Generated ${escapeXml(new Date().toLocaleString())}</div>
+
+<h2>Settings</h2>
+${table([], settings, 'settings')}
+
+<h2>Processes</h2>
+${table(['Process', 'Arrival', 'Burst', 'Priority'], processes.map(p => [p.pid, p.arrivalTime, p.burstTime, p.priority ?? 0]))}
+
+<h2>Gantt Chart</h2>
+<div class="chart">${ganttSvg}</div>
+
+<h2>Results</h2>
+${table(resultHeaders, resultRows)}
+
+<h2>Summary Metrics</h2>
+${table([], summarizeResults(results), 'settings')}
+
+${insights ? `<h2>Learning Insights</h2>
+<div class="insights">
+${insights.points.map(point => `<p><strong>${escapeXml(point.label)}</strong> — ${escapeXml(point.text)}</p>`).join('\n')}
+<p class="observation"><strong>${escapeXml(`${insights.observation.title}:`)}</strong> ${escapeXml(insights.observation.insight)}</p>
+</div>` : ''}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,406 @@
+/**
+ * Scenario import/export
+ * A scenario is everything needed to replay a lab: the workload rows plus the page's settings.
+ * Scenarios are stored as JSON ({ kind, version, ... }); the workload alone can also be
+ * exchanged as CSV. Every import is validated row by row so a bad cell points at its line.
+ */
+import { Algorithm, QueueMode, LoadBalancing } from '../components/SchedulerEngine.js';
+import { MemoryAlgorithms } from '../components/memory/MemoryEngine.js';
+import { PagingAlgorithms } from '../components/memory/PagingEngine.js';
+
+export const SCENARIO_VERSION = 1;
+
+export const ScenarioKind = {
+  SCHEDULER: 'scheduler',
+  MEMORY: 'memory',
+  PAGING: 'paging',
+};
+
+// CSV columns per kind, in file order
+export const CsvColumns = {
+  [ScenarioKind.SCHEDULER]: ['pid', 'arrival', 'burst', 'priority'],
+  [ScenarioKind.MEMORY]: ['pid', 'size'],
+  [ScenarioKind.PAGING]: ['pid', 'pages', 'references'],
+};
+
+// Where each kind keeps its workload rows inside a scenario
+const ROWS_KEY = {
+  [ScenarioKind.SCHEDULER]: 'processes',
+  [ScenarioKind.MEMORY]: 'requests',
+  [ScenarioKind.PAGING]: 'processes',
+};
+
+const ALGORITHMS = {
+  [ScenarioKind.SCHEDULER]: Object.values(Algorithm),
+  [ScenarioKind.MEMORY]: Object.values(MemoryAlgorithms),
+  [ScenarioKind.PAGING]: Object.values(PagingAlgorithms),
+};
+
+// Frame counts the Paging page offers (PagingEngine never runs with fewer than 3)
+export const FRAME_COUNT_RANGE = { min: 3, max: 12 };
+
+// Scheduler options that travel with a scenario besides algorithm, quantum and speed,
+// held to the ranges the settings panel allows so a file or link cannot ask for 10^9 CPUs
+const SCHEDULER_SETTINGS = {
+  integers: {
+    mlfqLevels: { min: 1, max: 5 },
+    boostInterval: { min: 0, max: 100 },
+    cpuCount: { min: 1, max: 4 },
+    migrationInterval: { min: 1, max: 50 },
+    contextSwitchTime: { min: 0, max: 5 },
+    agingInterval: { min: 0, max: 50 },
+    agingStep: { min: 1, max: 10 },
+    targetLatency: { min: 1, max: 50 },
+    minGranularity: { min: 1, max: 10 },
+    initialTau: { min: 1, max: 50 },
+  },
+  fractions: { alpha: { min: 0, max: 1 } },
+  flags: ['preemptive', 'predictBursts'],
+  choices: {
+    queueMode: Object.values(QueueMode),
+    loadBalancing: Object.values(LoadBalancing),
+  },
+};
+
+// Longest text seed accepted (numbers are taken as they are)
+const MAX_SEED_LENGTH = 64;
+
+/**
+ * Read a whole-number cell
+ * Returns { value } or { error } with a message fit for "Row n: ..."
+ */
+const readInteger = (raw, field, { min = 0, max = Infinity } = {}) => {
+  const text = String(raw ?? '').trim();
+  if (text === '') return { error: `${field} is missing` };
+  const value = Number(text);
+  if (!Number.isFinite(value) || !Number.isInteger(value)) {
+    return { error: `${field} must be a whole number (got "${text}")` };
+  }
+  if (value < 0 && min >= 0) return { error: `${field} cannot be negative (got ${value})` };
+  if (value < min) return { error: `${field} must be at least ${min} (got ${value})` };
+  if (value > max) return { error: `${field} must be at most ${max} (got ${value})` };
+  return { value };
+};
+
+/**
+ * Split one CSV line, honoring double-quoted cells ("a,b" stays one cell, "" is a quote)
+ */
+const splitCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+export const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Parse a page reference string ("0 1 2" or "0,1,2") against the process's page count
+ * A "w" suffix marks a write ("3w"), which sets the page's dirty bit
+ */
+const readReferences = (raw, pages) => {
+  const tokens = Array.isArray(raw) ? raw.map(String) : String(raw ?? '').split(/[\s,;]+/).filter(Boolean);
+  if (!tokens.length) return { error: 'references are missing' };
+  const bad = tokens.filter(token => {
+    const page = Number(token.replace(/w$/i, ''));
+    return !Number.isInteger(page) || page < 0 || page >= pages;
+  });
+  if (bad.length) {
+    return { error: `references must be page numbers from 0 to ${pages - 1}, optionally followed by w for a write (bad: ${bad.slice(0, 5).join(', ')})` };
+  }
+  return { value: tokens.map(token => token.toLowerCase()).join(',') };
+};
+
+/**
+ * Validate one workload row. Cells come from CSV (column names) or JSON (field names).
+ * Returns { row } or { errors: [message] }
+ */
+const validateRow = (kind, cells) => {
+  const errors = [];
+  const take = (result) => {
+    if (result.error) errors.push(result.error);
+    return result.value;
+  };
+  const pid = String(cells.pid ?? '').trim();
+  if (!pid) errors.push('pid is missing');
+
+  let row;
+  if (kind === ScenarioKind.SCHEDULER) {
+    row = {
+      pid,
+      arrivalTime: take(readInteger(cells.arrival ?? cells.arrivalTime, 'arrival')),
+      burstTime: take(readInteger(cells.burst ?? cells.burstTime, 'burst', { min: 1 })),
+      priority: take(readInteger(cells.priority ?? 0, 'priority')),
+    };
+    // Optional fields only JSON carries: I/O bursts, CFS nice, tickets, real-time period/deadline, affinity
+    if (cells.bursts !== undefined) {
+      if (!Array.isArray(cells.bursts) || !cells.bursts.length) {
+        errors.push('bursts must be a list of CPU/I-O burst lengths');
+      } else {
+        row.bursts = cells.bursts.map((b, i) => take(readInteger(b, `bursts[${i}]`, { min: 1 })));
+        row.burstTime = row.bursts.filter((_, i) => i % 2 === 0).reduce((sum, b) => sum + (b || 0), 0);
+      }
+    }
+    if (cells.nice !== undefined) row.nice = take(readInteger(cells.nice, 'nice', { min: -20, max: 19 }));
+    if (cells.tickets !== undefined) row.tickets = take(readInteger(cells.tickets, 'tickets', { min: 1 }));
+    if (cells.period !== undefined) row.period = take(readInteger(cells.period, 'period'));
+    if (cells.deadline !== undefined) row.deadline = take(readInteger(cells.deadline, 'deadline'));
+    if (cells.affinity !== undefined && cells.affinity !== null && cells.affinity !== '') {
+      row.affinity = take(readInteger(cells.affinity, 'affinity'));
+    }
+  } else if (kind === ScenarioKind.MEMORY) {
+    row = { pid: pid.toUpperCase(), size: take(readInteger(cells.size, 'size', { min: 1 })) };
+  } else {
+    const totalPages = take(readInteger(cells.pages ?? cells.totalPages, 'pages', { min: 1 }));
+    row = { pid: pid.toUpperCase(), totalPages };
+    if (totalPages !== undefined) {
+      row.referenceString = take(readReferences(cells.references ?? cells.referenceString, totalPages));
+    }
+  }
+
+  return errors.length ? { errors } : { row };
+};
+
+/**
+ * Validate a list of workload rows, collecting "Row n: ..." messages
+ * label(i) names a row in messages (CSV line number or JSON position)
+ */
+const validateRows = (kind, list, label) => {
+  const rows = [];
+  const errors = [];
+  const seen = new Map();
+
+  list.forEach((cells, i) => {
+    const result = validateRow(kind, cells);
+    result.errors?.forEach(message => errors.push(`${label(i)}: ${message}`));
+
+    // Checked on the raw PID as well, so a row with other mistakes still reports a clash
+    const pid = String(cells.pid ?? '').trim();
+    const key = pid.toUpperCase();
+    let duplicate = false;
+    if (pid && seen.has(key)) {
+      errors.push(`${label(i)}: duplicate PID ${pid} (already used in ${seen.get(key)})`);
+      duplicate = true;
+    } else if (pid) {
+      seen.set(key, label(i).toLowerCase());
+    }
+
+    if (!result.errors && !duplicate) rows.push(result.row);
+  });
+
+  if (!list.length) errors.push('No rows found');
+  return { rows, errors };
+};
+
+/**
+ * Parse CSV workload rows. A header line is optional; without one the columns
+ * are read in CsvColumns order. Blank lines and lines starting with # are skipped.
+ */
+export const parseCsv = (text, kind) => {
+  const columns = CsvColumns[kind];
+  const lines = String(text ?? '')
+    .split(/\r?\n/)
+    .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+    .filter(({ line }) => line && !line.startsWith('#'));
+
+  let header = columns;
+  if (lines.length && columns.includes(splitCsvLine(lines[0].line)[0].toLowerCase())) {
+    header = splitCsvLine(lines.shift().line).map(cell => cell.toLowerCase());
+    const missing = columns.filter(column => column !== 'priority' && !header.includes(column));
+    if (missing.length) {
+      return { rows: [], errors: [`Header is missing column(s): ${missing.join(', ')}`] };
+    }
+  }
+
+  // Extra cells are most likely a missing quote around a reference string; the other cells
+  // of such a row are shifted, so its fields are not validated on top of that
+  const widthErrors = [];
+  const records = [];
+  lines.forEach(({ line, number }) => {
+    const cells = splitCsvLine(line);
+    if (cells.length > header.length) {
+      widthErrors.push(`Row ${number}: has more than ${header.length} columns`);
+      return;
+    }
+    records.push({ number, cells: Object.fromEntries(header.map((column, i) => [column, cells[i]])) });
+  });
+  if (!records.length && widthErrors.length) return { rows: [], errors: widthErrors };
+
+  const result = validateRows(kind, records.map(record => record.cells), i => `Row ${records[i].number}`);
+  return { rows: result.rows, errors: [...widthErrors, ...result.errors] };
+};
+
+/**
+ * Parse a JSON scenario of the given kind
+ * Returns { scenario, errors }; scenario only holds the fields that were valid
+ */
+export const parseScenarioJson = (text, kind) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { scenario: null, errors: [`Not valid JSON: ${error.message}`] };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { scenario: null, errors: ['A scenario must be a JSON object'] };
+  }
+  if (data.kind && data.kind !== kind) {
+    return { scenario: null, errors: [`This is a ${data.kind} scenario, not a ${kind} scenario`] };
+  }
+
+  const errors = [];
+  const scenario = {};
+  const rowsKey = ROWS_KEY[kind];
+  if (!Array.isArray(data[rowsKey])) {
+    errors.push(`"${rowsKey}" must be a list`);
+  } else {
+    const rowLabel = rowsKey === 'requests' ? 'Request' : 'Process';
+    const result = validateRows(kind, data[rowsKey], i => `${rowLabel} ${i + 1}`);
+    errors.push(...result.errors);
+    scenario[rowsKey] = result.rows;
+  }
+
+  if (data.algorithm !== undefined) {
+    if (ALGORITHMS[kind].includes(data.algorithm)) {
+      scenario.algorithm = data.algorithm;
+    } else {
+      errors.push(`Unknown algorithm "${data.algorithm}" (expected one of ${ALGORITHMS[kind].join(', ')})`);
+    }
+  }
+
+  const numbers = { speed: { min: 1 }, quantum: { min: 1 }, frameCount: FRAME_COUNT_RANGE };
+  Object.entries(numbers).forEach(([field, range]) => {
+    if (data[field] === undefined) return;
+    const result = readInteger(data[field], field, range);
+    if (result.error) errors.push(result.error);
+    else scenario[field] = result.value;
+  });
+
+  if (kind === ScenarioKind.MEMORY && data.holes !== undefined) {
+    if (!Array.isArray(data.holes) || !data.holes.length) {
+      errors.push('"holes" must be a list of hole sizes');
+    } else {
+      const holes = data.holes.map((size, i) => readInteger(size, `holes[${i}]`, { min: 1 }));
+      holes.filter(result => result.error).forEach(result => errors.push(result.error));
+      if (holes.every(result => !result.error)) scenario.holes = holes.map(result => result.value);
+    }
+  }
+
+  if (kind === ScenarioKind.SCHEDULER && data.settings && typeof data.settings === 'object') {
+    const settings = {};
+    Object.entries(SCHEDULER_SETTINGS.integers).forEach(([field, range]) => {
+      const value = data.settings[field];
+      if (value === undefined) return;
+      const result = typeof value === 'number'
+        ? readInteger(value, `settings.${field}`, range)
+        : { error: `settings.${field} must be a whole number` };
+      if (result.error) errors.push(result.error);
+      else settings[field] = result.value;
+    });
+    Object.entries(SCHEDULER_SETTINGS.fractions).forEach(([field, { min, max }]) => {
+      const value = data.settings[field];
+      if (value === undefined) return;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        errors.push(`settings.${field} must be a number from ${min} to ${max}`);
+      } else {
+        settings[field] = value;
+      }
+    });
+    SCHEDULER_SETTINGS.flags.forEach(field => {
+      const value = data.settings[field];
+      if (value === undefined) return;
+      if (value !== null && typeof value !== 'boolean') errors.push(`settings.${field} must be true, false or null`);
+      else settings[field] = value;
+    });
+    Object.entries(SCHEDULER_SETTINGS.choices).forEach(([field, values]) => {
+      const value = data.settings[field];
+      if (value === undefined) return;
+      if (values.includes(value)) settings[field] = value;
+      else errors.push(`settings.${field} must be one of ${values.join(', ')}`);
+    });
+    const { seed } = data.settings;
+    if (seed !== undefined) {
+      if ((typeof seed === 'number' && Number.isFinite(seed)) || (typeof seed === 'string' && seed.length <= MAX_SEED_LENGTH)) {
+        settings.seed = seed;
+      } else {
+        errors.push(`settings.seed must be a number or a text of at most ${MAX_SEED_LENGTH} characters`);
+      }
+    }
+    scenario.settings = settings;
+  }
+
+  return { scenario, errors };
+};
+
+/**
+ * Parse an imported file or pasted text: JSON when it looks like an object, CSV otherwise
+ * CSV only carries the workload, so the scenario then holds just the rows
+ */
+export const parseScenario = (text, kind) => {
+  if (String(text ?? '').trim().startsWith('{')) {
+    return parseScenarioJson(text, kind);
+  }
+  const { rows, errors } = parseCsv(text, kind);
+  return { scenario: { [ROWS_KEY[kind]]: rows }, errors };
+};
+
+/**
+ * Serialize a scenario to pretty-printed JSON, tagged with its kind and format version
+ */
+export const serializeScenario = (kind, data) => JSON.stringify({ kind, version: SCENARIO_VERSION, ...data }, null, 2);
+
+/**
+ * Workload rows of a scenario as CSV with a header line
+ */
+export const scenarioToCsv = (kind, scenario) => {
+  const rows = scenario[ROWS_KEY[kind]] ?? [];
+  const lines = rows.map(row => {
+    if (kind === ScenarioKind.SCHEDULER) return [row.pid, row.arrivalTime, row.burstTime, row.priority ?? 0];
+    if (kind === ScenarioKind.MEMORY) return [row.pid, row.size];
+    return [row.pid, row.totalPages, String(row.referenceString).split(/[\s,]+/).filter(Boolean).join(' ')];
+  });
+  return [CsvColumns[kind], ...lines].map(cells => cells.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+/**
+ * Offer a Blob as a file download (browser only)
+ */
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Offer text as a file download (browser only)
+ */
+export const downloadText = (filename, text, type = 'application/json') => {
+  downloadBlob(filename, new Blob([text], { type }));
+};
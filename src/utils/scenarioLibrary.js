@@ -0,0 +1,225 @@
+/**
+ * Scenario library
+ * Built-in presets for the classic demonstrations, plus named scenarios the user saves.
+ * Saved scenarios live in localStorage and are re-validated with scenarioIO when read,
+ * so an entry written by an older build (or edited by hand) cannot break a page.
+ */
+import { Algorithm } from '../components/SchedulerEngine.js';
+import { MemoryAlgorithms } from '../components/memory/MemoryEngine.js';
+import { PagingAlgorithms } from '../components/memory/PagingEngine.js';
+import { ScenarioKind, SCENARIO_VERSION, parseScenarioJson } from './scenarioIO.js';
+
+const STORAGE_KEY = 'osel.scenarioLibrary';
+
+export const SCENARIO_PRESETS = [
+  {
+    id: 'convoy-effect',
+    kind: ScenarioKind.SCHEDULER,
+    name: 'Convoy effect',
+    description: 'One long CPU-bound job arrives first; under FCFS every short job queues behind it.',
+    scenario: {
+      algorithm: Algorithm.FCFS,
+      settings: { preemptive: null, cpuCount: 1, contextSwitchTime: 0 },
+      processes: [
+        { pid: 'P1', arrivalTime: 0, burstTime: 20, priority: 0 },
+        { pid: 'P2', arrivalTime: 1, burstTime: 2, priority: 0 },
+        { pid: 'P3', arrivalTime: 2, burstTime: 2, priority: 0 },
+        { pid: 'P4', arrivalTime: 3, burstTime: 2, priority: 0 },
+      ],
+    },
+  },
+  {
+    id: 'srtf-starvation',
+    kind: ScenarioKind.SCHEDULER,
+    name: 'SRTF starvation',
+    description: 'A steady stream of short jobs keeps preempting P1, which only runs once the stream dries up.',
+    scenario: {
+      algorithm: Algorithm.SRTF,
+      settings: { preemptive: null, cpuCount: 1, contextSwitchTime: 0, agingInterval: 0, predictBursts: false },
+      processes: [
+        { pid: 'P1', arrivalTime: 0, burstTime: 10, priority: 0 },
+        { pid: 'P2', arrivalTime: 1, burstTime: 2, priority: 0 },
+        { pid: 'P3', arrivalTime: 3, burstTime: 2, priority: 0 },
+        { pid: 'P4', arrivalTime: 5, burstTime: 2, priority: 0 },
+        { pid: 'P5', arrivalTime: 7, burstTime: 2, priority: 0 },
+        { pid: 'P6', arrivalTime: 9, burstTime: 2, priority: 0 },
+      ],
+    },
+  },
+  {
+    id: 'priority-starvation',
+    kind: ScenarioKind.SCHEDULER,
+    name: 'Priority starvation',
+    description: 'Low-priority P1 waits behind a chain of urgent jobs; set an aging interval to rescue it.',
+    scenario: {
+      algorithm: Algorithm.PRIORITY,
+      settings: { preemptive: true, cpuCount: 1, contextSwitchTime: 0, agingInterval: 0 },
+      processes: [
+        { pid: 'P1', arrivalTime: 0, burstTime: 4, priority: 5 },
+        { pid: 'P2', arrivalTime: 0, burstTime: 3, priority: 1 },
+        { pid: 'P3', arrivalTime: 2, burstTime: 3, priority: 1 },
+        { pid: 'P4', arrivalTime: 5, burstTime: 3, priority: 2 },
+        { pid: 'P5', arrivalTime: 8, burstTime: 3, priority: 1 },
+      ],
+    },
+  },
+  {
+    id: 'rr-small-quantum',
+    kind: ScenarioKind.SCHEDULER,
+    name: 'Round Robin switch overhead',
+    description: 'A quantum of 1 with a 1-unit context switch: half the CPU time goes to switching.',
+    scenario: {
+      algorithm: Algorithm.RR,
+      quantum: 1,
+      settings: { preemptive: null, cpuCount: 1, contextSwitchTime: 1 },
+      processes: [
+        { pid: 'P1', arrivalTime: 0, burstTime: 5, priority: 0 },
+        { pid: 'P2', arrivalTime: 0, burstTime: 4, priority: 0 },
+        { pid: 'P3', arrivalTime: 0, burstTime: 3, priority: 0 },
+      ],
+    },
+  },
+  {
+    id: 'external-fragmentation',
+    kind: ScenarioKind.MEMORY,
+    name: 'External fragmentation',
+    description: 'Four 150-unit holes leave 200 units free in total, yet the last 150-unit request fits nowhere.',
+    scenario: {
+      algorithm: MemoryAlgorithms.FIRST_FIT,
+      holes: [150, 150, 150, 150],
+      requests: [
+        { pid: 'A', size: 100 },
+        { pid: 'B', size: 100 },
+        { pid: 'C', size: 100 },
+        { pid: 'D', size: 100 },
+        { pid: 'E', size: 150 },
+      ],
+    },
+  },
+  {
+    id: 'best-fit-wins',
+    kind: ScenarioKind.MEMORY,
+    name: 'Best fit keeps the big hole',
+    description: 'First and worst fit carve up the 500-unit hole early; best fit saves it for the large request.',
+    scenario: {
+      algorithm: MemoryAlgorithms.BEST_FIT,
+      holes: [100, 500, 200, 300],
+      requests: [
+        { pid: 'A', size: 90 },
+        { pid: 'B', size: 180 },
+        { pid: 'C', size: 280 },
+        { pid: 'D', size: 450 },
+      ],
+    },
+  },
+  {
+    id: 'belady-anomaly',
+    kind: ScenarioKind.PAGING,
+    name: "Belady's anomaly",
+    description: 'FIFO faults 9 times with 3 frames; raise the frames to 4 and it faults 10 times.',
+    scenario: {
+      algorithm: PagingAlgorithms.FIFO,
+      frameCount: 3,
+      processes: [
+        { pid: 'P1', totalPages: 5, referenceString: '0,1,2,3,0,1,4,0,1,2,3,4' },
+      ],
+    },
+  },
+  {
+    id: 'lru-locality',
+    kind: ScenarioKind.PAGING,
+    name: 'Locality favours LRU',
+    description: 'A loop over a small working set with occasional far pages: LRU keeps the loop, FIFO evicts it.',
+    scenario: {
+      algorithm: PagingAlgorithms.LRU,
+      frameCount: 3,
+      processes: [
+        { pid: 'P1', totalPages: 6, referenceString: '0,1,0,2,0,1,3,0,1,4,0,1,5,0,1' },
+      ],
+    },
+  },
+  {
+    id: 'enhanced-clock-dirty',
+    kind: ScenarioKind.PAGING,
+    name: 'Dirty pages and the clock',
+    description: 'Writes ("0w") dirty page 0: plain Clock writes back 3 pages, Enhanced Clock evicts clean pages first and writes back none.',
+    scenario: {
+      algorithm: PagingAlgorithms.ENHANCED_CLOCK,
+      frameCount: 3,
+      processes: [
+        { pid: 'P1', totalPages: 5, referenceString: '2,4,0w,3,0w,1,2,0,4,2w,4,0w,1,2' },
+      ],
+    },
+  },
+];
+
+const hasStorage = () => {
+  try {
+    return typeof localStorage !== 'undefined';
+  } catch {
+    return false;
+  }
+};
+
+const readEntries = () => {
+  if (!hasStorage()) return [];
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? 'null');
+    return Array.isArray(data?.entries) ? data.entries : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeEntries = (entries) => {
+  if (!hasStorage()) return false;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCENARIO_VERSION, entries }));
+    return true;
+  } catch {
+    // Quota exceeded or storage disabled (private browsing)
+    return false;
+  }
+};
+
+/**
+ * Built-in presets for one simulator page
+ */
+export const getPresets = (kind) => SCENARIO_PRESETS.filter(preset => preset.kind === kind);
+
+/**
+ * Saved scenarios for one simulator page, newest first
+ * Entries that no longer validate are left out
+ */
+export const listSavedScenarios = (kind) => readEntries()
+  .filter(entry => entry?.kind === kind && typeof entry.name === 'string')
+  .map(entry => {
+    const { scenario, errors } = parseScenarioJson(JSON.stringify(entry.scenario ?? null), kind);
+    return errors.length ? null : { id: entry.id, name: entry.name, savedAt: entry.savedAt, kind, scenario };
+  })
+  .filter(Boolean)
+  .sort((a, b) => (b.savedAt ?? 0) - (a.savedAt ?? 0));
+
+/**
+ * Save a scenario under a name; saving an existing name (same page, any case) replaces it
+ * Returns false when the browser refuses to store it
+ */
+export const saveNamedScenario = (kind, name, scenario) => {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) return false;
+  const key = trimmed.toLowerCase();
+  const entries = readEntries().filter(entry => !(entry?.kind === kind && String(entry.name).toLowerCase() === key));
+  entries.push({
+    id: `${kind}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    kind,
+    name: trimmed,
+    savedAt: Date.now(),
+    scenario,
+  });
+  return writeEntries(entries);
+};
+
+/**
+ * Remove one saved scenario by id
+ */
+export const deleteSavedScenario = (id) => writeEntries(readEntries().filter(entry => entry?.id !== id));
@@ -0,0 +1,161 @@
+/**
+ * Parameter sweeps
+ * Re-runs one scenario while a single engine parameter steps across a range and collects the
+ * metrics of every run: RR quantum (SchedulerEngine), frame count (PagingEngine) and
+ * allocation unit (MemoryEngine). Each algorithm in the sweep becomes one series of the plot.
+ */
+import { SchedulerEngine, Algorithm } from '../components/SchedulerEngine.js';
+import { MemoryEngine, MemoryAlgorithms } from '../components/memory/MemoryEngine.js';
+import { PagingEngine, PagingAlgorithms } from '../components/memory/PagingEngine.js';
+import { ScenarioKind, csvCell } from './scenarioIO.js';
+
+export const SweepParameter = {
+  QUANTUM: 'QUANTUM',
+  FRAME_COUNT: 'FRAME_COUNT',
+  ALLOCATION_UNIT: 'ALLOCATION_UNIT',
+};
+
+// Hard cap on runs per series so a careless range cannot freeze the page
+export const MAX_SWEEP_POINTS = 64;
+
+const linearValues = (from, to, step = 1) => {
+  const values = [];
+  for (let value = from; value <= to && values.length < MAX_SWEEP_POINTS; value += Math.max(1, step)) {
+    values.push(value);
+  }
+  return values;
+};
+
+// Alignment units are usually powers of two, so that sweep doubles instead of counting up
+const doublingValues = (from, to) => {
+  const values = [];
+  for (let value = Math.max(1, from); value <= to && values.length < MAX_SWEEP_POINTS; value *= 2) {
+    values.push(value);
+  }
+  return values;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Sweep definitions: what is varied, which algorithms can be compared, the metrics
+ * each run reports ({ key, label }) and how a single run is performed
+ */
+export const SWEEPS = {
+  [SweepParameter.QUANTUM]: {
+    kind: ScenarioKind.SCHEDULER,
+    label: 'Time quantum',
+    defaultRange: { from: 1, to: 20 },
+    min: 1,
+    algorithms: [Algorithm.RR, Algorithm.MLFQ],
+    defaultAlgorithms: [Algorithm.RR],
+    values: linearValues,
+    metrics: [
+      { key: 'waiting', label: 'Avg. waiting time' },
+      { key: 'turnaround', label: 'Avg. turnaround time' },
+      { key: 'response', label: 'Avg. response time' },
+      { key: 'contextSwitches', label: 'Context switches' },
+    ],
+    run: (scenario, algorithm, quantum) => {
+      const engine = new SchedulerEngine(scenario.processes, algorithm, { ...scenario.settings, quantum });
+      const results = engine.runToEnd();
+      return {
+        waiting: results.averages.waiting,
+        turnaround: results.averages.turnaround,
+        response: results.averages.response,
+        contextSwitches: results.contextSwitches,
+      };
+    },
+  },
+  [SweepParameter.FRAME_COUNT]: {
+    kind: ScenarioKind.PAGING,
+    label: 'Frames',
+    // PagingEngine never runs with fewer than 3 frames
+    defaultRange: { from: 3, to: 10 },
+    min: 3,
+    algorithms: Object.values(PagingAlgorithms),
+    defaultAlgorithms: Object.values(PagingAlgorithms),
+    values: linearValues,
+    metrics: [
+      { key: 'faultRate', label: 'Fault rate (%)' },
+      { key: 'pageFaults', label: 'Page faults' },
+      { key: 'writeBacks', label: 'Write-backs' },
+    ],
+    run: (scenario, algorithm, frameCount) => {
+      const engine = new PagingEngine(scenario.processes, algorithm, { frameCount });
+      const metrics = engine.runToEnd();
+      return {
+        // Unrounded here: the engine's whole-percent rate would flatten the curve
+        faultRate: metrics.totalReferences ? round2((metrics.pageFaults / metrics.totalReferences) * 100) : 0,
+        pageFaults: metrics.pageFaults,
+        writeBacks: metrics.writeBacks,
+      };
+    },
+  },
+  [SweepParameter.ALLOCATION_UNIT]: {
+    kind: ScenarioKind.MEMORY,
+    label: 'Allocation unit',
+    defaultRange: { from: 1, to: 64 },
+    min: 1,
+    algorithms: Object.values(MemoryAlgorithms),
+    defaultAlgorithms: [MemoryAlgorithms.FIRST_FIT],
+    values: doublingValues,
+    metrics: [
+      { key: 'internalFragmentation', label: 'Internal fragmentation' },
+      { key: 'externalFragmentation', label: 'External fragmentation' },
+      { key: 'failed', label: 'Failed requests' },
+    ],
+    run: (scenario, algorithm, allocationUnit) => {
+      const engine = new MemoryEngine(scenario.requests, algorithm, { initialHoles: scenario.holes, allocationUnit });
+      engine.runToEnd();
+      const snapshot = engine.getSnapshot();
+      return {
+        internalFragmentation: snapshot.metrics.internalFragmentation,
+        externalFragmentation: snapshot.metrics.externalFragmentation,
+        failed: snapshot.requests.filter(req => req.status === 'FAILED').length,
+      };
+    },
+  },
+};
+
+/**
+ * Values a sweep visits for a range, clamped to the parameter's minimum
+ */
+export const sweepValues = (parameter, { from, to, step = 1 }) => {
+  const sweep = SWEEPS[parameter];
+  return sweep.values(Math.max(sweep.min, from), to, step);
+};
+
+/**
+ * Run a sweep over a validated scenario of the sweep's kind
+ * Returns { parameter, values, series: [{ algorithm, points: [{ x, ...metrics }] }] }
+ */
+export const runSweep = (parameter, scenario, { from, to, step = 1, algorithms } = {}) => {
+  const sweep = SWEEPS[parameter];
+  const values = sweepValues(parameter, {
+    from: from ?? sweep.defaultRange.from,
+    to: to ?? sweep.defaultRange.to,
+    step,
+  });
+  const series = (algorithms ?? sweep.defaultAlgorithms).map(algorithm => ({
+    algorithm,
+    points: values.map(x => ({ x, ...sweep.run(scenario, algorithm, x) })),
+  }));
+  return { parameter, values, series };
+};
+
+/**
+ * Sweep results as CSV: one row per parameter value, one column per algorithm and metric
+ */
+export const sweepToCsv = (result) => {
+  const sweep = SWEEPS[result.parameter];
+  const header = [
+    sweep.label,
+    ...result.series.flatMap(series => sweep.metrics.map(metric => `${series.algorithm} ${metric.label}`)),
+  ];
+  const rows = result.values.map((x, i) => [
+    x,
+    ...result.series.flatMap(series => sweep.metrics.map(metric => series.points[i][metric.key])),
+  ]);
+  return [header, ...rows].map(cells => cells.map(csvCell).join(',')).join('\n') + '\n';
+};
@@ -0,0 +1,111 @@
+/**
+ * Shareable URL state
+ * The location hash holds the active page plus one scenario per simulator page, e.g.
+ * #page=paging&paging=<scenario>. Scenarios use the scenarioIO JSON format, base64url-encoded,
+ * and are validated the same way as an imported file before a page applies them.
+ */
+import { useEffect, useRef } from 'react';
+import { parseScenarioJson } from './scenarioIO.js';
+
+const hasWindow = typeof window !== 'undefined';
+
+const readParams = () => new URLSearchParams(hasWindow ? window.location.hash.slice(1) : '');
+
+// UTF-8 safe base64url, so PIDs with any characters survive the round trip
+const encode = (data) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decode = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+};
+
+/**
+ * Page id stored in the URL (null when absent)
+ */
+export const readUrlPage = () => readParams().get('page');
+
+/**
+ * Scenario of one simulator page from the URL
+ * Returns null when the link has none or it does not validate
+ */
+export const readUrlScenario = (kind) => {
+  const raw = readParams().get(kind);
+  if (!raw) return null;
+  try {
+    const { scenario, errors } = parseScenarioJson(decode(raw), kind);
+    return errors.length ? null : scenario;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Merge entries into the URL hash without adding browser history entries
+ * Scenario objects are encoded; null removes an entry
+ */
+export const writeUrlState = (entries) => {
+  if (!hasWindow) return;
+  const params = readParams();
+  Object.entries(entries).forEach(([key, value]) => {
+    if (value === null || value === undefined) params.delete(key);
+    else params.set(key, typeof value === 'string' ? value : encode(value));
+  });
+  const hash = `#${params.toString()}`;
+  if (hash !== window.location.hash) {
+    window.history.replaceState(null, '', hash);
+  }
+};
+
+/**
+ * Call back when the user opens a different link in the same tab
+ * (writeUrlState never triggers this). Returns an unsubscribe function.
+ */
+export const onUrlStateChange = (callback) => {
+  if (!hasWindow) return () => {};
+  window.addEventListener('hashchange', callback);
+  return () => window.removeEventListener('hashchange', callback);
+};
+
+/**
+ * Keep one simulator page's scenario in the URL, and restore it from shared links
+ * load(scenario) applies a validated scenario from the link, on mount and whenever another
+ * link is opened. With onPage, the active page id travels along: page is written and
+ * onPage(id) is offered the linked one.
+ * Writes are skipped while the state still equals what it was when a link was restored
+ * (the restored state has not rendered yet, or the link matched it), and when nothing changed.
+ */
+export const useUrlScenarioSync = (kind, scenario, load, { page, onPage } = {}) => {
+  const entries = onPage ? { page, [kind]: scenario } : { [kind]: scenario };
+  const serialized = JSON.stringify(entries);
+  // The serialized state the URL already reflects, or must not overwrite the link with
+  const synced = useRef(null);
+  const latest = useRef({ serialized, load, onPage });
+
+  useEffect(() => {
+    latest.current = { serialized, load, onPage };
+  });
+
+  useEffect(() => {
+    const restore = () => {
+      const linked = readUrlScenario(kind);
+      const linkedPage = latest.current.onPage ? readUrlPage() : null;
+      if (!linked && !linkedPage) return;
+      synced.current = latest.current.serialized;
+      if (linkedPage) latest.current.onPage(linkedPage);
+      if (linked) latest.current.load(linked);
+    };
+    restore();
+    return onUrlStateChange(restore);
+  }, [kind]);
+
+  useEffect(() => {
+    if (serialized === synced.current) return;
+    synced.current = serialized;
+    writeUrlState(JSON.parse(serialized));
+  }, [serialized]);
+};
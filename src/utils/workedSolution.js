@@ -0,0 +1,164 @@
+/**
+ * Worked solution
+ * Turns finalizeMetrics output into the step-by-step answer-key format: an ASCII Gantt bar
+ * with boundary times, then CT/TAT/WT/RT per process with the arithmetic written out using
+ * the MetricsExplanation formulas, then the averages. Rendered as plain text or Markdown.
+ */
+import { MetricsExplanation, Algorithm } from '../components/SchedulerEngine.js';
+
+const IDLE_LABEL = 'idle';
+
+const formatNumber = (value) => String(Number(value.toFixed(2)));
+
+/**
+ * Segments of one CPU in time order, with idle gaps filled in
+ */
+const withIdleGaps = (segments) => {
+  const filled = [];
+  let clock = 0;
+  [...segments].sort((a, b) => a.start - b.start).forEach(segment => {
+    if (segment.start > clock) filled.push({ pid: IDLE_LABEL, start: clock, end: segment.start });
+    filled.push(segment);
+    clock = segment.end;
+  });
+  return filled;
+};
+
+/**
+ * ASCII Gantt bar of one CPU: block labels on top, boundary times underneath
+ *   |  P1  |  P2  |  P1  |
+ *   0      2      4      9
+ * Blocks are sized to their labels (as in textbooks), not to their duration;
+ * context-switch overhead shows up as its own CS block
+ */
+const asciiBar = (segments) => {
+  let bar = '|';
+  let times = '';
+  segments.forEach(segment => {
+    const label = String(segment.pid);
+    const width = Math.max(label.length + 4, String(segment.start).length + 2);
+    const left = Math.floor((width - label.length) / 2);
+    bar += `${' '.repeat(left)}${label}${' '.repeat(width - label.length - left)}|`;
+    times += String(segment.start).padEnd(width + 1);
+  });
+  times += String(segments.length ? segments[segments.length - 1].end : 0);
+  return [bar, times];
+};
+
+/**
+ * ASCII Gantt chart lines; multi-core runs get one labelled bar per CPU
+ */
+export const buildAsciiGantt = (gantt, cpuCount = 1) => {
+  if (cpuCount <= 1) return asciiBar(withIdleGaps(gantt));
+  const lines = [];
+  for (let cpu = 0; cpu < cpuCount; cpu++) {
+    const [bar, times] = asciiBar(withIdleGaps(gantt.filter(segment => (segment.cpu ?? 0) === cpu)));
+    const prefix = `CPU${cpu}: `;
+    lines.push(`${prefix}${bar}`, `${' '.repeat(prefix.length)}${times}`);
+  }
+  return lines;
+};
+
+/**
+ * Structured worked solution for one finished run
+ * Each row carries the numbers plus the written-out arithmetic for TAT, WT and RT
+ */
+export const buildWorkedSolution = (results, { algorithm, quantum } = {}) => {
+  const hasIo = results.processes.some(p => p.blockedTime > 0);
+  // CPU-only runs use the textbook WT = TAT - BT (the IO term is always 0)
+  const wtFormula = hasIo ? MetricsExplanation.WT.formula : MetricsExplanation.WT.formula.replace(' - IO', '');
+
+  const rows = results.processes.map(p => ({
+    pid: p.pid,
+    at: p.arrivalTime,
+    bt: p.burstTime,
+    io: p.blockedTime,
+    ct: p.completionTime,
+    tat: p.turnaroundTime,
+    wt: p.waitingTime,
+    rt: p.responseTime,
+    tatWork: `${MetricsExplanation.TAT.formula} = ${p.completionTime} - ${p.arrivalTime} = ${p.turnaroundTime}`,
+    wtWork: hasIo
+      ? `${wtFormula} = ${p.turnaroundTime} - ${p.burstTime} - ${p.blockedTime} = ${p.waitingTime}`
+      : `${wtFormula} = ${p.turnaroundTime} - ${p.burstTime} = ${p.waitingTime}`,
+    rtWork: `${MetricsExplanation.RT.formula} = ${p.firstRunTime} - ${p.arrivalTime} = ${p.responseTime}`,
+  }));
+
+  const average = (key, label) => {
+    const values = rows.map(row => row[key]);
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return `Average ${label} = (${values.join(' + ')}) / ${values.length} = ${total} / ${values.length} = ${formatNumber(total / values.length)}`;
+  };
+
+  return {
+    title: `${algorithm ?? 'Scheduling'}${quantum && algorithm === Algorithm.RR ? ` (quantum = ${quantum})` : ''} - Worked Solution`,
+    gantt: buildAsciiGantt(results.gantt, results.cores?.length ?? 1),
+    formulas: [MetricsExplanation.TAT.formula, wtFormula, MetricsExplanation.RT.formula],
+    hasIo,
+    rows,
+    averages: [average('tat', 'TAT'), average('wt', 'WT'), average('rt', 'RT')],
+  };
+};
+
+const tableColumns = (hasIo) => [
+  ['Process', 'pid'], ['AT', 'at'], ['BT', 'bt'], ...(hasIo ? [['IO', 'io']] : []),
+  ['CT', 'ct'], ['TAT', 'tat'], ['WT', 'wt'], ['RT', 'rt'],
+];
+
+/**
+ * Plain-text rendering, aligned for a monospaced answer key
+ */
+export const formatSolutionText = (solution) => {
+  const columns = tableColumns(solution.hasIo);
+  const widths = columns.map(([header, key]) => Math.max(header.length, ...solution.rows.map(row => String(row[key]).length)));
+  // Process names read left-aligned, numbers right-aligned
+  const line = (cells) => cells.map((cell, i) => (i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i]))).join('  ');
+
+  return [
+    solution.title,
+    '',
+    'Gantt chart:',
+    ...solution.gantt,
+    '',
+    `Formulas: ${solution.formulas.join(', ')}`,
+    '',
+    line(columns.map(([header]) => header)),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...solution.rows.map(row => line(columns.map(([, key]) => row[key]))),
+    '',
+    'Working:',
+    ...solution.rows.flatMap(row => [`${row.pid}:`, `  ${row.tatWork}`, `  ${row.wtWork}`, `  ${row.rtWork}`]),
+    '',
+    ...solution.averages,
+    '',
+  ].join('\n');
+};
+
+/**
+ * Markdown rendering: the Gantt bar in a code block, the results as a table
+ */
+export const formatSolutionMarkdown = (solution) => {
+  const columns = tableColumns(solution.hasIo);
+  return [
+    `### ${solution.title}`,
+    '',
+    '**Gantt chart**',
+    '',
+    '```text',
+    ...solution.gantt,
+    '```',
+    '',
+    `**Formulas:** ${solution.formulas.map(formula => `\`${formula}\``).join(', ')}`,
+    '',
+    `| ${columns.map(([header]) => header).join(' | ')} |`,
+    `|${columns.map((_, i) => (i === 0 ? ' --- ' : ' ---: ')).join('|')}|`,
+    ...solution.rows.map(row => `| ${columns.map(([, key]) => row[key]).join(' | ')} |`),
+    '',
+    '**Working**',
+    '',
+    ...solution.rows.map(row => `- **${row.pid}:** \`${row.tatWork}\`; \`${row.wtWork}\`; \`${row.rtWork}\``),
+    '',
+    ...solution.averages.map(text => `- ${text}`),
+    '',
+  ].join('\n');
+};
@@ -0,0 +1,163 @@
+/**
+ * Workload generator
+ * Seeded, reproducible inputs for all three simulators: process sets for SchedulerEngine,
+ * page reference strings for PagingEngine and allocation request streams for MemoryEngine.
+ * The same options and seed always give the same workload, so a demo or an experiment can
+ * be shared as "seed 42" instead of a typed-in table.
+ */
+import { createRng, randomInt } from './random.js';
+
+export const ArrivalPattern = {
+  POISSON: 'POISSON',
+  SIMULTANEOUS: 'SIMULTANEOUS',
+};
+
+export const BurstDistribution = {
+  EXPONENTIAL: 'EXPONENTIAL',
+  BIMODAL: 'BIMODAL',
+  UNIFORM: 'UNIFORM',
+};
+
+export const ReferencePattern = {
+  WORKING_SET: 'WORKING_SET',
+  LOOP: 'LOOP',
+  RANDOM: 'RANDOM',
+};
+
+export const SizeDistribution = {
+  UNIFORM: 'UNIFORM',
+  EXPONENTIAL: 'EXPONENTIAL',
+};
+
+/**
+ * Exponential sample with the given mean (inverse transform)
+ */
+const sampleExponential = (rng, mean) => -Math.log(1 - rng()) * mean;
+
+/**
+ * Whole-number version of a continuous sample, never below min
+ */
+const toWhole = (value, min = 1) => Math.max(min, Math.round(value));
+
+/**
+ * Process set for SchedulerEngine
+ * Poisson arrivals = exponential inter-arrival gaps with mean 1 / arrivalRate.
+ * Bursts are exponential around meanBurst, bimodal (a longFraction of CPU-bound jobs
+ * around longBurst, the rest interactive around shortBurst) or uniform in [minBurst, maxBurst].
+ * Priorities are uniform in [minPriority, maxPriority].
+ */
+export const generateProcesses = ({
+  seed = 1,
+  count = 5,
+  arrivals = ArrivalPattern.POISSON,
+  arrivalRate = 0.5,
+  bursts = BurstDistribution.EXPONENTIAL,
+  meanBurst = 5,
+  shortBurst = 2,
+  longBurst = 12,
+  longFraction = 0.2,
+  minBurst = 1,
+  maxBurst = 10,
+  minPriority = 1,
+  maxPriority = 5,
+} = {}) => {
+  const rng = createRng(seed);
+  let clock = 0;
+
+  return Array.from({ length: Math.max(1, count) }, (_, i) => {
+    if (i > 0 && arrivals === ArrivalPattern.POISSON) {
+      clock += Math.floor(sampleExponential(rng, 1 / Math.max(arrivalRate, 0.001)));
+    }
+
+    let burstTime;
+    if (bursts === BurstDistribution.BIMODAL) {
+      const mean = rng() < longFraction ? longBurst : shortBurst;
+      // Spread each mode by ±25% so the two groups stay clearly apart
+      burstTime = toWhole(mean * (0.75 + rng() * 0.5));
+    } else if (bursts === BurstDistribution.UNIFORM) {
+      burstTime = randomInt(rng, minBurst, Math.max(minBurst, maxBurst));
+    } else {
+      burstTime = toWhole(sampleExponential(rng, meanBurst));
+    }
+
+    return {
+      pid: `P${i + 1}`,
+      arrivalTime: clock,
+      burstTime,
+      priority: randomInt(rng, minPriority, Math.max(minPriority, maxPriority)),
+    };
+  });
+};
+
+/**
+ * Page reference string for one process, as a list of page numbers
+ * WORKING_SET: most references fall in a window of workingSetSize pages that drifts
+ *   by one page every driftEvery references (localityRate sets how many stay inside it)
+ * LOOP: a loop body over loopLength consecutive pages, repeated
+ * RANDOM: uniform over all pages, no locality at all
+ */
+export const generateReferenceString = ({
+  seed = 1,
+  length = 20,
+  pages = 8,
+  pattern = ReferencePattern.WORKING_SET,
+  workingSetSize = 3,
+  driftEvery = 5,
+  localityRate = 0.85,
+  loopLength = 4,
+} = {}) => {
+  const rng = createRng(seed);
+  const total = Math.max(1, pages);
+  const size = Math.min(Math.max(1, workingSetSize), total);
+
+  return Array.from({ length: Math.max(1, length) }, (_, i) => {
+    if (pattern === ReferencePattern.RANDOM) return randomInt(rng, 0, total - 1);
+    if (pattern === ReferencePattern.LOOP) {
+      const loop = Math.min(Math.max(1, loopLength), total);
+      return i % loop;
+    }
+    const base = Math.floor(i / Math.max(1, driftEvery)) % total;
+    if (rng() < localityRate) return (base + randomInt(rng, 0, size - 1)) % total;
+    return randomInt(rng, 0, total - 1);
+  });
+};
+
+/**
+ * Process rows for PagingEngine ({ pid, totalPages, referenceString })
+ * Each process gets its own stream (derived seed) with the same locality settings;
+ * writeRate is the share of references written as "3w" (they dirty the page)
+ */
+export const generatePagingProcesses = ({ seed = 1, count = 2, writeRate = 0, ...options } = {}) => (
+  Array.from({ length: Math.max(1, count) }, (_, i) => {
+    const writes = createRng(`${seed}-P${i + 1}-writes`);
+    return {
+      pid: `P${i + 1}`,
+      totalPages: Math.max(1, options.pages ?? 8),
+      referenceString: generateReferenceString({ ...options, seed: `${seed}-P${i + 1}` })
+        .map(page => (writes() < writeRate ? `${page}w` : page))
+        .join(','),
+    };
+  })
+);
+
+/**
+ * Allocation request stream for MemoryEngine ({ pid, size })
+ * Sizes are uniform in [minSize, maxSize], or exponential around meanSize
+ * (many small requests, a few large ones)
+ */
+export const generateMemoryRequests = ({
+  seed = 1,
+  count = 6,
+  sizes = SizeDistribution.UNIFORM,
+  minSize = 10,
+  maxSize = 200,
+  meanSize = 60,
+} = {}) => {
+  const rng = createRng(seed);
+  return Array.from({ length: Math.max(1, count) }, (_, i) => ({
+    pid: `P${i + 1}`,
+    size: sizes === SizeDistribution.EXPONENTIAL
+      ? Math.min(Math.max(minSize, toWhole(sampleExponential(rng, meanSize))), Math.max(minSize, maxSize))
+      : randomInt(rng, minSize, Math.max(minSize, maxSize)),
+  }));
+};
@@ -0,0 +1,40 @@
+/**
+ * Golden results for PagingEngine
+ * Fault counts for the classic reference strings, pinned per replacement policy.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runScenario } from '../src/utils/headless.js';
+import { ScenarioKind } from '../src/utils/scenarioIO.js';
+
+// Reference string from Silberschatz, Operating System Concepts
+const TEXTBOOK = '7,0,1,2,0,3,0,4,2,3,0,3,2,1,2,0,1,7,0,1';
+// The string Belady used to show FIFO faulting more with more frames
+const BELADY = '0,1,2,3,0,1,4,0,1,2,3,4';
+
+const faults = (algorithm, frameCount, referenceString, totalPages) => runScenario(ScenarioKind.PAGING, {
+  algorithm,
+  frameCount,
+  processes: [{ pid: 'P1', totalPages, referenceString }],
+}).metrics.pageFaults;
+
+test('textbook string with 3 frames', () => {
+  assert.equal(faults('FIFO', 3, TEXTBOOK, 8), 15);
+  assert.equal(faults('LRU', 3, TEXTBOOK, 8), 12);
+  assert.equal(faults('OPTIMAL', 3, TEXTBOOK, 8), 9);
+});
+
+test('Clock gives 14 faults on the textbook string with 3 frames', () => {
+  assert.equal(faults('CLOCK', 3, TEXTBOOK, 8), 14);
+});
+
+test("Belady's anomaly: FIFO goes from 9 faults to 10 when a fourth frame is added", () => {
+  assert.equal(faults('FIFO', 3, BELADY, 5), 9);
+  assert.equal(faults('FIFO', 4, BELADY, 5), 10);
+});
+
+test('LRU and OPT are stack algorithms and never fault more with more frames', () => {
+  ['LRU', 'OPTIMAL'].forEach(algorithm => {
+    assert.ok(faults(algorithm, 4, BELADY, 5) <= faults(algorithm, 3, BELADY, 5), algorithm);
+  });
+});
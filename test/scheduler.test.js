@@ -0,0 +1,103 @@
+/**
+ * Golden results for SchedulerEngine
+ * Textbook examples worked by hand; every schedule below is pinned tick for tick,
+ * so a change to any policy shows up here before it shows up in a lecture.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runScenario } from '../src/utils/headless.js';
+import { ScenarioKind } from '../src/utils/scenarioIO.js';
+import { SchedulerEngine } from '../src/components/SchedulerEngine.js';
+
+// Silberschatz-style process set: (arrival, burst, priority), lower priority number runs first
+const PROCESSES = [
+  { pid: 'P1', arrivalTime: 0, burstTime: 8, priority: 3 },
+  { pid: 'P2', arrivalTime: 1, burstTime: 4, priority: 1 },
+  { pid: 'P3', arrivalTime: 2, burstTime: 9, priority: 4 },
+  { pid: 'P4', arrivalTime: 3, burstTime: 5, priority: 2 },
+];
+
+const run = (algorithm, extra = {}) => runScenario(ScenarioKind.SCHEDULER, { algorithm, quantum: 4, processes: PROCESSES, ...extra });
+const timeline = (result) => result.gantt.map(({ pid, start, end }) => `${pid} ${start}-${end}`);
+const waiting = (result) => Object.fromEntries(result.processes.map(p => [p.pid, p.waitingTime]));
+
+test('FCFS runs in arrival order', () => {
+  const result = run('FCFS');
+  assert.deepEqual(timeline(result), ['P1 0-8', 'P2 8-12', 'P3 12-21', 'P4 21-26']);
+  assert.deepEqual(waiting(result), { P1: 0, P2: 7, P3: 10, P4: 18 });
+  assert.deepEqual(result.averages, { waiting: 8.75, turnaround: 15.25, response: 8.75 });
+});
+
+test('SJF picks the shortest waiting job once the CPU is free', () => {
+  const result = run('SJF');
+  assert.deepEqual(timeline(result), ['P1 0-8', 'P2 8-12', 'P4 12-17', 'P3 17-26']);
+  assert.deepEqual(waiting(result), { P1: 0, P2: 7, P3: 15, P4: 9 });
+  assert.equal(result.averages.waiting, 7.75);
+});
+
+test('SRTF preempts for a shorter remaining time (average wait 6.5)', () => {
+  const result = run('SRTF');
+  assert.deepEqual(timeline(result), ['P1 0-1', 'P2 1-5', 'P4 5-10', 'P1 10-17', 'P3 17-26']);
+  assert.deepEqual(waiting(result), { P1: 9, P2: 0, P3: 15, P4: 2 });
+  assert.deepEqual(result.averages, { waiting: 6.5, turnaround: 13, response: 4.25 });
+});
+
+test('Round Robin with quantum 4', () => {
+  const result = run('RR');
+  assert.deepEqual(timeline(result), [
+    'P1 0-4', 'P2 4-8', 'P3 8-12', 'P4 12-16', 'P1 16-20', 'P3 20-24', 'P4 24-25', 'P3 25-26',
+  ]);
+  assert.deepEqual(waiting(result), { P1: 12, P2: 3, P3: 15, P4: 17 });
+  assert.deepEqual(result.averages, { waiting: 11.75, turnaround: 18.25, response: 4.5 });
+});
+
+test('Priority scheduling, preemptive and non-preemptive', () => {
+  const preemptive = run('PRIORITY');
+  assert.equal(preemptive.preemptive, true);
+  assert.deepEqual(timeline(preemptive), ['P1 0-1', 'P2 1-5', 'P4 5-10', 'P1 10-17', 'P3 17-26']);
+  assert.equal(preemptive.averages.waiting, 6.5);
+
+  const nonPreemptive = run('PRIORITY', { settings: { preemptive: false } });
+  assert.deepEqual(timeline(nonPreemptive), ['P1 0-8', 'P2 8-12', 'P4 12-17', 'P3 17-26']);
+  assert.equal(nonPreemptive.averages.waiting, 7.75);
+});
+
+test('context switch time delays the first run and counts in response time', () => {
+  const result = run('FCFS', { settings: { contextSwitchTime: 1 } });
+  assert.deepEqual(timeline(result), ['P1 0-8', 'CS 8-9', 'P2 9-13', 'CS 13-14', 'P3 14-23', 'CS 23-24', 'P4 24-29']);
+  assert.deepEqual(result.processes.map(p => p.responseTime), [0, 8, 12, 21]);
+});
+
+test('a quantum renewed for the only ready process is not a preemption', () => {
+  const engine = new SchedulerEngine([{ pid: 'P1', arrivalTime: 0, burstTime: 9 }], 'RR', { quantum: 2 });
+  assert.equal(engine.runToEnd().preemptions, 0);
+});
+
+// Liu & Layland: U = 2/5 + 4/7 ≈ 0.97 is above the RM bound for two tasks (≈ 0.83) but below 1
+const TASKS = [
+  { pid: 'T1', arrivalTime: 0, burstTime: 2, period: 5 },
+  { pid: 'T2', arrivalTime: 0, burstTime: 4, period: 7 },
+];
+
+test('EDF meets every deadline that Rate Monotonic misses', () => {
+  const edf = runScenario(ScenarioKind.SCHEDULER, { algorithm: 'EDF', processes: TASKS });
+  const rm = runScenario(ScenarioKind.SCHEDULER, { algorithm: 'RM', processes: TASKS });
+  assert.equal(edf.summary['Deadline misses'], 0);
+  assert.equal(rm.summary['Deadline misses'], 1);
+});
+
+test('seeking lands on the same state as stepping there', () => {
+  const options = { quantum: 2, contextSwitchTime: 1, cpuCount: 2, seed: 7 };
+  const processes = Array.from({ length: 12 }, (_, i) => ({ pid: `P${i + 1}`, arrivalTime: i * 2, burstTime: 3 + (i * 5) % 7, tickets: 50 + i * 25 }));
+  const reference = new SchedulerEngine(processes, 'LOTTERY', options);
+  const snapshots = [JSON.stringify(reference.getSnapshot())];
+  while (!reference.isDone()) snapshots.push(JSON.stringify(reference.step()));
+
+  const engine = new SchedulerEngine(processes, 'LOTTERY', options);
+  const end = engine.getEndTime();
+  assert.equal(end, snapshots.length - 1);
+  assert.equal(engine.time, 0);
+  [end, 3, 40, 26, 0, end - 1, 51].forEach(tick => {
+    assert.equal(JSON.stringify(engine.seek(tick)), snapshots[Math.min(tick, end)], `tick ${tick}`);
+  });
+});